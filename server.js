@@ -1,16 +1,27 @@
 const app = require('./src/app');
 const { logger } = require('./src/utils/logger');
+const { cache } = require('./src/utils/cache');
+const { keyRegistry } = require('./src/services/keyRegistry');
+const { webhookDispatcher } = require('./src/services/webhookDispatcher');
+const { jobQueue } = require('./src/services/jobQueue');
+const { readiness } = require('./src/services/readiness');
+const tracing = require('./src/utils/tracing');
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// Time between failing readiness and closing the server, so load balancers
+// stop sending new requests first. Should exceed the readiness probe period.
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS ?? '5000', 10) || 0;
+let shuttingDown = false;
 
 const server = app.listen(PORT, () => {
   logger.info({ port: PORT, env: NODE_ENV }, 'server started');
+  readiness.start();
+  // Resumes jobs saved by the previous process
+  jobQueue.init();
 });
 
-const gracefulShutdown = (signal) => {
-  logger.info({ signal }, 'shutting down gracefully');
-
+const closeServer = () => {
   server.close((err) => {
     if (err) {
       logger.error({ err }, 'error during shutdown');
@@ -18,7 +29,15 @@ const gracefulShutdown = (signal) => {
     }
 
     logger.info('server closed');
-    process.exit(0);
+    // Running and queued jobs finish, and send their webhooks, before the rest
+    // is closed; whatever the timeout below cuts short resumes on the next start
+    jobQueue.drain()
+      .then(() => {
+        jobQueue.close();
+        return Promise.all([keyRegistry.close(), cache.close(), webhookDispatcher.close(), tracing.shutdown()]);
+      })
+      .catch((error) => logger.error({ err: error }, 'error closing resources'))
+      .finally(() => process.exit(0));
   });
 
   setTimeout(() => {
@@ -27,6 +46,19 @@ const gracefulShutdown = (signal) => {
   }, 30000);
 };
 
+const gracefulShutdown = (signal) => {
+  // A second signal skips the drain
+  if (shuttingDown) {
+    logger.warn({ signal }, 'forcing shutdown');
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  logger.info({ signal, drainMs: SHUTDOWN_DRAIN_MS }, 'shutting down gracefully');
+  readiness.beginShutdown();
+  setTimeout(closeServer, SHUTDOWN_DRAIN_MS);
+};
+
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
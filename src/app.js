@@ -4,18 +4,28 @@ const cors = require('cors');
 require('dotenv').config();
 
 const { apiLimiter } = require('./middleware/rateLimit');
-const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
-const { apiKeyAuth } = require('./middleware/auth');
+const { errorHandler, notFoundHandler, asyncHandler } = require('./middleware/errorHandler');
+const { apiKeyAuth, identifyApiKey, signedLinkAuth, adminAuth, metricsAuth } = require('./middleware/auth');
 const { logger, requestLogger } = require('./utils/logger');
-const { cache } = require('./utils/cache');
+const { metrics } = require('./utils/metrics');
+const { tracingMiddleware } = require('./utils/tracing');
 
 const fetchRoutes = require('./routes/fetch');
 const downloadRoutes = require('./routes/download');
+const jobRoutes = require('./routes/jobs');
+const usageRoutes = require('./routes/usage');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
 
 const app = express();
 
 app.set('trust proxy', 1);
 
+// Trace every request, including ones rejected by the middleware below
+app.use(tracingMiddleware);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -41,8 +51,9 @@ app.use(helmet({
 
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'HEAD', 'POST'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'If-Range'],
+  exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length', 'Content-Disposition'],
   credentials: false,
   maxAge: 86400
 }));
@@ -50,9 +61,10 @@ app.use(cors({
 app.disable('x-powered-by');
 app.use(express.json({ limit: '10mb' }));
 app.use(requestLogger);
+app.use(metrics.middleware());
 
 // Global rate limiting
-app.use('/api', apiLimiter);
+app.use('/api', identifyApiKey, apiLimiter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -63,73 +75,36 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       fetch: '/api/v1/fetch?url=<tiktok_url>',
-      download: '/api/v1/download?type=<nowm|wm|audio>&url=<tiktok_url>'
+      download: '/api/v1/download?type=<nowm|wm|audio|images>&url=<tiktok_url>'
     }
   });
 });
 
-// Health check with cache stats
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    version: process.version,
-    cache: cache.getStats()
-  });
-});
+// Health check with cache stats, plus liveness and readiness probes
+app.use('/health', healthRoutes);
+
+// Prometheus metrics; outside /api so apiLimiter never applies
+app.get('/metrics', metricsAuth, asyncHandler(async (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(await metrics.render());
+}));
 
 // API v1 routes with auth
 app.use('/api/v1/fetch', apiKeyAuth, fetchRoutes);
-app.use('/api/v1/download', apiKeyAuth, downloadRoutes);
+app.use('/api/v1/download', signedLinkAuth, apiKeyAuth, downloadRoutes);
+app.use('/api/v1/jobs', apiKeyAuth, jobRoutes);
+app.use('/api/v1/usage', apiKeyAuth, usageRoutes);
+app.use('/api/v1/webhooks', apiKeyAuth, webhookRoutes);
+
+// Key management, guarded by ADMIN_API_KEY instead of regular API keys
+app.use('/admin', apiLimiter, adminAuth, adminRoutes);
 
 // Backwards-compatible aliases (point /api/* to v1)
 app.use('/api/fetch', apiKeyAuth, fetchRoutes);
-app.use('/api/download', apiKeyAuth, downloadRoutes);
+app.use('/api/download', signedLinkAuth, apiKeyAuth, downloadRoutes);
 
-// API documentation endpoint
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'TikTok Downloader API',
-    version: '1.0.0',
-    description: 'Production-ready API for downloading TikTok videos',
-    endpoints: {
-      fetch: {
-        method: 'GET',
-        path: '/api/v1/fetch',
-        description: 'Extract metadata from TikTok video',
-        parameters: {
-          url: {
-            type: 'string',
-            required: true,
-            description: 'TikTok video URL'
-          }
-        },
-        example: '/api/v1/fetch?url=https://www.tiktok.com/@username/video/1234567890'
-      },
-      download: {
-        method: 'GET',
-        path: '/api/v1/download',
-        description: 'Download TikTok video or audio',
-        parameters: {
-          url: {
-            type: 'string',
-            required: true,
-            description: 'TikTok video URL'
-          },
-          type: {
-            type: 'string',
-            required: true,
-            enum: ['nowm', 'wm', 'audio'],
-            description: 'Download type: nowm (no watermark), wm (with watermark), audio'
-          }
-        },
-        example: '/api/v1/download?type=nowm&url=https://www.tiktok.com/@username/video/1234567890'
-      }
-    }
-  });
-});
+// Endpoint overview, OpenAPI document and docs page
+app.use('/api', docsRoutes);
 
 // 404 handler for undefined routes
 app.use('*', notFoundHandler);
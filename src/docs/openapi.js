@@ -0,0 +1,806 @@
+const http = require('http');
+const errors = require('../utils/errors');
+const { RICH_FIELDS } = require('../utils/richMetadata');
+const schemas = require('../routes/schemas');
+
+// OpenAPI 3.1 description of the API. Parameters and request bodies are built
+// from the request schemas in routes/schemas.js, the error codes from
+// utils/errors.js; response bodies are described here.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+
+// JSON Schema for one field of an express-validator schema
+function fieldSchema(config) {
+  const schema = {};
+  const options = (name) => config[name]?.options || {};
+
+  if (config.isBoolean) {
+    schema.type = 'boolean';
+  } else if (config.isInt) {
+    schema.type = 'integer';
+    if (options('isInt').min !== undefined) {
+      schema.minimum = options('isInt').min;
+    }
+    if (options('isInt').max !== undefined) {
+      schema.maximum = options('isInt').max;
+    }
+  } else if (config.isArray) {
+    schema.type = 'array';
+    if (options('isArray').min !== undefined) {
+      schema.minItems = options('isArray').min;
+    }
+    if (options('isArray').max !== undefined) {
+      schema.maxItems = options('isArray').max;
+    }
+  } else if (config.isObject) {
+    schema.type = 'object';
+  } else {
+    schema.type = 'string';
+  }
+
+  if (config.isIn) {
+    schema.enum = config.isIn.options[0];
+  }
+  if (config.isUUID) {
+    schema.format = 'uuid';
+  }
+  if (config.isLength) {
+    schema.minLength = options('isLength').min;
+    schema.maxLength = options('isLength').max;
+  }
+  if (config.optional?.options?.values === 'null') {
+    schema.type = [schema.type, 'null'];
+  }
+  if (config.description) {
+    schema.description = config.description;
+  }
+  if (config.example !== undefined) {
+    schema.examples = [config.example];
+  }
+
+  return { ...schema, ...config.openapi };
+}
+
+function parameters(schema) {
+  return Object.entries(schema).map(([name, config]) => {
+    const location = config.in[0] === 'params' ? 'path' : config.in[0];
+    const { description, examples, ...rest } = fieldSchema(config);
+    return {
+      name,
+      in: location,
+      required: location === 'path' || !config.optional,
+      ...(description && { description }),
+      ...(examples && { example: examples[0] }),
+      schema: rest
+    };
+  });
+}
+
+// Object schema for a JSON body; "quotas.daily" and "endpoints.*" nest into
+// the properties and items of their parent field
+function bodySchema(schema) {
+  const root = { type: 'object', properties: {}, required: [] };
+
+  Object.entries(schema).forEach(([field, config]) => {
+    const parts = field.split('.');
+    let parent = root;
+    parts.slice(0, -1).forEach((part) => {
+      parent = part === '*' ? parent.items : parent.properties[part];
+    });
+
+    const last = parts[parts.length - 1];
+    if (last === '*') {
+      parent.items = { ...fieldSchema(config), ...parent.items };
+      return;
+    }
+
+    parent.properties = parent.properties || {};
+    parent.properties[last] = fieldSchema(config);
+    if (parent === root && !config.optional) {
+      root.required.push(last);
+    }
+  });
+
+  return root;
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema: bodySchema(schema) } } };
+}
+
+function json(description, schema, extra = {}) {
+  return { description, ...extra, content: { 'application/json': { schema } } };
+}
+
+function errorCodes() {
+  const codes = Object.values(errors)
+    .filter((value) => value === errors.AppError || value.prototype instanceof errors.AppError)
+    .map((type) => type.code);
+  return [...new Set([...codes, 'BAD_REQUEST'])].sort();
+}
+
+const apiKeySecurity = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+
+const components = {
+  securitySchemes: {
+    ApiKeyHeader: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'Required once keys are configured (API_KEYS or API_KEYS_FILE); without keys the API is open'
+    },
+    ApiKeyQuery: {
+      type: 'apiKey',
+      in: 'query',
+      name: 'apikey',
+      description: 'Same as X-API-Key; refused when ALLOW_QUERY_API_KEY=false'
+    },
+    SignedLink: {
+      type: 'apiKey',
+      in: 'query',
+      name: 'sig',
+      description: 'Signature of a download link issued by GET /api/v1/fetch?signed_links=true, sent with its expires, kid and sub parameters'
+    },
+    AdminBearer: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'ADMIN_API_KEY; the admin API is disabled while it is unset'
+    },
+    MetricsBearer: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'METRICS_TOKEN; /metrics is open while it is unset'
+    }
+  },
+  responses: {
+    Error: {
+      description: 'Error',
+      headers: {
+        Vary: { description: 'Accept, when the format follows the Accept header', schema: { type: 'string' } },
+        'Retry-After': { description: 'With RATE_LIMITED and QUOTA_EXCEEDED: same as retryAfter', schema: { type: 'integer' } }
+      },
+      content: {
+        'application/json': { schema: ref('Error') },
+        'application/problem+json': { schema: ref('Problem') }
+      }
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error', 'code', 'message', 'requestId', 'retryable'],
+      properties: {
+        error: { const: true },
+        code: { type: 'string', enum: errorCodes() },
+        message: { type: 'string' },
+        requestId: { type: 'string', format: 'uuid' },
+        retryable: { type: 'boolean', description: 'Whether the same request may succeed later' },
+        retryAfter: { type: 'integer', minimum: 0, description: 'Seconds until the rate limit window or daily quota resets (also sent as Retry-After)' },
+        status: { type: 'string', description: 'Job status, on 409 from /jobs/{id}/file' }
+      }
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem document, sent for Accept: application/problem+json or with ERROR_FORMAT=problem',
+      required: ['type', 'title', 'status', 'detail', 'instance'],
+      properties: {
+        type: { type: 'string', format: 'uri' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', enum: errorCodes() },
+        requestId: { type: 'string', format: 'uuid' },
+        retryable: { type: 'boolean' },
+        retryAfter: { type: 'integer', minimum: 0, description: 'Seconds until the rate limit window or daily quota resets' }
+      }
+    },
+    Video: {
+      type: 'object',
+      required: ['username', 'caption', 'thumbnail', 'no_wm', 'wm', 'audio', 'provider'],
+      properties: {
+        username: { type: 'string' },
+        caption: { type: 'string' },
+        thumbnail: { type: 'string' },
+        no_wm: { type: 'string', description: 'Video without watermark' },
+        wm: { type: 'string', description: 'Video with watermark' },
+        audio: { type: 'string' },
+        provider: { type: 'string', description: 'Metadata provider that answered' },
+        images: { type: 'array', items: { type: 'string', format: 'uri' }, description: 'Photo slideshow images' },
+        duration: nullable('number'),
+        resolution: {
+          type: ['object', 'null'],
+          properties: { width: { type: 'integer' }, height: { type: 'integer' } }
+        },
+        size: {
+          type: 'object',
+          properties: { nowm: nullable('integer'), wm: nullable('integer'), hd: nullable('integer') }
+        },
+        stats: {
+          type: 'object',
+          properties: {
+            plays: nullable('integer'),
+            likes: nullable('integer'),
+            comments: nullable('integer'),
+            shares: nullable('integer')
+          }
+        },
+        create_time: { type: ['string', 'null'], format: 'date-time' },
+        region: nullable('string'),
+        hashtags: { type: 'array', items: { type: 'string' } },
+        mentions: { type: 'array', items: { type: 'string' } },
+        music: {
+          type: 'object',
+          properties: { title: nullable('string'), author: nullable('string'), duration: nullable('number') }
+        },
+        author: {
+          type: 'object',
+          properties: { nickname: nullable('string'), avatar: nullable('string') }
+        },
+        download_links: {
+          type: 'object',
+          description: 'With signed_links=true: a signed /api/v1/download URL per available type',
+          additionalProperties: { type: 'string', format: 'uri' }
+        },
+        download_links_expire_at: { type: 'string', format: 'date-time' }
+      },
+      description: `Optional fields (${RICH_FIELDS.join(', ')}) are only present when requested`
+    },
+    BatchItem: {
+      type: 'object',
+      required: ['url', 'status'],
+      properties: {
+        url: { type: 'string' },
+        status: { type: 'integer', description: 'HTTP status this URL would have had on its own' },
+        data: ref('Video'),
+        error: { const: true },
+        code: { type: 'string', enum: errorCodes() },
+        message: { type: 'string' },
+        retryable: { type: 'boolean' }
+      }
+    },
+    Batch: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: { type: 'array', items: ref('BatchItem') }
+      }
+    },
+    Accepted: {
+      type: 'object',
+      description: 'A callback_url request; the result is POSTed to the callback URL',
+      properties: {
+        request_id: { type: 'string', format: 'uuid' },
+        status: { const: 'accepted' },
+        callback_url: { type: 'string', format: 'uri' },
+        links: {
+          type: 'object',
+          properties: {
+            job: { type: 'string' },
+            file: { type: 'string' },
+            webhook: { type: 'string' }
+          }
+        }
+      }
+    },
+    Job: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        url: { type: 'string' },
+        type: { type: 'string', enum: schemas.DOWNLOAD_TYPES },
+        status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+        progress: {
+          type: 'object',
+          properties: { bytes: { type: 'integer' }, total: nullable('integer') }
+        },
+        error: nullable('string'),
+        filename: nullable('string'),
+        callbackUrl: nullable('string'),
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        startedAt: { type: ['string', 'null'], format: 'date-time' },
+        finishedAt: { type: ['string', 'null'], format: 'date-time' },
+        links: {
+          type: 'object',
+          properties: { self: { type: 'string' }, file: { type: 'string' }, webhook: { type: 'string' } }
+        }
+      }
+    },
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        callbackUrl: { type: 'string', format: 'uri' },
+        event: {
+          type: ['string', 'null'],
+          enum: ['fetch.completed', 'fetch.failed', 'download.completed', 'download.failed', null]
+        },
+        status: { type: 'string', enum: ['waiting', 'sending', 'delivered', 'failed'] },
+        attempts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              attempt: { type: 'integer' },
+              at: { type: 'string', format: 'date-time' },
+              statusCode: nullable('integer'),
+              error: nullable('string'),
+              durationMs: { type: 'integer' }
+            }
+          }
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+        deliveredAt: { type: ['string', 'null'], format: 'date-time' }
+      }
+    },
+    Quotas: {
+      type: 'object',
+      properties: { perMinute: { type: 'integer' }, daily: { type: 'integer' } }
+    },
+    UsageDay: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        total: { type: 'integer' },
+        endpoints: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    },
+    Usage: {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            quotas: ref('Quotas'),
+            endpoints: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        usage: { type: 'array', items: ref('UsageDay') }
+      }
+    },
+    ApiKey: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'disabled', 'revoked'] },
+        quotas: ref('Quotas'),
+        endpoints: { type: 'array', items: { type: 'string' } },
+        prefix: nullable('string'),
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        revokedAt: { type: 'string', format: 'date-time' },
+        usageToday: { type: 'integer' }
+      }
+    },
+    ApiKeyWithSecret: {
+      allOf: [
+        ref('ApiKey'),
+        {
+          type: 'object',
+          properties: { key: { type: 'string', description: 'The key itself; shown only once' } }
+        }
+      ]
+    },
+    ServiceHealth: {
+      type: 'object',
+      properties: {
+        status: { const: 'ok' },
+        service: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    DependencyCheck: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Provider name' },
+        driver: { type: 'string', description: 'Cache driver' },
+        status: { type: 'string', enum: ['up', 'down', 'unknown'] },
+        latencyMs: { type: 'integer' },
+        error: { type: 'string' },
+        circuit: { type: 'string', enum: ['closed', 'open', 'half-open'], description: 'Provider circuit state' }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not_ready', 'shutting_down'] },
+        ready: { type: 'boolean' },
+        checkedAt: { type: 'string', format: 'date-time' },
+        checks: {
+          type: 'object',
+          properties: {
+            cache: ref('DependencyCheck'),
+            providers: { type: 'array', items: ref('DependencyCheck') }
+          }
+        }
+      }
+    },
+    Health: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        uptime: { type: 'number' },
+        memory: { type: 'object', additionalProperties: { type: 'integer' } },
+        version: { type: 'string' },
+        cache: { type: 'object', description: 'Metadata cache counters, plus the media cache under media' },
+        providers: { type: 'array', items: { type: 'object' }, description: 'Circuit state of each metadata provider' },
+        proxies: { type: 'array', items: { type: 'object' }, description: 'Counters and quarantine state of each outbound proxy; empty without a proxy pool' }
+      }
+    }
+  }
+};
+
+const download = {
+  description: 'The file, or the requested byte range of it',
+  headers: {
+    'Content-Disposition': { schema: { type: 'string' } },
+    'Accept-Ranges': { schema: { type: 'string' } },
+    'X-Cache': { description: 'HIT when served from the media cache', schema: { type: 'string', enum: ['HIT', 'MISS'] } }
+  },
+  content: {
+    'video/mp4': { schema: { type: 'string', format: 'binary' } },
+    'audio/mpeg': { schema: { type: 'string', format: 'binary' } },
+    'application/zip': { schema: { type: 'string', format: 'binary' } }
+  }
+};
+
+const serviceHealth = (service) => ({
+  summary: `Health of the ${service} routes`,
+  security: [],
+  responses: { 200: json('OK', ref('ServiceHealth')) }
+});
+
+// Operations by path. errors lists the statuses answered with an error body.
+const paths = {
+  '/': {
+    get: {
+      operationId: 'root',
+      summary: 'Service info',
+      security: [],
+      responses: { 200: json('Service info', { type: 'object' }) }
+    }
+  },
+  '/health': {
+    get: {
+      operationId: 'health',
+      summary: 'Uptime, memory, cache, provider and proxy health',
+      security: [],
+      responses: { 200: json('Healthy', ref('Health')) }
+    }
+  },
+  '/health/live': {
+    get: {
+      operationId: 'liveness',
+      summary: 'Liveness probe; does not check dependencies',
+      security: [],
+      responses: {
+        200: json('The process is serving requests', {
+          type: 'object',
+          properties: {
+            status: { const: 'ok' },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number' }
+          }
+        })
+      }
+    }
+  },
+  '/health/ready': {
+    get: {
+      operationId: 'readiness',
+      summary: 'Readiness probe with the status and latency of the cache and each metadata provider',
+      description: 'Dependencies are checked in the background every READINESS_INTERVAL_MS. ' +
+        'Ready while the cache answers and at least one provider is reachable; 503 during graceful shutdown.',
+      security: [],
+      responses: {
+        200: json('Ready', ref('Readiness')),
+        503: json('Not ready or shutting down', ref('Readiness'))
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'metrics',
+      summary: 'Prometheus metrics',
+      description: 'Request counts and latency by route and status, upstream latency and errors, cache hit ratio, ' +
+        'bytes streamed by download type, active streams and rate-limit rejections per limiter.',
+      security: [{ MetricsBearer: [] }, {}],
+      responses: {
+        200: {
+          description: 'Metrics in the Prometheus text format',
+          content: { 'text/plain': { schema: { type: 'string' } } }
+        }
+      },
+      errors: [401]
+    }
+  },
+  '/api': {
+    get: {
+      operationId: 'apiIndex',
+      summary: 'Endpoint overview with links to this document and the docs page',
+      security: [],
+      responses: { 200: json('Endpoint overview', { type: 'object' }) }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'openapi',
+      summary: 'This document',
+      security: [],
+      responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+    }
+  },
+  '/api/docs': {
+    get: {
+      operationId: 'docs',
+      summary: 'Interactive documentation of this document (Swagger UI)',
+      security: [],
+      responses: {
+        200: { description: 'Docs page', content: { 'text/html': { schema: { type: 'string' } } } },
+        301: { description: 'Redirect to the same path with a trailing slash' }
+      }
+    }
+  },
+  '/api/v1/fetch': {
+    get: {
+      operationId: 'fetch',
+      tags: ['Metadata'],
+      summary: 'Extract metadata from TikTok video',
+      parameters: parameters(schemas.fetchQuery),
+      responses: {
+        200: json('Video metadata', ref('Video')),
+        202: json('Accepted; the result is POSTed to callback_url', ref('Accepted'))
+      },
+      errors: [400, 401, 403, 422, 429, 502, 503, 504]
+    }
+  },
+  '/api/v1/fetch/batch': {
+    post: {
+      operationId: 'fetchBatch',
+      tags: ['Metadata'],
+      summary: 'Extract metadata for several TikTok videos in one request',
+      description: 'A batch of n URLs counts as n requests against the fetch rate limit. A bad URL fails only its own entry.',
+      requestBody: jsonBody(schemas.fetchBatchBody),
+      responses: { 200: json('One result per URL, in request order', ref('Batch')) },
+      errors: [400, 401, 403, 429]
+    }
+  },
+  '/api/v1/fetch/health': { get: { operationId: 'fetchHealth', tags: ['Metadata'], ...serviceHealth('fetch') } },
+  '/api/v1/download': {
+    get: {
+      operationId: 'download',
+      tags: ['Downloads'],
+      summary: 'Download TikTok video or audio',
+      description: 'Video and audio support Range and If-Range requests. HEAD answers with the headers only.',
+      security: [...apiKeySecurity, { SignedLink: [] }],
+      parameters: [
+        ...parameters(schemas.downloadQuery),
+        { name: 'Range', in: 'header', required: false, schema: { type: 'string' }, example: 'bytes=0-1023' },
+        { name: 'If-Range', in: 'header', required: false, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: download,
+        202: json('Accepted; the download runs as a job and the result is POSTed to callback_url', ref('Accepted')),
+        206: { ...download, description: 'Partial content' }
+      },
+      errors: [400, 401, 403, 404, 416, 422, 429, 500, 502, 503, 504]
+    }
+  },
+  '/api/v1/download/health': { get: { operationId: 'downloadHealth', tags: ['Downloads'], ...serviceHealth('download') } },
+  '/api/v1/jobs': {
+    post: {
+      operationId: 'createJob',
+      tags: ['Jobs'],
+      summary: 'Queue a background download; poll the returned job until it is done',
+      requestBody: jsonBody(schemas.jobBody),
+      responses: {
+        202: json('Queued', ref('Job'), { headers: { Location: { schema: { type: 'string' } } } })
+      },
+      errors: [400, 401, 403, 429]
+    }
+  },
+  '/api/v1/jobs/{id}': {
+    get: {
+      operationId: 'getJob',
+      tags: ['Jobs'],
+      summary: 'Job status (queued, running, done, failed) with progress bytes',
+      parameters: parameters(schemas.jobIdParams),
+      responses: { 200: json('Job', ref('Job')) },
+      errors: [401, 403, 404, 429]
+    }
+  },
+  '/api/v1/jobs/{id}/file': {
+    get: {
+      operationId: 'getJobFile',
+      tags: ['Jobs'],
+      summary: 'Download the finished file of a done job',
+      parameters: parameters(schemas.jobIdParams),
+      responses: { 200: { ...download, description: 'The file' } },
+      errors: [401, 403, 404, 409, 429]
+    }
+  },
+  '/api/v1/usage': {
+    get: {
+      operationId: 'usage',
+      tags: ['Keys'],
+      summary: 'Quotas and per-day request counts of the calling API key',
+      parameters: parameters(schemas.usageQuery),
+      responses: { 200: json('Usage', ref('Usage')) },
+      errors: [400, 401, 404, 429]
+    }
+  },
+  '/api/v1/webhooks/{id}': {
+    get: {
+      operationId: 'webhook',
+      tags: ['Webhooks'],
+      summary: 'Delivery status and attempts of a callback_url request',
+      parameters: parameters(schemas.webhookIdParams),
+      responses: { 200: json('Delivery', ref('WebhookDelivery')) },
+      errors: [401, 404, 429]
+    }
+  },
+  '/admin/keys': {
+    get: {
+      operationId: 'listKeys',
+      tags: ['Admin'],
+      summary: 'List API keys',
+      responses: {
+        200: json('Keys', {
+          type: 'object',
+          properties: { count: { type: 'integer' }, keys: { type: 'array', items: ref('ApiKey') } }
+        })
+      },
+      errors: [401, 403, 429]
+    },
+    post: {
+      operationId: 'createKey',
+      tags: ['Admin'],
+      summary: 'Create an API key',
+      requestBody: jsonBody(schemas.keyFields({ requireName: true })),
+      responses: { 201: json('Created; the key is only returned here', ref('ApiKeyWithSecret')) },
+      errors: [400, 401, 403, 429]
+    }
+  },
+  '/admin/keys/{id}': {
+    get: {
+      operationId: 'getKey',
+      tags: ['Admin'],
+      summary: 'An API key with its usage',
+      parameters: [...parameters(schemas.keyIdParams), ...parameters(schemas.usageQuery)],
+      responses: {
+        200: json('Key', {
+          allOf: [ref('ApiKey'), { type: 'object', properties: { usage: { type: 'array', items: ref('UsageDay') } } }]
+        })
+      },
+      errors: [400, 401, 403, 404, 429]
+    },
+    patch: {
+      operationId: 'updateKey',
+      tags: ['Admin'],
+      summary: 'Change the name, quotas, endpoints or status of an API key',
+      parameters: parameters(schemas.keyIdParams),
+      requestBody: jsonBody(schemas.keyFields({ requireName: false })),
+      responses: { 200: json('Updated', ref('ApiKey')) },
+      errors: [400, 401, 403, 404, 409, 429]
+    }
+  },
+  '/admin/keys/{id}/usage': {
+    get: {
+      operationId: 'getKeyUsage',
+      tags: ['Admin'],
+      summary: 'Per-day request counts of an API key',
+      parameters: [...parameters(schemas.keyIdParams), ...parameters(schemas.usageQuery)],
+      responses: {
+        200: json('Usage', {
+          type: 'object',
+          properties: { id: { type: 'string' }, usage: { type: 'array', items: ref('UsageDay') } }
+        })
+      },
+      errors: [400, 401, 403, 404, 429]
+    }
+  },
+  '/admin/keys/{id}/revoke': {
+    post: {
+      operationId: 'revokeKey',
+      tags: ['Admin'],
+      summary: 'Revoke an API key for good',
+      parameters: parameters(schemas.keyIdParams),
+      responses: { 200: json('Revoked', ref('ApiKey')) },
+      errors: [401, 403, 404, 409, 429]
+    }
+  },
+  '/admin/keys/{id}/rotate': {
+    post: {
+      operationId: 'rotateKey',
+      tags: ['Admin'],
+      summary: 'Replace the secret of an API key, keeping its id, quotas and usage',
+      parameters: parameters(schemas.keyIdParams),
+      responses: { 200: json('Rotated; the new key is only returned here', ref('ApiKeyWithSecret')) },
+      errors: [401, 403, 404, 409, 429]
+    }
+  }
+};
+
+// The pre-v1 paths still answer like their v1 counterparts
+const legacyAliases = {
+  '/api/v1/fetch': '/api/fetch',
+  '/api/v1/download': '/api/download'
+};
+
+function withErrors(operation) {
+  const { errors: statuses = [], ...rest } = operation;
+  const responses = { ...rest.responses };
+  statuses.forEach((status) => {
+    responses[status] = { $ref: '#/components/responses/Error', description: http.STATUS_CODES[status] };
+  });
+  return { ...rest, responses };
+}
+
+function buildPaths() {
+  const result = {};
+
+  Object.entries(paths).forEach(([path, operations]) => {
+    result[path] = {};
+    Object.entries(operations).forEach(([method, operation]) => {
+      const security = path.startsWith('/admin') ? [{ AdminBearer: [] }] : operation.security;
+      result[path][method] = withErrors({ ...operation, security: security || apiKeySecurity });
+    });
+  });
+
+  Object.entries(legacyAliases).forEach(([from, to]) => {
+    Object.keys(result)
+      .filter((path) => path === from || path.startsWith(`${from}/`))
+      .forEach((path) => {
+        const alias = to + path.slice(from.length);
+        result[alias] = {};
+        Object.entries(result[path]).forEach(([method, operation]) => {
+          result[alias][method] = {
+            ...operation,
+            operationId: `${operation.operationId}Legacy`,
+            deprecated: true,
+            description: `Alias of ${path}.`
+          };
+        });
+      });
+  });
+
+  return result;
+}
+
+let document;
+
+function buildOpenApi() {
+  if (!document) {
+    document = {
+      openapi: '3.1.0',
+      info: {
+        title: 'TikTok Downloader API',
+        version: '1.0.0',
+        description: 'Production-ready API for downloading TikTok videos'
+      },
+      tags: [
+        { name: 'Metadata' },
+        { name: 'Downloads' },
+        { name: 'Jobs' },
+        { name: 'Webhooks' },
+        { name: 'Keys' },
+        { name: 'Admin', description: 'Key management, authenticated with ADMIN_API_KEY' }
+      ],
+      paths: buildPaths(),
+      components
+    };
+  }
+  return document;
+}
+
+module.exports = { buildOpenApi, fieldSchema, parameters, bodySchema };
@@ -0,0 +1,20 @@
+/* eslint-env browser */
+/* global SwaggerUIBundle, SwaggerUIStandalonePreset */
+
+// Loaded by index.html at /api/docs/; the spec is /api/openapi.json
+window.onload = function() {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    validatorUrl: null,
+    presets: [
+      SwaggerUIBundle.presets.apis,
+      SwaggerUIStandalonePreset
+    ],
+    plugins: [
+      SwaggerUIBundle.plugins.DownloadUrl
+    ],
+    layout: 'StandaloneLayout'
+  });
+};
@@ -1,30 +1,160 @@
-const { logger } = require('../utils/logger');
+const crypto = require('crypto');
+const { logger, redactUrl } = require('../utils/logger');
+const { keyRegistry } = require('../services/keyRegistry');
+const { downloadSigner } = require('../utils/downloadSigner');
+const { AuthenticationError, ForbiddenError, QuotaExceededError } = require('../utils/errors');
+
+// Endpoints callable by any valid key and not counted against its quota
+const unmeteredEndpoints = new Set(['usage', 'webhooks']);
+
+// ALLOW_QUERY_API_KEY=false stops accepting ?apikey= so keys stay out of URLs.
+// A repeated ?apikey= parses to an array and counts as no key.
+function readKey(req) {
+  const fromQuery = process.env.ALLOW_QUERY_API_KEY !== 'false' ? req.query.apikey : undefined;
+  return req.get('X-API-Key') || (typeof fromQuery === 'string' ? fromQuery : undefined);
+}
+
+function endpointName(req) {
+  return req.baseUrl.split('/').filter(Boolean).pop() || '';
+}
+
+function secondsUntilMidnightUTC() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Attaches req.apiKey for a valid key without rejecting anything, so the
+// rate limiters (which run before route-level auth) can key on it.
+function identifyApiKey(req, res, next) {
+  const record = keyRegistry.find(readKey(req));
+
+  if (record && record.status === 'active') {
+    req.apiKey = record;
+    if (req.log) {
+      req.log = req.log.child({ apiKey: record.name });
+    }
+  }
+
+  next();
+}
+
+// Parameters a signed link may carry: the signed ones, plus include_audio, which
+// only adds the soundtrack to the slideshow the link already grants. Anything
+// else (callback_url above all) would let whoever sees the link do more than
+// was signed.
+const signedLinkParams = ['url', 'type', 'expires', 'kid', 'sub', 'sig', 'include_audio'];
+
+// Accepts a signed download link (see utils/downloadSigner) in place of an API
+// key. Links issued to a registry key act as that key, so revoking the key
+// also kills its links and downloads still count against its quotas.
+function signedLinkAuth(req, res, next) {
+  if (req.query.sig === undefined) {
+    return next();
+  }
+
+  const link = downloadSigner.verify(req.query);
+  if (!link.valid) {
+    return next(new ForbiddenError(link.reason));
+  }
+
+  const unsigned = Object.keys(req.query).find((name) => !signedLinkParams.includes(name));
+  if (unsigned) {
+    return next(new ForbiddenError(`Parameter "${unsigned}" is not allowed on a signed download link`));
+  }
+
+  if (link.sub) {
+    const record = keyRegistry.get(link.sub);
+    if (!record || record.status !== 'active') {
+      return next(new AuthenticationError('The API key this link was issued to is no longer active'));
+    }
+    req.apiKey = record;
+  }
+
+  req.signedLink = link;
+  // Lets pages on other origins use the link in <video src> / <img src>
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}
 
 function apiKeyAuth(req, res, next) {
-  const apiKeys = process.env.API_KEYS;
+  // If no keys are configured, skip auth (backwards compatible)
+  if (!keyRegistry.isEnabled()) {
+    return next();
+  }
 
-  // If API_KEYS not configured, skip auth (backwards compatible)
-  if (!apiKeys) {
+  if (req.signedLink && !req.apiKey) {
     return next();
   }
 
-  const validKeys = apiKeys.split(',').map((k) => k.trim()).filter(Boolean);
+  const record = req.apiKey || keyRegistry.find(readKey(req));
+
+  if (!record) {
+    logger.warn({ ip: req.ip, url: redactUrl(req.originalUrl) }, 'unauthorized request');
+    return next(new AuthenticationError('Invalid or missing API key'));
+  }
 
-  if (validKeys.length === 0) {
+  if (record.status !== 'active') {
+    logger.warn({ ip: req.ip, apiKey: record.name, status: record.status }, 'inactive API key used');
+    return next(new AuthenticationError(`API key is ${record.status}`));
+  }
+
+  const endpoint = endpointName(req);
+  if (unmeteredEndpoints.has(endpoint)) {
     return next();
   }
 
-  const key = req.get('X-API-Key') || req.query.apikey;
+  if (!keyRegistry.allows(record, endpoint)) {
+    return next(new ForbiddenError(`API key is not allowed to use the ${endpoint} endpoint`));
+  }
+
+  const daily = record.quotas.daily;
+  if (daily && keyRegistry.usageToday(record.id) >= daily) {
+    return next(new QuotaExceededError(`Daily quota of ${daily} requests exceeded for this API key`, {
+      details: { retryAfter: secondsUntilMidnightUTC() },
+    }));
+  }
+
+  keyRegistry.record(record.id, endpoint);
+  next();
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function bearerMatches(req, secret) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && Boolean(token) && crypto.timingSafeEqual(digest(token), digest(secret));
+}
+
+// Guards /admin with ADMIN_API_KEY sent as a bearer token. Regular API keys
+// are never accepted here, and the admin API is off when the variable is unset.
+function adminAuth(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return next(new ForbiddenError('Admin API is disabled. Set ADMIN_API_KEY to enable it.'));
+  }
+
+  if (!bearerMatches(req, adminKey)) {
+    logger.warn({ ip: req.ip, url: redactUrl(req.originalUrl) }, 'unauthorized admin request');
+    return next(new AuthenticationError('Invalid or missing admin credentials'));
+  }
+
+  next();
+}
+
+// /metrics is open unless METRICS_TOKEN is set, then it needs that bearer token
+function metricsAuth(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
 
-  if (!key || !validKeys.includes(key)) {
-    logger.warn({ ip: req.ip, url: req.originalUrl }, 'unauthorized request');
-    return res.status(401).json({
-      error: true,
-      message: 'Invalid or missing API key',
-    });
+  if (token && !bearerMatches(req, token)) {
+    logger.warn({ ip: req.ip }, 'unauthorized metrics request');
+    return next(new AuthenticationError('Invalid or missing metrics credentials'));
   }
 
   next();
 }
 
-module.exports = { apiKeyAuth };
+module.exports = { apiKeyAuth, identifyApiKey, signedLinkAuth, adminAuth, metricsAuth };
@@ -1,63 +1,122 @@
-const { logger } = require('../utils/logger');
+const http = require('http');
+const { validationResult } = require('express-validator');
+const { logger, redactUrl } = require('../utils/logger');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+
+// ERROR_FORMAT=problem answers every error as RFC 7807 application/problem+json;
+// otherwise only clients that ask for it in Accept get that format.
+const alwaysProblem = process.env.ERROR_FORMAT === 'problem';
+const problemTypeBase = process.env.PROBLEM_TYPE_BASE || 'urn:tiktok-downloader:problem:';
+
+// Map a thrown error to the status code and client-facing fields. Anything
+// that is not an AppError is an unexpected failure and answered as a 500,
+// except the 4xx errors Express itself raises (e.g. a malformed JSON body).
+const resolveError = (err) => {
+  if (err instanceof AppError) {
+    return {
+      statusCode: err.status,
+      code: err.code,
+      message: err.publicMessage,
+      retryable: err.retryable,
+      details: err.details
+    };
+  }
+
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return { statusCode: err.status, code: 'BAD_REQUEST', message: err.message, retryable: false };
+  }
+
+  return {
+    statusCode: 500,
+    code: AppError.code,
+    message: process.env.NODE_ENV === 'production'
+      ? 'Something went wrong. Please try again later.'
+      : 'Internal server error',
+    retryable: false
+  };
+};
+
+const wantsProblem = (req, res) => {
+  if (alwaysProblem) {
+    return true;
+  }
+  res.vary('Accept');
+  return req.accepts(['application/json', 'application/problem+json']) === 'application/problem+json';
+};
+
+// Writes the error body. A download may already have set file headers, which
+// must not describe the error. A retryAfter detail is sent as Retry-After too.
+const sendError = (req, res, err) => {
+  const { statusCode, code, message, retryable, details } = resolveError(err);
+
+  res.removeHeader('Content-Type');
+  res.removeHeader('Content-Disposition');
+  res.status(statusCode);
+  if (details?.retryAfter !== undefined) {
+    res.set('Retry-After', String(details.retryAfter));
+  }
+
+  if (wantsProblem(req, res)) {
+    return res.type('application/problem+json').json({
+      ...details,
+      type: problemTypeBase + code.toLowerCase().replace(/_/g, '-'),
+      title: http.STATUS_CODES[statusCode],
+      status: statusCode,
+      detail: message,
+      instance: redactUrl(req.originalUrl),
+      code,
+      requestId: req.id,
+      retryable
+    });
+  }
+
+  res.json({
+    error: true,
+    code,
+    message,
+    requestId: req.id,
+    retryable,
+    ...details
+  });
+};
 
 // Global error handler middleware
 const errorHandler = (err, req, res, next) => {
   const log = req.log || logger;
-  log.error(
+  const { statusCode } = resolveError(err);
+
+  log[statusCode >= 500 ? 'error' : 'warn'](
     {
       err,
-      url: req.url,
+      url: redactUrl(req.url),
       method: req.method,
       ip: req.ip,
     },
-    'unhandled error'
+    statusCode >= 500 ? 'unhandled error' : 'request failed'
   );
 
-  let statusCode = 500;
-  let message = 'Internal server error';
-
-  if (err.message.includes('Invalid or unsupported TikTok URL')) {
-    statusCode = 400;
-    message = 'Invalid or unsupported TikTok URL';
-  } else if (err.message.includes('Failed to fetch TikTok metadata')) {
-    statusCode = 422;
-    message = 'Unable to process TikTok URL. Please check if the video exists and is public.';
-  } else if (err.message.includes('Request timeout')) {
-    statusCode = 504;
-    message = 'Request timeout. TikTok server took too long to respond.';
-  } else if (err.message.includes('Network error')) {
-    statusCode = 503;
-    message = 'Service temporarily unavailable. Please try again later.';
-  } else if (err.message.includes('HTTP 403')) {
-    statusCode = 403;
-    message = 'Access denied by TikTok. This video may be private or region-locked.';
-  } else if (err.message.includes('HTTP 404')) {
-    statusCode = 404;
-    message = 'TikTok video not found. Please check the URL and try again.';
-  } else if (err.message.includes('Invalid download type')) {
-    statusCode = 400;
-    message = 'Invalid download type. Supported types: nowm, wm, audio';
-  } else if (err.message.includes('URL not allowed')) {
-    statusCode = 400;
-    message = 'URL not allowed for security reasons';
-  } else if (err.message.includes('validation')) {
-    statusCode = 400;
-    message = err.message;
+  if (res.headersSent) {
+    return res.destroy();
   }
 
-  if (process.env.NODE_ENV === 'production' && statusCode === 500) {
-    message = 'Something went wrong. Please try again later.';
+  sendError(req, res, err);
+};
+
+// Passes the first express-validator failure on as an error. Validators that
+// need a specific error type use withMessage(() => new SomeError()).
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return next();
   }
 
-  res.status(statusCode).json({ error: true, message });
+  const { msg } = errors.array()[0];
+  next(msg instanceof AppError ? msg : new ValidationError(msg));
 };
 
 // 404 handler for undefined routes
-const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    error: true,
-    message: `Route ${req.originalUrl} not found`
-  });
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${redactUrl(req.originalUrl)} not found`));
 };
 
 // Async error wrapper
@@ -67,6 +126,9 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 module.exports = {
   errorHandler,
+  resolveError,
+  sendError,
+  rejectInvalid,
   notFoundHandler,
   asyncHandler
 };
@@ -1,13 +1,35 @@
 const rateLimit = require('express-rate-limit');
+const { cache } = require('../utils/cache');
+const { CacheRateLimitStore } = require('../utils/rateLimitStore');
+const { metrics } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+const { RateLimitError } = require('../utils/errors');
+const { asyncHandler } = require('./errorHandler');
 
 const apiMax = parseInt(process.env.API_RATE_LIMIT, 10) || 30;
 const fetchMax = parseInt(process.env.FETCH_RATE_LIMIT, 10) || 20;
 const downloadMax = parseInt(process.env.DOWNLOAD_RATE_LIMIT, 10) || 10;
 
-// Rate limiting for API endpoints
+// retryAfter is seconds until the window resets, like a quota's
+function secondsUntilReset(req) {
+  if (!req.rateLimit?.resetTime) {
+    return 60;
+  }
+  return Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+}
+
+// Requests made with an API key are counted per key, anonymous ones per IP
+function rateLimitKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : req.ip;
+}
+
+// Rate limiting for API endpoints; a key's perMinute quota replaces the default
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: apiMax,
+  max: (req) => req.apiKey?.quotas?.perMinute || apiMax,
+  keyGenerator: rateLimitKey,
+  store: new CacheRateLimitStore(cache, { prefix: 'rl:api:' }),
+  passOnStoreError: true,
   message: {
     error: true,
     message: 'Too many requests from this IP, please try again later.',
@@ -15,15 +37,15 @@ const apiLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      error: true,
-      message: `Rate limit exceeded. Maximum ${apiMax} requests per minute allowed.`,
-      retryAfter: Math.round(req.rateLimit.resetTime / 1000)
-    });
+  handler: (req, res, next) => {
+    metrics.countRateLimited('api');
+    next(new RateLimitError(`Rate limit exceeded. Maximum ${req.rateLimit.limit} requests per minute allowed.`, {
+      details: { retryAfter: secondsUntilReset(req) }
+    }));
   },
   skip: (req) => {
-    return req.path === '/health' || req.path === '/';
+    return req.path === '/health' || req.path === '/' ||
+      req.path === '/openapi.json' || req.path.startsWith('/docs');
   }
 });
 
@@ -31,6 +53,9 @@ const apiLimiter = rateLimit({
 const downloadLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: downloadMax,
+  keyGenerator: rateLimitKey,
+  store: new CacheRateLimitStore(cache, { prefix: 'rl:download:' }),
+  passOnStoreError: true,
   message: {
     error: true,
     message: `Download rate limit exceeded. Maximum ${downloadMax} downloads per minute allowed.`,
@@ -38,19 +63,23 @@ const downloadLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      error: true,
-      message: `Download rate limit exceeded. Maximum ${downloadMax} downloads per minute allowed.`,
-      retryAfter: Math.round(req.rateLimit.resetTime / 1000)
-    });
+  handler: (req, res, next) => {
+    metrics.countRateLimited('download');
+    next(new RateLimitError(`Download rate limit exceeded. Maximum ${downloadMax} downloads per minute allowed.`, {
+      details: { retryAfter: secondsUntilReset(req) }
+    }));
   }
 });
 
 // Very strict rate limiting for metadata fetching to prevent abuse
+const fetchStore = new CacheRateLimitStore(cache, { prefix: 'rl:fetch:' });
+
 const fetchLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: fetchMax,
+  keyGenerator: rateLimitKey,
+  store: fetchStore,
+  passOnStoreError: true,
   message: {
     error: true,
     message: `Fetch rate limit exceeded. Maximum ${fetchMax} requests per minute allowed.`,
@@ -58,17 +87,62 @@ const fetchLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      error: true,
-      message: `Fetch rate limit exceeded. Maximum ${fetchMax} requests per minute allowed.`,
-      retryAfter: Math.round(req.rateLimit.resetTime / 1000)
-    });
+  handler: (req, res, next) => {
+    metrics.countRateLimited('fetch');
+    next(new RateLimitError(`Fetch rate limit exceeded. Maximum ${fetchMax} requests per minute allowed.`, {
+      details: { retryAfter: secondsUntilReset(req) }
+    }));
   }
 });
 
+// fetchLimiter charges a batch request once; this charges the remaining URLs
+// against the same store so a batch of n costs n fetches. Runs after fetchLimiter.
+// Like passOnStoreError on the limiters, a store failure lets the batch through.
+const fetchBatchLimiter = asyncHandler(async (req, res, next) => {
+  const size = Array.isArray(req.body?.urls) ? req.body.urls.length : 1;
+  const key = rateLimitKey(req);
+  let totalHits = req.rateLimit?.used || 0;
+  let charged = 0;
+
+  try {
+    for (; charged < size - 1; charged++) {
+      ({ totalHits } = await fetchStore.increment(key));
+    }
+  } catch (error) {
+    logger.error({ err: error, key }, 'rate limit store failed; letting batch through');
+    return next();
+  }
+
+  if (totalHits > fetchMax) {
+    // Refund the extra hits so a rejected batch only costs one request
+    try {
+      for (let i = 0; i < charged; i++) {
+        await fetchStore.decrement(key);
+      }
+    } catch (error) {
+      logger.error({ err: error, key }, 'rate limit store failed to refund a rejected batch');
+    }
+    metrics.countRateLimited('fetch_batch');
+    return next(new RateLimitError(
+      `Fetch rate limit exceeded. A batch of ${size} URLs counts as ${size} requests; maximum ${fetchMax} per minute allowed.`,
+      { details: { retryAfter: secondsUntilReset(req) } }
+    ));
+  }
+
+  if (req.rateLimit) {
+    req.rateLimit.used = totalHits;
+    req.rateLimit.remaining = Math.max(fetchMax - totalHits, 0);
+    res.set('RateLimit-Remaining', String(req.rateLimit.remaining));
+  }
+
+  next();
+});
+
 module.exports = {
+  fetchMax,
+  rateLimitKey,
   apiLimiter,
   downloadLimiter,
-  fetchLimiter
+  fetchLimiter,
+  fetchBatchLimiter
 };
@@ -0,0 +1,131 @@
+const express = require('express');
+const { keyRegistry } = require('../services/keyRegistry');
+const { logger } = require('../utils/logger');
+const { rejectInvalid } = require('../middleware/errorHandler');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { validate, keyIdParams, keyFields, usageQuery } = require('./schemas');
+
+const router = express.Router();
+
+function findKey(req, res, next) {
+  const record = keyRegistry.get(req.params.id);
+  if (!record) {
+    return next(new NotFoundError('API key not found'));
+  }
+  req.managedKey = record;
+  next();
+}
+
+function rejectRevoked(req, res, next) {
+  if (req.managedKey.status === 'revoked') {
+    return next(new ConflictError('API key is revoked; create a new key instead'));
+  }
+  next();
+}
+
+function pickQuotas(quotas = {}) {
+  const picked = {};
+  ['perMinute', 'daily'].forEach((name) => {
+    if (quotas[name] !== undefined) {
+      picked[name] = quotas[name];
+    }
+  });
+  return picked;
+}
+
+function keyView(record) {
+  return { ...keyRegistry.toJSON(record), usageToday: keyRegistry.usageToday(record.id) };
+}
+
+router.get('/keys', (req, res) => {
+  const keys = keyRegistry.list().map(keyView);
+  res.json({ count: keys.length, keys });
+});
+
+router.post('/keys',
+  validate(keyFields({ requireName: true })),
+  rejectInvalid,
+  (req, res) => {
+    const { record, key } = keyRegistry.create({
+      name: req.body.name,
+      quotas: pickQuotas(req.body.quotas),
+      endpoints: req.body.endpoints
+    });
+
+    logger.info({ keyId: record.id, name: record.name }, 'API key created');
+    res.status(201)
+      .location(`${req.baseUrl}/keys/${record.id}`)
+      .json({ ...keyView(record), key });
+  }
+);
+
+router.get('/keys/:id',
+  validate(keyIdParams),
+  validate(usageQuery),
+  rejectInvalid,
+  findKey,
+  (req, res) => {
+    const days = parseInt(req.query.days, 10) || 7;
+    res.json({ ...keyView(req.managedKey), usage: keyRegistry.getUsage(req.managedKey.id, days) });
+  }
+);
+
+router.get('/keys/:id/usage',
+  validate(keyIdParams),
+  validate(usageQuery),
+  rejectInvalid,
+  findKey,
+  (req, res) => {
+    const days = parseInt(req.query.days, 10) || 7;
+    res.json({ id: req.managedKey.id, usage: keyRegistry.getUsage(req.managedKey.id, days) });
+  }
+);
+
+router.patch('/keys/:id',
+  validate(keyIdParams),
+  validate(keyFields({ requireName: false })),
+  rejectInvalid,
+  findKey,
+  rejectRevoked,
+  (req, res) => {
+    const changes = {};
+    ['name', 'endpoints', 'status'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+    if (req.body.quotas) {
+      changes.quotas = pickQuotas(req.body.quotas);
+    }
+
+    const record = keyRegistry.update(req.managedKey, changes);
+    logger.info({ keyId: record.id, changes: Object.keys(changes) }, 'API key updated');
+    res.json(keyView(record));
+  }
+);
+
+router.post('/keys/:id/revoke',
+  validate(keyIdParams),
+  rejectInvalid,
+  findKey,
+  rejectRevoked,
+  (req, res) => {
+    const record = keyRegistry.revoke(req.managedKey);
+    logger.info({ keyId: record.id }, 'API key revoked');
+    res.json(keyView(record));
+  }
+);
+
+router.post('/keys/:id/rotate',
+  validate(keyIdParams),
+  rejectInvalid,
+  findKey,
+  rejectRevoked,
+  (req, res) => {
+    const { record, key } = keyRegistry.rotate(req.managedKey);
+    logger.info({ keyId: record.id }, 'API key rotated');
+    res.json({ ...keyView(record), key });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const path = require('path');
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApi } = require('../docs/openapi');
+const { publicBaseUrl } = require('../utils/publicUrl');
+
+const router = express.Router();
+
+// Endpoint overview, one entry per current (non-deprecated) /api/v1 operation
+function endpointIndex(spec) {
+  const endpoints = {};
+  Object.entries(spec.paths)
+    .filter(([route]) => route.startsWith('/api/v1/'))
+    .forEach(([route, operations]) => {
+      Object.entries(operations)
+        .filter(([, operation]) => !operation.deprecated)
+        .forEach(([method, operation]) => {
+          endpoints[operation.operationId] = {
+            method: method.toUpperCase(),
+            path: route.replace(/\{(\w+)\}/g, ':$1'),
+            description: operation.summary
+          };
+        });
+    });
+  return endpoints;
+}
+
+router.get('/', (req, res) => {
+  const spec = buildOpenApi();
+  res.json({
+    name: spec.info.title,
+    version: spec.info.version,
+    description: spec.info.description,
+    openapi: `${req.baseUrl}/openapi.json`,
+    docs: `${req.baseUrl}/docs/`,
+    endpoints: endpointIndex(spec)
+  });
+});
+
+router.get('/openapi.json', (req, res) => {
+  res.json({ ...buildOpenApi(), servers: [{ url: publicBaseUrl(req) }] });
+});
+
+// Swagger UI from swagger-ui-dist, with our own index.html and initializer
+// taking precedence over the bundled ones. The page's relative links need the
+// trailing slash.
+router.get('/docs', (req, res, next) => {
+  const [pathname, query] = req.originalUrl.split('?');
+  if (pathname.endsWith('/')) {
+    return next();
+  }
+  res.redirect(301, `${pathname}/${query ? `?${query}` : ''}`);
+});
+router.use('/docs',
+  express.static(path.join(__dirname, '../docs/ui')),
+  express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false })
+);
+
+module.exports = router;
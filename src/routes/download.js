@@ -1,96 +1,255 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
 const tiktokService = require('../services/tiktokService');
+const { createImageArchive } = require('../services/imageArchive');
+const { jobQueue } = require('../services/jobQueue');
 const httpClient = require('../utils/httpClient');
-const Validator = require('../utils/validator');
+const { mediaCache } = require('../utils/mediaCache');
+const { metrics } = require('../utils/metrics');
+const { startSpan } = require('../utils/tracing');
 const { downloadLimiter } = require('../middleware/rateLimit');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, rejectInvalid, sendError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { publicBaseUrl } = require('../utils/publicUrl');
+const { validate, downloadQuery } = require('./schemas');
+const {
+  DownloadUnavailableError,
+  RangeNotSatisfiableError,
+  StreamError
+} = require('../utils/errors');
 
 const router = express.Router();
 
-const validateDownloadRequest = [
-  query('url')
-    .notEmpty()
-    .withMessage('URL parameter is required')
-    .custom(async (value) => {
-      if (!Validator.isValidTikTokURL(value)) {
-        throw new Error('Invalid or unsupported TikTok URL');
+async function streamImageArchive(req, res, metadata, options) {
+  const log = req.log || logger;
+  const { archive, done, abort } = createImageArchive(metadata, { ...options, log });
+
+  req.on('close', () => {
+    if (!res.writableFinished) {
+      log.info('client disconnected during download');
+      abort();
+    }
+  });
+
+  archive.pipe(res);
+  archive.on('data', (chunk) => metrics.countBytes('images', chunk.length));
+
+  try {
+    await done;
+  } catch (error) {
+    archive.unpipe(res);
+    abort();
+    throw error;
+  }
+}
+
+// Range/If-Range are passed through so the CDN decides between 206 and 200.
+// Accept-Encoding is pinned to identity so byte offsets match the file.
+function rangeHeaders(req) {
+  const headers = { 'Accept-Encoding': 'identity' };
+  if (req.get('Range')) {
+    headers.Range = req.get('Range');
+  }
+  if (req.get('If-Range')) {
+    headers['If-Range'] = req.get('If-Range');
+  }
+  return headers;
+}
+
+function forwardRangeHeaders(response, res) {
+  const upstream = response.headers || {};
+
+  res.status(response.status === 206 ? 206 : 200);
+  res.set('Accept-Ranges', upstream['accept-ranges'] || 'bytes');
+
+  ['content-length', 'content-range', 'etag', 'last-modified'].forEach((name) => {
+    if (upstream[name]) {
+      res.set(name, upstream[name]);
+    }
+  });
+}
+
+// Span for the streaming phase, ended when the response closes; source says
+// where the bytes came from (archive, cache or cdn)
+function traceStream(res, type, source) {
+  const span = startSpan('download.stream', { 'download.type': type, 'download.source': source });
+  res.once('close', () => {
+    if (!res.writableFinished) {
+      span.setAttribute('http.response.aborted', true);
+    }
+    span.end();
+  });
+  return span;
+}
+
+// send() takes care of Range, If-Range, conditional requests and HEAD for
+// cached files. Resolves false when the file could not be read so the caller
+// can fall back to the CDN.
+function sendCachedFile(req, res, entry, type) {
+  res.set('X-Cache', 'HIT');
+
+  return new Promise((resolve) => {
+    res.sendFile(entry.path, { cacheControl: false }, (error) => {
+      if (!error && req.method !== 'HEAD' && [200, 206].includes(res.statusCode)) {
+        metrics.countBytes(type, parseInt(res.get('Content-Length'), 10) || 0);
       }
-      if (!Validator.isSSRFSafe(value)) {
-        throw new Error('URL not allowed for security reasons');
+      if (!error || res.headersSent) {
+        return resolve(true);
       }
-      return true;
-    }),
-  query('type')
-    .notEmpty()
-    .withMessage('Type parameter is required')
-    .custom(async (value) => {
-      if (!Validator.isValidDownloadType(value)) {
-        throw new Error('Invalid download type. Supported types: nowm, wm, audio');
+
+      if (error.status === 416) {
+        res.set('Content-Range', `bytes */${entry.size}`);
+        sendError(req, res, new RangeNotSatisfiableError());
+        return resolve(true);
       }
-      return true;
-    })
-];
+
+      (req.log || logger).warn({ err: error, file: entry.path }, 'cached media unreadable');
+      res.removeHeader('X-Cache');
+      resolve(false);
+    });
+  });
+}
 
 router.get('/',
   downloadLimiter,
-  validateDownloadRequest,
+  validate(downloadQuery),
+  rejectInvalid,
   asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: true,
-        message: errors.array()[0].msg
-      });
-    }
-
     const { url, type } = req.query;
+    const includeAudio = req.query.include_audio === 'true' || req.query.include_audio === '1';
     const log = req.log || logger;
 
+    // With a callback the file is downloaded by a background job instead
+    if (req.query.callback_url && req.method !== 'HEAD') {
+      const job = jobQueue.create({
+        url,
+        type,
+        includeAudio,
+        callback: { url: req.query.callback_url, baseUrl: publicBaseUrl(req), apiKeyId: req.apiKey?.id || null }
+      });
+      log.info({ jobId: job.id, url, type }, 'download queued for callback');
+
+      return res.status(202)
+        .location(`/api/v1/jobs/${job.id}`)
+        .json({
+          request_id: job.id,
+          status: 'accepted',
+          callback_url: req.query.callback_url,
+          links: {
+            job: `/api/v1/jobs/${job.id}`,
+            file: `/api/v1/jobs/${job.id}/file`,
+            webhook: `/api/v1/webhooks/${job.id}`
+          }
+        });
+    }
+
     try {
       log.info({ url, type }, 'download request');
 
       const metadata = await tiktokService.fetchMetadata(url);
+
+      if (type === 'images') {
+        if (!metadata.images || metadata.images.length === 0) {
+          throw new DownloadUnavailableError('images download not available for this video');
+        }
+
+        res.set({
+          'Content-Type': tiktokService.getContentType(type),
+          'Content-Disposition': `attachment; filename="${tiktokService.generateFilename(metadata, type)}"`,
+          'Cache-Control': 'no-cache, no-store, must-revalidate',
+          'Pragma': 'no-cache',
+          'Expires': '0',
+          'Accept-Ranges': 'none',
+          'X-Download-Type': type,
+          'X-Original-URL': url,
+          'X-Metadata-Provider': metadata.provider
+        });
+
+        // Archives are built on the fly, so the size is unknown up front
+        if (req.method === 'HEAD') {
+          return res.end();
+        }
+
+        log.info({ type, username: metadata.username, images: metadata.images.length }, 'streaming started');
+        metrics.trackStream(type, res);
+        traceStream(res, type, 'archive');
+        return await streamImageArchive(req, res, metadata, { includeAudio });
+      }
+
       const downloadUrl = tiktokService.resolveDownloadUrl(type, metadata);
 
       if (!downloadUrl) {
-        return res.status(404).json({
-          error: true,
-          message: `${type} download not available for this video`
-        });
+        throw new DownloadUnavailableError(`${type} download not available for this video`);
       }
 
-      const directUrl = await tiktokService.getDirectDownloadURL(downloadUrl);
       const filename = tiktokService.generateFilename(metadata, type);
-      const contentType = type === 'audio' ? 'audio/mpeg' : 'video/mp4';
+      const contentType = tiktokService.getContentType(type);
 
       res.set({
         'Content-Type': contentType,
         'Content-Disposition': `attachment; filename="${filename}"`,
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache',
-        'Expires': '0',
+        'Cache-Control': 'private, no-cache',
         'X-Download-Type': type,
-        'X-Original-URL': url
+        'X-Original-URL': url,
+        'X-Metadata-Provider': metadata.provider
       });
 
+      let span = null;
+      if (req.method !== 'HEAD') {
+        metrics.trackStream(type, res);
+        span = traceStream(res, type, 'cache');
+      }
+
+      const cached = mediaCache.lookup(metadata.video_id, type);
+      if (cached && await sendCachedFile(req, res, cached, type)) {
+        log.info({ type, username: metadata.username }, 'served from media cache');
+        return;
+      }
+      if (cached) {
+        mediaCache.forget(metadata.video_id, type);
+      }
+
+      res.set('X-Cache', 'MISS');
+      span?.setAttribute('download.source', 'cdn');
+      const directUrl = await tiktokService.getDirectDownloadURL(downloadUrl);
+
       const response = await httpClient.stream(directUrl, {
+        method: req.method === 'HEAD' ? 'HEAD' : 'GET',
         timeout: 60000,
-        responseType: 'stream'
+        responseType: 'stream',
+        headers: rangeHeaders(req),
+        beforeRedirect: tiktokService.guardMediaRedirect,
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 416
       });
 
+      if (response.status === 416) {
+        response.data?.destroy?.();
+        res.set('Content-Range', response.headers['content-range'] || 'bytes */*');
+        return sendError(req, res, new RangeNotSatisfiableError());
+      }
+
+      forwardRangeHeaders(response, res);
+
+      if (req.method === 'HEAD') {
+        response.data?.destroy?.();
+        return res.end();
+      }
+
       response.data.on('error', (error) => {
         log.error({ err: error }, 'stream error');
         if (!res.headersSent) {
-          res.status(500).json({
-            error: true,
-            message: 'Failed to stream file'
-          });
+          sendError(req, res, new StreamError(error.message));
         }
       });
 
       response.data.pipe(res);
+      response.data.on('data', (chunk) => metrics.countBytes(type, chunk.length));
+
+      // Only complete bodies are cached; ranged responses stream straight through
+      if (response.status !== 206) {
+        mediaCache.capture(metadata.video_id, type, tiktokService.getFileExtension(type), response.data, {
+          expectedBytes: parseInt(response.headers?.['content-length'], 10) || null
+        });
+      }
 
       log.info({ type, username: metadata.username }, 'streaming started');
 
@@ -105,20 +264,6 @@ router.get('/',
         return res.destroy();
       }
 
-      if (error.message.includes('Invalid or unsupported TikTok URL')) {
-        return res.status(400).json({
-          error: true,
-          message: 'Invalid or unsupported TikTok URL'
-        });
-      }
-
-      if (error.message.includes('Invalid download type')) {
-        return res.status(400).json({
-          error: true,
-          message: 'Invalid download type. Supported types: nowm, wm, audio'
-        });
-      }
-
       throw error;
     }
   })
@@ -1,76 +1,197 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
 const tiktokService = require('../services/tiktokService');
 const Validator = require('../utils/validator');
-const { fetchLimiter } = require('../middleware/rateLimit');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { fetchLimiter, fetchBatchLimiter } = require('../middleware/rateLimit');
+const { asyncHandler, resolveError, rejectInvalid } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { parseFields, buildRichFields } = require('../utils/richMetadata');
+const { downloadSigner } = require('../utils/downloadSigner');
+const { keyRegistry } = require('../services/keyRegistry');
+const { webhookDispatcher } = require('../services/webhookDispatcher');
+const { publicBaseUrl } = require('../utils/publicUrl');
+const { validate, fetchQuery, fetchBatchBody } = require('./schemas');
+const {
+  ValidationError,
+  InvalidUrlError,
+  UrlNotAllowedError,
+  AuthenticationError,
+  MetadataUnavailableError
+} = require('../utils/errors');
 
 const router = express.Router();
 
-const validateFetchRequest = [
-  query('url')
-    .notEmpty()
-    .withMessage('URL parameter is required')
-    .custom(async (value) => {
-      if (!Validator.isValidTikTokURL(value)) {
-        throw new Error('Invalid or unsupported TikTok URL');
-      }
-      if (!Validator.isSSRFSafe(value)) {
-        throw new Error('URL not allowed for security reasons');
-      }
-      return true;
-    })
-];
+const batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+function buildFetchResponse(metadata, fields) {
+  const response = {
+    username: metadata.username || '',
+    caption: metadata.caption || '',
+    thumbnail: metadata.thumbnail || '',
+    no_wm: metadata.no_wm || '',
+    wm: metadata.wm || metadata.no_wm || '',
+    audio: metadata.audio || '',
+    provider: metadata.provider,
+    ...buildRichFields(metadata, fields)
+  };
+
+  if (metadata.images && metadata.images.length > 0) {
+    response.images = metadata.images;
+  }
+
+  return response;
+}
+
+// Signed /download links for every type the video offers. Links issued to a
+// registry key carry its id; env keys have no record to bind to.
+function buildDownloadLinks(req, url, metadata) {
+  const base = publicBaseUrl(req);
+  const sub = keyRegistry.get(req.apiKey.id) ? req.apiKey.id : undefined;
+  const types = ['nowm', 'wm', 'audio'].filter((type) => tiktokService.resolveDownloadUrl(type, metadata));
+
+  if (metadata.images && metadata.images.length > 0) {
+    types.push('images');
+  }
+
+  const links = {};
+  let expires;
+  types.forEach((type) => {
+    const params = downloadSigner.sign({ url, type, sub });
+    expires = params.expires;
+    links[type] = `${base}/api/v1/download?${new URLSearchParams(params)}`;
+  });
+
+  return {
+    download_links: links,
+    download_links_expire_at: new Date(parseInt(expires, 10) * 1000).toISOString()
+  };
+}
+
+async function fetchVideo(req, signedLinks) {
+  const { url, fields, detail } = req.query;
+  const metadata = await tiktokService.fetchMetadata(url);
+
+  if (!metadata.username) {
+    throw new MetadataUnavailableError('Failed to extract video metadata');
+  }
+
+  const response = buildFetchResponse(metadata, parseFields(fields, detail));
+
+  if (signedLinks) {
+    Object.assign(response, buildDownloadLinks(req, url, metadata));
+  }
+
+  return response;
+}
+
+// Per-item checks mirror the fetchQuery url schema so a bad URL fails only its own slot
+function validateBatchUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return new ValidationError('URL parameter is required');
+  }
+  if (!Validator.isValidTikTokURL(url)) {
+    return new InvalidUrlError();
+  }
+  if (!Validator.isSSRFSafe(url)) {
+    return new UrlNotAllowedError();
+  }
+  return null;
+}
+
+// Error entry of a batch result or fetch.failed callback
+function failedResult(url, error) {
+  const { statusCode, code, message, retryable } = resolveError(error);
+  return { url, status: statusCode, error: true, code, message, retryable };
+}
 
 router.get('/',
   fetchLimiter,
-  validateFetchRequest,
+  validate(fetchQuery),
+  rejectInvalid,
   asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: true,
-        message: errors.array()[0].msg
+    const { url } = req.query;
+    const signedLinks = req.query.signed_links === 'true' || req.query.signed_links === '1';
+    const log = req.log || logger;
+
+    if (signedLinks && !downloadSigner.isEnabled()) {
+      throw new ValidationError('Signed download links are not configured on this server');
+    }
+
+    if (signedLinks && !req.apiKey) {
+      throw new AuthenticationError('Signed download links require an API key');
+    }
+
+    if (req.query.callback_url) {
+      const delivery = webhookDispatcher.create({
+        callbackUrl: req.query.callback_url,
+        apiKeyId: req.apiKey?.id || null
+      });
+      log.info({ url, deliveryId: delivery.id }, 'fetch queued for callback');
+
+      // Same shape as a batch result, delivered as fetch.completed or fetch.failed
+      fetchVideo(req, signedLinks).then(
+        (data) => webhookDispatcher.send(delivery, 'fetch.completed', { url, status: 200, data }),
+        (error) => {
+          log.warn({ url, err: error }, 'fetch for callback failed');
+          return webhookDispatcher.send(delivery, 'fetch.failed', failedResult(url, error));
+        }
+      );
+
+      return res.status(202).json({
+        request_id: delivery.id,
+        status: 'accepted',
+        callback_url: req.query.callback_url,
+        links: { webhook: `/api/v1/webhooks/${delivery.id}` }
       });
     }
 
-    const { url } = req.query;
-    const log = req.log || logger;
+    log.info({ url }, 'fetch request');
 
-    try {
-      log.info({ url }, 'fetch request');
+    const response = await fetchVideo(req, signedLinks);
 
-      const metadata = await tiktokService.fetchMetadata(url);
+    log.info({ username: response.username, provider: response.provider }, 'fetch success');
 
-      if (!metadata.username) {
-        throw new Error('Failed to extract video metadata');
+    res.json(response);
+  })
+);
+
+router.post('/batch',
+  fetchLimiter,
+  validate(fetchBatchBody),
+  // Reject a malformed batch before fetchBatchLimiter charges it by size
+  rejectInvalid,
+  fetchBatchLimiter,
+  asyncHandler(async (req, res) => {
+    const { urls, fields, detail } = req.body;
+    const selectedFields = parseFields(fields, detail);
+    const log = req.log || logger;
+
+    log.info({ count: urls.length }, 'batch fetch request');
+
+    const results = await mapWithConcurrency(urls, batchConcurrency, async (url) => {
+      const invalid = validateBatchUrl(url);
+      if (invalid) {
+        return failedResult(url, invalid);
       }
 
-      const response = {
-        username: metadata.username || '',
-        caption: metadata.caption || '',
-        thumbnail: metadata.thumbnail || '',
-        no_wm: metadata.no_wm || '',
-        wm: metadata.wm || metadata.no_wm || '',
-        audio: metadata.audio || ''
-      };
-
-      log.info({ username: metadata.username }, 'fetch success');
-
-      res.json(response);
-    } catch (error) {
-      log.error({ url, err: error }, 'fetch error');
-
-      if (error.message.includes('Invalid or unsupported TikTok URL')) {
-        return res.status(400).json({
-          error: true,
-          message: 'Invalid or unsupported TikTok URL'
-        });
+      try {
+        const metadata = await tiktokService.fetchMetadata(url);
+        return { url, status: 200, data: buildFetchResponse(metadata, selectedFields) };
+      } catch (error) {
+        log.warn({ url, err: error }, 'batch item failed');
+        return failedResult(url, error);
       }
+    });
 
-      throw error;
-    }
+    const failed = results.filter((result) => result.error).length;
+    log.info({ count: urls.length, failed }, 'batch fetch complete');
+
+    res.json({
+      count: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
   })
 );
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const { cache } = require('../utils/cache');
+const { mediaCache } = require('../utils/mediaCache');
+const { proxyPool } = require('../utils/proxyPool');
+const tiktokService = require('../services/tiktokService');
+const { readiness } = require('../services/readiness');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Health check with cache stats
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    version: process.version,
+    cache: { ...await cache.getStats(), media: mediaCache.getStats() },
+    providers: tiktokService.getProviderHealth(),
+    proxies: proxyPool.getStats()
+  });
+}));
+
+// Liveness: the process is up and serving; dependencies are not checked so an
+// upstream outage never gets the instance restarted
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness: 503 while dependencies are down or the server is shutting down
+router.get('/ready', asyncHandler(async (req, res) => {
+  const result = await readiness.status();
+  res.status(result.ready ? 200 : 503).json(result);
+}));
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { jobQueue } = require('../services/jobQueue');
+const { downloadLimiter } = require('../middleware/rateLimit');
+const { asyncHandler, rejectInvalid } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { publicBaseUrl } = require('../utils/publicUrl');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { validate, jobBody, jobIdParams } = require('./schemas');
+
+const router = express.Router();
+
+function jobLinks(req, job) {
+  const base = `${req.baseUrl}/${job.id}`;
+  const links = { self: base, file: `${base}/file` };
+  if (job.callback) {
+    links.webhook = `/api/v1/webhooks/${job.id}`;
+  }
+  return links;
+}
+
+function findJob(req, res, next) {
+  const errors = validationResult(req);
+  const job = errors.isEmpty() ? jobQueue.get(req.params.id) : null;
+
+  if (!job) {
+    return next(new NotFoundError('Job not found'));
+  }
+
+  req.job = job;
+  next();
+}
+
+router.post('/',
+  downloadLimiter,
+  validate(jobBody),
+  rejectInvalid,
+  asyncHandler(async (req, res) => {
+    const { url, type } = req.body;
+    const includeAudio = req.body.include_audio === true || req.body.include_audio === 'true';
+    const log = req.log || logger;
+
+    const callback = req.body.callback_url
+      ? { url: req.body.callback_url, baseUrl: publicBaseUrl(req), apiKeyId: req.apiKey?.id || null }
+      : null;
+
+    const job = jobQueue.create({ url, type, includeAudio, callback });
+    log.info({ jobId: job.id, url, type }, 'job queued');
+
+    res.status(202)
+      .location(jobLinks(req, job).self)
+      .json({ ...jobQueue.toJSON(job), links: jobLinks(req, job) });
+  })
+);
+
+router.get('/:id',
+  validate(jobIdParams),
+  findJob,
+  (req, res) => {
+    const { job } = req;
+    res.json({ ...jobQueue.toJSON(job), links: jobLinks(req, job) });
+  }
+);
+
+router.get('/:id/file',
+  validate(jobIdParams),
+  findJob,
+  (req, res, next) => {
+    const { job } = req;
+
+    if (job.status !== 'done') {
+      const message = job.status === 'failed'
+        ? `Job failed: ${job.error}`
+        : `Job is ${job.status}; the file is not ready yet`;
+      return next(new ConflictError(message, { details: { status: job.status } }));
+    }
+
+    res.set('Content-Type', job.contentType);
+    res.download(job.filePath, job.filename, (err) => {
+      if (err && !res.headersSent) {
+        next(err);
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const { checkSchema } = require('express-validator');
+const Validator = require('../utils/validator');
+const { webhookDispatcher } = require('../services/webhookDispatcher');
+const { RICH_FIELDS, parseFields } = require('../utils/richMetadata');
+const { InvalidUrlError, UrlNotAllowedError, InvalidDownloadTypeError } = require('../utils/errors');
+const { fetchMax } = require('../middleware/rateLimit');
+
+// Request schemas in express-validator's checkSchema format. validate() turns
+// them into the routes' validation chains and docs/openapi.js builds the
+// OpenAPI parameters from the same objects. description, example and openapi
+// (extra JSON Schema keywords) are documentation only.
+const docKeys = ['description', 'example', 'openapi'];
+
+function validate(schema) {
+  const rules = {};
+  Object.entries(schema).forEach(([field, config]) => {
+    rules[field] = Object.fromEntries(Object.entries(config).filter(([key]) => !docKeys.includes(key)));
+  });
+  return checkSchema(rules);
+}
+
+const DOWNLOAD_TYPES = ['nowm', 'wm', 'audio', 'images'];
+const KEY_ENDPOINTS = ['*', 'fetch', 'download', 'jobs'];
+const KEY_STATUSES = ['active', 'disabled'];
+// A batch costs one fetch per URL, so a bigger one could never pass the fetch limit
+const batchMaxUrls = Math.min(parseInt(process.env.BATCH_MAX_URLS, 10) || 25, fetchMax);
+
+function tiktokUrl(location) {
+  return {
+    in: [location],
+    notEmpty: { errorMessage: 'URL parameter is required', bail: true },
+    isTikTokUrl: {
+      custom: (value) => Validator.isValidTikTokURL(value),
+      errorMessage: () => new InvalidUrlError(),
+      bail: true
+    },
+    isPublicUrl: {
+      custom: (value) => Validator.isSSRFSafe(value),
+      errorMessage: () => new UrlNotAllowedError()
+    },
+    description: 'TikTok video URL',
+    example: 'https://www.tiktok.com/@username/video/1234567890',
+    openapi: { format: 'uri' }
+  };
+}
+
+function downloadType(location, description) {
+  return {
+    in: [location],
+    notEmpty: { errorMessage: 'Type parameter is required', bail: true },
+    isIn: { options: [DOWNLOAD_TYPES], errorMessage: () => new InvalidDownloadTypeError() },
+    description
+  };
+}
+
+function includeAudio(location) {
+  return {
+    in: [location],
+    optional: true,
+    isBoolean: true,
+    errorMessage: 'include_audio must be true or false',
+    description: 'With type=images, also add the background audio to the ZIP'
+  };
+}
+
+function callbackUrl(location, description) {
+  return {
+    in: [location],
+    optional: true,
+    isAllowedCallback: {
+      custom: async (value) => {
+        const problem = await webhookDispatcher.checkCallbackUrl(value);
+        if (problem) {
+          throw new Error(problem);
+        }
+        return true;
+      }
+    },
+    description,
+    openapi: { format: 'uri' }
+  };
+}
+
+// Shared by the query-string (GET) and JSON body (batch) fetch requests
+function detailOptions(location) {
+  return {
+    detail: {
+      in: [location],
+      optional: true,
+      isIn: { options: [['basic', 'full']] },
+      errorMessage: 'Invalid detail level. Supported values: basic, full',
+      description: 'full adds every optional field to the response'
+    },
+    fields: {
+      in: [location],
+      optional: true,
+      knownFields: {
+        custom: async (value) => {
+          const unknown = parseFields(value).filter((field) => !RICH_FIELDS.includes(field));
+          if (unknown.length > 0) {
+            throw new Error(
+              `Unknown fields: ${unknown.join(', ')}. Supported fields: ${RICH_FIELDS.join(', ')}`
+            );
+          }
+          return true;
+        }
+      },
+      description: `Comma-separated optional fields: ${RICH_FIELDS.join(', ')}`,
+      example: 'stats,music'
+    }
+  };
+}
+
+const fetchQuery = {
+  url: tiktokUrl('query'),
+  ...detailOptions('query'),
+  signed_links: {
+    in: ['query'],
+    optional: true,
+    isBoolean: true,
+    errorMessage: 'signed_links must be true or false',
+    description: 'With an API key, add expiring signed download_links that work without the key'
+  },
+  callback_url: callbackUrl('query', 'Answer 202 with a request_id and POST the result to this URL when it is ready')
+};
+
+const fetchBatchBody = {
+  urls: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: batchMaxUrls } },
+    errorMessage: `urls must be an array of 1 to ${batchMaxUrls} TikTok URLs`,
+    description: 'TikTok video URLs; each one is validated on its own',
+    openapi: { items: { type: 'string', format: 'uri' } }
+  },
+  ...detailOptions('body')
+};
+
+const downloadQuery = {
+  url: tiktokUrl('query'),
+  type: downloadType('query', 'nowm (no watermark), wm (with watermark), audio, images (ZIP of photo slideshow images)'),
+  include_audio: includeAudio('query'),
+  callback_url: callbackUrl('query', 'Queue the download as a job (202) and POST the result to this URL when it is done')
+};
+
+const jobBody = {
+  url: tiktokUrl('body'),
+  type: downloadType('body', 'Same as the download type parameter'),
+  include_audio: includeAudio('body'),
+  callback_url: callbackUrl('body', 'POST the finished job to this URL')
+};
+
+function uuidParam(errorMessage, description) {
+  return {
+    id: { in: ['params'], isUUID: true, errorMessage, description }
+  };
+}
+
+const jobIdParams = uuidParam('Invalid job id', 'Job id');
+const webhookIdParams = uuidParam('Invalid request id', 'request_id of the callback request');
+
+const usageQuery = {
+  days: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 90 } },
+    errorMessage: 'days must be an integer between 1 and 90',
+    description: 'Number of days to return, most recent first (default 7)'
+  }
+};
+
+const keyIdParams = {
+  id: { in: ['params'], isString: true, notEmpty: true, description: 'API key id' }
+};
+
+// Shared by create and update; on update every field is optional
+function keyFields({ requireName }) {
+  const quota = (description) => ({
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isInt: { options: { min: 1 } },
+    errorMessage: 'quotas must be positive integers (or null to remove)',
+    toInt: true,
+    description
+  });
+
+  return {
+    name: {
+      in: ['body'],
+      exists: requireName,
+      optional: !requireName,
+      isString: true,
+      trim: true,
+      isLength: { options: { min: 1, max: 100 } },
+      errorMessage: 'name must be a non-empty string of at most 100 characters',
+      description: 'Label shown in logs and the admin API'
+    },
+    quotas: {
+      in: ['body'],
+      optional: true,
+      isObject: true,
+      errorMessage: 'quotas must be an object',
+      description: 'Limits for this key; omitted limits fall back to the server defaults'
+    },
+    'quotas.perMinute': quota('Requests per minute, replacing API_RATE_LIMIT; null removes it'),
+    'quotas.daily': quota('Requests per UTC day; null removes it'),
+    endpoints: {
+      in: ['body'],
+      optional: true,
+      isArray: { options: { min: 1 } },
+      errorMessage: 'endpoints must be a non-empty array',
+      description: 'Endpoints the key may call; * allows all'
+    },
+    'endpoints.*': {
+      in: ['body'],
+      isIn: { options: [KEY_ENDPOINTS] },
+      errorMessage: `endpoints must be any of: ${KEY_ENDPOINTS.join(', ')}`
+    },
+    status: {
+      in: ['body'],
+      optional: true,
+      isIn: { options: [KEY_STATUSES] },
+      errorMessage: `status must be one of: ${KEY_STATUSES.join(', ')}`,
+      description: 'A disabled key is rejected until it is enabled again'
+    }
+  };
+}
+
+module.exports = {
+  validate,
+  DOWNLOAD_TYPES,
+  fetchQuery,
+  fetchBatchBody,
+  downloadQuery,
+  jobBody,
+  jobIdParams,
+  webhookIdParams,
+  usageQuery,
+  keyIdParams,
+  keyFields
+};
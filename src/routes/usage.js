@@ -0,0 +1,28 @@
+const express = require('express');
+const { keyRegistry } = require('../services/keyRegistry');
+const { rejectInvalid } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errors');
+const { validate, usageQuery } = require('./schemas');
+
+const router = express.Router();
+
+// Usage of the API key making the request, most recent day first
+router.get('/',
+  validate(usageQuery),
+  rejectInvalid,
+  (req, res, next) => {
+    if (!req.apiKey) {
+      return next(new NotFoundError('Usage is only tracked for requests made with an API key'));
+    }
+
+    const { id, name, quotas, endpoints } = req.apiKey;
+    const days = parseInt(req.query.days, 10) || 7;
+
+    res.json({
+      key: { id, name, quotas, endpoints },
+      usage: keyRegistry.getUsage(id, days)
+    });
+  }
+);
+
+module.exports = router;
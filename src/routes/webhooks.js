@@ -0,0 +1,23 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { webhookDispatcher } = require('../services/webhookDispatcher');
+const { NotFoundError } = require('../utils/errors');
+const { validate, webhookIdParams } = require('./schemas');
+
+const router = express.Router();
+
+// Delivery log of one callback. Only the key that made the request sees it.
+router.get('/:id',
+  validate(webhookIdParams),
+  (req, res, next) => {
+    const delivery = validationResult(req).isEmpty() ? webhookDispatcher.get(req.params.id) : null;
+
+    if (!delivery || delivery.apiKeyId !== (req.apiKey?.id || null)) {
+      return next(new NotFoundError('Webhook delivery not found'));
+    }
+
+    res.json(webhookDispatcher.toJSON(delivery));
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const path = require('path');
+const archiver = require('archiver');
+const httpClient = require('../utils/httpClient');
+const tiktokService = require('./tiktokService');
+const { logger } = require('../utils/logger');
+
+const imageExtensions = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+};
+
+function imageExtension(contentType, url) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (imageExtensions[mime]) {
+    return imageExtensions[mime];
+  }
+  try {
+    const ext = path.extname(new URL(url).pathname).toLowerCase();
+    return Object.values(imageExtensions).includes(ext) ? ext : '.jpg';
+  } catch {
+    return '.jpg';
+  }
+}
+
+// Resolves once archiver has consumed the entry, so slides are fetched one at a time.
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+}
+
+// Builds a ZIP of a photo post's slides (plus the background audio when asked).
+// `archive` is a readable stream to pipe somewhere; `done` settles once every
+// entry has been written or the first upstream error occurs, and resolves
+// right away on abort(), which also releases the upstream stream being read.
+// Throws MediaHostNotAllowedError up front when any source is off the allow-list.
+function createImageArchive(metadata, options = {}) {
+  const log = options.log || logger;
+  const includeAudio = Boolean(options.includeAudio && metadata.audio);
+  metadata.images.forEach((url) => tiktokService.assertAllowedMediaURL(url));
+  if (includeAudio) {
+    tiktokService.assertAllowedMediaURL(metadata.audio);
+  }
+
+  // Slides are already compressed images, so store them without deflating
+  const archive = archiver('zip', { store: true });
+  let aborted = false;
+  let current = null;
+  let onAbort;
+  const aborting = new Promise((resolve) => {
+    onAbort = resolve;
+  });
+
+  archive.on('warning', (error) => {
+    log.warn({ err: error }, 'zip warning');
+  });
+
+  const abort = () => {
+    aborted = true;
+    if (current) {
+      current.destroy();
+    }
+    archive.abort();
+    onAbort();
+  };
+
+  // Resolves to the upstream response, or null once aborted; a response that
+  // arrives after the abort is released unread
+  const fetchSource = async (url) => {
+    if (aborted) {
+      return null;
+    }
+    const request = httpClient.stream(url, {
+      timeout: 60000,
+      responseType: 'stream',
+      beforeRedirect: tiktokService.guardMediaRedirect
+    });
+    const response = await Promise.race([request, aborting]);
+    if (aborted) {
+      request.then((late) => late.data.destroy(), () => {});
+      return null;
+    }
+    current = response.data;
+    return response;
+  };
+
+  const addEntry = async (response, name) => {
+    await Promise.race([appendEntry(archive, response.data, name), aborting]);
+    current = null;
+  };
+
+  const fill = async () => {
+    const digits = String(metadata.images.length).length;
+
+    for (const [index, imageUrl] of metadata.images.entries()) {
+      const response = await fetchSource(imageUrl);
+      if (!response) {
+        return;
+      }
+      const ext = imageExtension(response.headers?.['content-type'], imageUrl);
+      await addEntry(response, `${String(index + 1).padStart(digits, '0')}${ext}`);
+    }
+
+    if (includeAudio) {
+      const response = await fetchSource(metadata.audio);
+      if (!response) {
+        return;
+      }
+      await addEntry(response, 'audio.mp3');
+    }
+
+    if (!aborted) {
+      await archive.finalize();
+    }
+  };
+
+  return { archive, done: fill(), abort };
+}
+
+module.exports = { createImageArchive, imageExtension };
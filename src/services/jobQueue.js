@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const tiktokService = require('./tiktokService');
+const { createImageArchive } = require('./imageArchive');
+const httpClient = require('../utils/httpClient');
+const { webhookDispatcher } = require('./webhookDispatcher');
+const { logger } = require('../utils/logger');
+const { DownloadUnavailableError } = require('../utils/errors');
+
+const defaultStorageDir = process.env.JOBS_DIR || path.join(process.cwd(), 'storage', 'jobs');
+const defaultConcurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const defaultRetentionMs = (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Background downloads written to local storage. Job state lives in memory and
+// is mirrored to <storageDir>/jobs.json so queued work survives a restart.
+class JobQueue {
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || defaultStorageDir;
+    this.filesDir = path.join(this.storageDir, 'files');
+    this.stateFile = path.join(this.storageDir, 'jobs.json');
+    this.concurrency = options.concurrency || defaultConcurrency;
+    this.retentionMs = options.retentionMs || defaultRetentionMs;
+    this.jobs = new Map();
+    this.active = 0;
+    this.initialized = false;
+    this.saving = Promise.resolve();
+    this.idleWaiters = [];
+  }
+
+  init() {
+    if (this.initialized) {
+      return;
+    }
+    this.initialized = true;
+
+    fs.mkdirSync(this.filesDir, { recursive: true });
+
+    if (fs.existsSync(this.stateFile)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        saved.forEach((job) => this.restore(job));
+      } catch (error) {
+        logger.error({ err: error, file: this.stateFile }, 'failed to load job state');
+      }
+    }
+
+    this.purgeExpired();
+    this.cleanupTimer = setInterval(() => this.purgeExpired(), 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+
+    this.pump();
+  }
+
+  // Interrupted jobs restart from scratch; finished jobs whose file vanished fail
+  restore(job) {
+    if (job.status === 'running') {
+      this.removeFile(job.tempPath);
+      job.status = 'queued';
+      job.progress = { bytes: 0, total: null };
+      job.startedAt = null;
+    }
+
+    if (job.status === 'done' && !fs.existsSync(job.filePath)) {
+      job.status = 'failed';
+      job.error = 'Downloaded file is no longer available';
+    }
+
+    this.jobs.set(job.id, job);
+  }
+
+  // callback ({ url, baseUrl, apiKeyId }) asks for a webhook when the job finishes
+  create({ url, type, includeAudio = false, callback = null }) {
+    this.init();
+
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      url,
+      type,
+      includeAudio,
+      callback,
+      status: 'queued',
+      progress: { bytes: 0, total: null },
+      error: null,
+      filename: null,
+      contentType: tiktokService.getContentType(type),
+      filePath: path.join(this.filesDir, `${id}${tiktokService.getFileExtension(type)}`),
+      tempPath: path.join(this.filesDir, `${id}.part`),
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    if (callback) {
+      webhookDispatcher.create({ id, callbackUrl: callback.url, apiKeyId: callback.apiKeyId });
+    }
+
+    this.jobs.set(id, job);
+    this.persist();
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    this.init();
+    return this.jobs.get(id) || null;
+  }
+
+  // Public view of a job without local filesystem paths
+  toJSON(job) {
+    return {
+      id: job.id,
+      url: job.url,
+      type: job.type,
+      status: job.status,
+      progress: { ...job.progress },
+      error: job.error,
+      filename: job.filename,
+      callbackUrl: job.callback ? job.callback.url : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  pump() {
+    while (this.active < this.concurrency) {
+      const next = [...this.jobs.values()].find((job) => job.status === 'queued');
+      if (!next) {
+        break;
+      }
+      this.run(next);
+    }
+
+    if (this.active === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  async run(job) {
+    this.active++;
+    this.update(job, { status: 'running', startedAt: new Date().toISOString() });
+    logger.info({ jobId: job.id, type: job.type }, 'job started');
+
+    try {
+      await this.download(job);
+      this.update(job, { status: 'done', finishedAt: new Date().toISOString() });
+      logger.info({ jobId: job.id, bytes: job.progress.bytes }, 'job finished');
+    } catch (error) {
+      this.removeFile(job.tempPath);
+      this.update(job, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+      logger.error({ jobId: job.id, err: error }, 'job failed');
+    } finally {
+      this.active--;
+      this.notify(job);
+      this.pump();
+    }
+  }
+
+  // The delivery is recreated if it was lost, e.g. the job was restored after a restart
+  notify(job) {
+    if (!job.callback) {
+      return;
+    }
+
+    const { url, baseUrl, apiKeyId } = job.callback;
+    const delivery = webhookDispatcher.get(job.id) || webhookDispatcher.create({ id: job.id, callbackUrl: url, apiKeyId });
+    const self = `${baseUrl}/api/v1/jobs/${job.id}`;
+    const event = job.status === 'done' ? 'download.completed' : 'download.failed';
+
+    webhookDispatcher.send(delivery, event, {
+      job: this.toJSON(job),
+      links: job.status === 'done' ? { self, file: `${self}/file` } : { self },
+    });
+  }
+
+  async download(job) {
+    const metadata = await tiktokService.fetchMetadata(job.url);
+    job.filename = tiktokService.generateFilename(metadata, job.type);
+
+    let source;
+    let archiveDone = Promise.resolve();
+
+    if (job.type === 'images') {
+      if (!metadata.images || metadata.images.length === 0) {
+        throw new DownloadUnavailableError('images download not available for this video');
+      }
+      const { archive, done } = createImageArchive(metadata, { includeAudio: job.includeAudio });
+      source = archive;
+      archiveDone = done.catch((error) => {
+        archive.destroy(error);
+        throw error;
+      });
+    } else {
+      const downloadUrl = tiktokService.resolveDownloadUrl(job.type, metadata);
+      if (!downloadUrl) {
+        throw new DownloadUnavailableError(`${job.type} download not available for this video`);
+      }
+      const directUrl = await tiktokService.getDirectDownloadURL(downloadUrl);
+      // Nobody is waiting on the response, so the full default retry policy applies
+      const response = await httpClient.stream(directUrl, {
+        timeout: 60000,
+        responseType: 'stream',
+        retry: 'default',
+        beforeRedirect: tiktokService.guardMediaRedirect
+      });
+      const total = parseInt(response.headers?.['content-length'], 10);
+      job.progress.total = Number.isNaN(total) ? null : total;
+      source = response.data;
+    }
+
+    source.on('data', (chunk) => {
+      job.progress.bytes += chunk.length;
+    });
+
+    await Promise.all([pipeline(source, fs.createWriteStream(job.tempPath)), archiveDone]);
+    await fs.promises.rename(job.tempPath, job.filePath);
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  // Writes are chained so the state file always reflects the latest update
+  persist() {
+    const snapshot = JSON.stringify([...this.jobs.values()], null, 2);
+    const tmp = `${this.stateFile}.tmp`;
+
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, this.stateFile);
+      })
+      .catch((error) => {
+        logger.error({ err: error, file: this.stateFile }, 'failed to save job state');
+      });
+
+    return this.saving;
+  }
+
+  purgeExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    this.jobs.forEach((job, id) => {
+      const finished = job.finishedAt ? Date.parse(job.finishedAt) : null;
+      if (finished && finished < cutoff) {
+        this.removeFile(job.filePath);
+        this.jobs.delete(id);
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      logger.info({ removed }, 'expired jobs purged');
+      this.persist();
+    }
+  }
+
+  removeFile(filePath) {
+    if (filePath) {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  // Resolves once no job is running or queued (used by tests and shutdown)
+  async drain() {
+    if (this.active > 0 || [...this.jobs.values()].some((job) => job.status === 'queued')) {
+      await new Promise((resolve) => this.idleWaiters.push(resolve));
+    }
+    await this.saving;
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = { JobQueue, jobQueue: new JobQueue() };
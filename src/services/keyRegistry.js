@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const defaultKeysFile = process.env.API_KEYS_FILE || path.join(process.cwd(), 'storage', 'keys.json');
+const defaultUsageFile = process.env.API_USAGE_FILE || path.join(path.dirname(defaultKeysFile), 'usage.json');
+const defaultFlushMs = parseInt(process.env.API_USAGE_FLUSH_MS, 10) || 30 * 1000;
+const defaultReloadMs = parseInt(process.env.API_KEYS_RELOAD_MS, 10) || 30 * 1000;
+const usageRetentionDays = parseInt(process.env.API_USAGE_RETENTION_DAYS, 10) || 90;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+const keyPrefix = process.env.API_KEY_PREFIX || 'tk_live_';
+const publicIdLength = 12;
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+// Issued keys look like tk_live_<12 hex public id>_<secret>. The part up to the
+// public id is stored in the clear so a key can be looked up and recognised
+// (in listings, logs or leaked-secret scanners) without its secret.
+function generateKey() {
+  const publicId = crypto.randomBytes(publicIdLength / 2).toString('hex');
+  return `${keyPrefix}${publicId}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function publicPrefix(rawKey) {
+  const prefix = rawKey.slice(0, keyPrefix.length + publicIdLength);
+  return rawKey.startsWith(keyPrefix) && rawKey[prefix.length] === '_' ? prefix : null;
+}
+
+function hashesEqual(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// API keys with a name, status, quotas and the endpoints they may call.
+// Keys come from the keys file (see README) plus the legacy API_KEYS env var,
+// whose entries get unlimited quotas and every endpoint and may be given as
+// "sha256:<hex>" instead of plaintext. The file stores only SHA-256 hashes;
+// plaintext "key" entries written by hand are hashed on load. Hashes are
+// always compared in constant time.
+// Per-day usage counters are kept in memory and flushed to the usage file
+// periodically. The keys file is re-read when someone else changes it, so
+// replicas sharing it pick up keys managed through another replica.
+class KeyRegistry {
+  constructor(options = {}) {
+    this.keysFile = options.keysFile || defaultKeysFile;
+    this.usageFile = options.usageFile || defaultUsageFile;
+    this.flushMs = options.flushMs || defaultFlushMs;
+    this.reloadMs = options.reloadMs || defaultReloadMs;
+    this.keys = [];
+    this.keysMtime = null;
+    this.usage = {};
+    this.dirty = false;
+    this.initialized = false;
+    this.saving = Promise.resolve();
+  }
+
+  init() {
+    if (this.initialized) {
+      return;
+    }
+    this.loadKeys();
+    this.initialized = true;
+    this.usage = this.readJson(this.usageFile, {});
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushMs);
+    this.flushTimer.unref();
+    this.reloadTimer = setInterval(() => this.reloadIfChanged(), this.reloadMs);
+    this.reloadTimer.unref();
+  }
+
+  // A broken keys file is fatal (strict) so auth never silently turns off
+  readJson(file, fallback, { strict = false } = {}) {
+    if (!fs.existsSync(file)) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      logger.error({ err: error, file }, 'failed to load key registry file');
+      if (strict) {
+        throw error;
+      }
+      return fallback;
+    }
+  }
+
+  loadKeys() {
+    this.keysMtime = this.mtimeOf(this.keysFile);
+    const saved = this.readJson(this.keysFile, [], { strict: true });
+    this.keys = saved.map((record) => this.normalize(record));
+
+    if (saved.some((record) => record.key)) {
+      this.persistKeys();
+    }
+  }
+
+  normalize(record) {
+    const { key, ...rest } = record;
+    return {
+      status: 'active',
+      quotas: {},
+      endpoints: ['*'],
+      createdAt: new Date().toISOString(),
+      ...rest,
+      prefix: rest.prefix || (key ? publicPrefix(key) : null),
+      hash: rest.hash || hashKey(key)
+    };
+  }
+
+  // Re-reads the keys file, e.g. after it was edited by hand
+  reload() {
+    this.init();
+    this.loadKeys();
+  }
+
+  mtimeOf(file) {
+    return fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  }
+
+  // Runs after pending writes so a change of our own is never read back half
+  // done. A file that no longer parses keeps the keys already loaded until it
+  // changes again.
+  reloadIfChanged() {
+    this.saving = this.saving.then(() => {
+      if (this.mtimeOf(this.keysFile) === this.keysMtime) {
+        return;
+      }
+      try {
+        this.loadKeys();
+        logger.info({ file: this.keysFile, keys: this.keys.length }, 'key registry reloaded');
+      } catch (error) {
+        // readJson has logged it
+      }
+    });
+    return this.saving;
+  }
+
+  envKeys() {
+    return (process.env.API_KEYS || '')
+      .split(',')
+      .map((k) => k.trim())
+      .filter(Boolean);
+  }
+
+  // Auth is off until at least one key is configured (backwards compatible)
+  isEnabled() {
+    this.init();
+    return this.keys.length > 0 || this.envKeys().length > 0;
+  }
+
+  find(rawKey) {
+    this.init();
+    if (!rawKey || typeof rawKey !== 'string') {
+      return null;
+    }
+
+    // Prefixed keys only need checking against the record with that prefix
+    const hash = hashKey(rawKey);
+    const prefix = publicPrefix(rawKey);
+    const record = this.keys
+      .filter((k) => (prefix ? k.prefix === prefix : !k.prefix))
+      .find((k) => hashesEqual(k.hash, hash));
+    if (record) {
+      return record;
+    }
+
+    const envIndex = this.envKeys().findIndex((entry) => hashesEqual(
+      entry.startsWith('sha256:') ? entry.slice('sha256:'.length) : hashKey(entry),
+      hash
+    ));
+    if (envIndex !== -1) {
+      return {
+        id: `env-${hash.slice(0, 12)}`,
+        name: `env-key-${envIndex + 1}`,
+        status: 'active',
+        quotas: {},
+        endpoints: ['*']
+      };
+    }
+
+    return null;
+  }
+
+  get(id) {
+    this.init();
+    return this.keys.find((k) => k.id === id) || null;
+  }
+
+  list() {
+    this.init();
+    return this.keys;
+  }
+
+  // The plaintext key is only returned here and from rotate()
+  create({ name, quotas = {}, endpoints = ['*'] }) {
+    this.init();
+    const key = generateKey();
+    const record = this.normalize({
+      id: crypto.randomUUID(),
+      name,
+      quotas,
+      endpoints,
+      prefix: publicPrefix(key),
+      hash: hashKey(key)
+    });
+
+    this.keys.push(record);
+    this.persistKeys();
+    return { record, key };
+  }
+
+  update(record, changes) {
+    const { quotas, ...rest } = changes;
+    Object.assign(record, rest, { updatedAt: new Date().toISOString() });
+
+    if (quotas) {
+      record.quotas = { ...record.quotas, ...quotas };
+      Object.keys(record.quotas)
+        .filter((name) => record.quotas[name] === null)
+        .forEach((name) => delete record.quotas[name]);
+    }
+
+    this.persistKeys();
+    return record;
+  }
+
+  revoke(record) {
+    return this.update(record, { status: 'revoked', revokedAt: new Date().toISOString() });
+  }
+
+  // Issues a new secret for the same identity; the old one stops working at once
+  rotate(record) {
+    const key = generateKey();
+    this.update(record, {
+      prefix: publicPrefix(key),
+      hash: hashKey(key),
+      rotatedAt: new Date().toISOString()
+    });
+    return { record, key };
+  }
+
+  // Public view of a key without its hash
+  toJSON(record) {
+    const view = { ...record };
+    delete view.hash;
+    return view;
+  }
+
+  allows(record, endpoint) {
+    return record.endpoints.includes('*') || record.endpoints.includes(endpoint);
+  }
+
+  usageToday(id) {
+    this.init();
+    return this.usage[id]?.[today()]?.total || 0;
+  }
+
+  record(id, endpoint) {
+    this.init();
+    const day = today();
+    const days = this.usage[id] || (this.usage[id] = {});
+    const counters = days[day] || (days[day] = { total: 0, endpoints: {} });
+
+    counters.total++;
+    counters.endpoints[endpoint] = (counters.endpoints[endpoint] || 0) + 1;
+    this.dirty = true;
+
+    return counters.total;
+  }
+
+  // Most recent day first
+  getUsage(id, days = 7) {
+    this.init();
+    const history = this.usage[id] || {};
+    const result = [];
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const counters = history[date] || { total: 0, endpoints: {} };
+      result.push({ date, total: counters.total, endpoints: { ...counters.endpoints } });
+    }
+
+    return result;
+  }
+
+  prune() {
+    const cutoff = new Date(Date.now() - usageRetentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    Object.values(this.usage).forEach((days) => {
+      Object.keys(days).filter((date) => date < cutoff).forEach((date) => delete days[date]);
+    });
+  }
+
+  // Our own writes do not count as changes to reload
+  persistKeys() {
+    return this.write(this.keysFile, this.keys).then(() => {
+      this.keysMtime = this.mtimeOf(this.keysFile);
+    });
+  }
+
+  // Writes are chained and atomic like the job state file
+  write(file, data) {
+    const snapshot = JSON.stringify(data, null, 2);
+    const tmp = `${file}.tmp`;
+
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((error) => {
+        logger.error({ err: error, file }, 'failed to save key registry file');
+      });
+
+    return this.saving;
+  }
+
+  flush() {
+    if (!this.dirty) {
+      return this.saving;
+    }
+    this.dirty = false;
+    this.prune();
+    return this.write(this.usageFile, this.usage);
+  }
+
+  async close() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.reloadTimer);
+    await this.flush();
+  }
+}
+
+module.exports = { KeyRegistry, keyRegistry: new KeyRegistry(), hashKey };
@@ -0,0 +1,248 @@
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { withTimeout } = require('../utils/concurrency');
+const { withSpan } = require('../utils/tracing');
+const { MetadataUnavailableError } = require('../utils/errors');
+const TikwmProvider = require('./providers/tikwmProvider');
+const ScraperProvider = require('./providers/scraperProvider');
+
+const failureThreshold = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD, 10) || 3;
+const cooldownMs = parseInt(process.env.PROVIDER_COOLDOWN_MS, 10) || 30000;
+
+const networkCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Only outages count toward opening a circuit: timeouts, network errors and
+// 5xx answers. A missing, private or deleted video is an answer about that
+// video, so requests for one cannot switch a provider off for everyone.
+function isTransient(error) {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+  return networkCodes.includes(error.code) || error.response?.status >= 500;
+}
+
+const builtInProviders = {
+  tikwm: TikwmProvider,
+  scraper: ScraperProvider,
+};
+
+class ProviderChain {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || failureThreshold;
+    this.cooldownMs = options.cooldownMs || cooldownMs;
+    this.entries = [];
+  }
+
+  register(provider, options = {}) {
+    if (!provider || !provider.name || typeof provider.fetchMetadata !== 'function') {
+      throw new Error('Metadata provider must have a name and a fetchMetadata(url) method');
+    }
+
+    this.entries = this.entries.filter((entry) => entry.provider.name !== provider.name);
+    this.entries.push({
+      provider,
+      priority: options.priority ?? this.entries.length,
+      health: this.createHealth(),
+    });
+    this.entries.sort((a, b) => a.priority - b.priority);
+    return this;
+  }
+
+  unregister(name) {
+    this.entries = this.entries.filter((entry) => entry.provider.name !== name);
+  }
+
+  createHealth() {
+    return {
+      state: 'closed',
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      lastError: null,
+      lastLatencyMs: null,
+      openedAt: null,
+      trialInFlight: false,
+    };
+  }
+
+  // closed -> open after repeated outages; open -> half-open once the cooldown
+  // elapses, letting a single trial request through until it settles
+  isAvailable(health) {
+    if (health.state === 'closed') {
+      return true;
+    }
+    if (health.state === 'open' && Date.now() - health.openedAt >= this.cooldownMs) {
+      health.state = 'half-open';
+    }
+    if (health.state === 'half-open' && !health.trialInFlight) {
+      health.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  close(health) {
+    health.state = 'closed';
+    health.consecutiveFailures = 0;
+    health.openedAt = null;
+    health.trialInFlight = false;
+  }
+
+  recordSuccess(health, latency) {
+    this.close(health);
+    health.successes += 1;
+    health.lastLatencyMs = latency;
+  }
+
+  recordFailure(health, latency, error) {
+    health.failures += 1;
+    health.lastError = error.message;
+    health.lastLatencyMs = latency;
+
+    // The provider answered, so a half-open trial succeeded as far as the circuit goes
+    if (!isTransient(error)) {
+      if (health.state === 'half-open') {
+        this.close(health);
+      }
+      return;
+    }
+
+    health.consecutiveFailures += 1;
+    health.trialInFlight = false;
+    if (health.state === 'half-open' || health.consecutiveFailures >= this.failureThreshold) {
+      health.state = 'open';
+      health.openedAt = Date.now();
+    }
+  }
+
+  normalize(raw, providerName) {
+    const metadata = {
+      username: raw?.username || null,
+      caption: (raw?.caption || '').trim(),
+      thumbnail: raw?.thumbnail || null,
+      no_wm: raw?.no_wm || null,
+      wm: raw?.wm || raw?.no_wm || null,
+      audio: raw?.audio || null,
+      video_id: String(raw?.video_id || ''),
+      images: Array.isArray(raw?.images) ? raw.images.filter(Boolean) : [],
+      details: raw?.details || {},
+      provider: providerName,
+    };
+
+    if (!metadata.username || !metadata.video_id) {
+      throw new MetadataUnavailableError('Failed to extract video metadata');
+    }
+
+    return metadata;
+  }
+
+  async fetchMetadata(url) {
+    const errors = [];
+    let retryable = true;
+
+    for (const { provider, health } of this.entries) {
+      if (!this.isAvailable(health)) {
+        errors.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      const start = Date.now();
+      try {
+        const metadata = await withSpan('provider.fetch_metadata', { attributes: { 'provider.name': provider.name } },
+          async () => this.normalize(await provider.fetchMetadata(url), provider.name));
+        this.recordSuccess(health, Date.now() - start);
+        return metadata;
+      } catch (error) {
+        this.recordFailure(health, Date.now() - start, error);
+        logger.warn(
+          { provider: provider.name, err: error, state: health.state },
+          'metadata provider failed'
+        );
+        errors.push(`${provider.name}: ${error.message}`);
+        retryable = retryable && error.retryable === true;
+      }
+    }
+
+    if (errors.length === 0) {
+      throw new MetadataUnavailableError('No metadata providers configured');
+    }
+
+    // Worth retrying when every provider failed on a timeout, network error or open circuit
+    throw new MetadataUnavailableError(`All metadata providers failed (${errors.join('; ')})`, { retryable });
+  }
+
+  // Calls each provider's optional probe({ timeout }) in parallel. Providers
+  // without one report "unknown" and do not count as up or down.
+  async probe({ timeout = 5000 } = {}) {
+    return Promise.all(this.entries.map(async ({ provider, health }) => {
+      const result = { name: provider.name, circuit: health.state };
+      if (typeof provider.probe !== 'function') {
+        return { ...result, status: 'unknown' };
+      }
+
+      const start = Date.now();
+      try {
+        await withTimeout(provider.probe({ timeout }), timeout);
+        return { ...result, status: 'up', latencyMs: Date.now() - start };
+      } catch (error) {
+        return { ...result, status: 'down', latencyMs: Date.now() - start, error: error.message };
+      }
+    }));
+  }
+
+  getHealth() {
+    return this.entries.map(({ provider, priority, health }) => ({
+      name: provider.name,
+      priority,
+      ...health,
+    }));
+  }
+
+  reset() {
+    this.entries.forEach((entry) => {
+      entry.health = this.createHealth();
+    });
+  }
+}
+
+function loadCustomProvider(modulePath) {
+  const exported = require(path.resolve(process.cwd(), modulePath));
+  return typeof exported === 'function' ? new exported() : exported;
+}
+
+// METADATA_PROVIDERS sets the order (e.g. "scraper,tikwm"); CUSTOM_PROVIDERS lists
+// module paths whose export is a provider instance or class.
+function createDefaultChain() {
+  const chain = new ProviderChain();
+  const order = (process.env.METADATA_PROVIDERS || 'tikwm,scraper')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const custom = (process.env.CUSTOM_PROVIDERS || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map(loadCustomProvider);
+
+  const customByName = new Map(custom.map((provider) => [provider.name, provider]));
+
+  order.forEach((name, index) => {
+    if (builtInProviders[name]) {
+      chain.register(new builtInProviders[name](), { priority: index });
+    } else if (customByName.has(name)) {
+      chain.register(customByName.get(name), { priority: index });
+      customByName.delete(name);
+    } else {
+      logger.warn({ provider: name }, 'unknown metadata provider in METADATA_PROVIDERS');
+    }
+  });
+
+  customByName.forEach((provider) => {
+    chain.register(provider, { priority: chain.entries.length });
+  });
+
+  return chain;
+}
+
+module.exports = { ProviderChain, createDefaultChain, builtInProviders };
@@ -0,0 +1,152 @@
+const cheerio = require('cheerio');
+const httpClient = require('../../utils/httpClient');
+const { MetadataUnavailableError } = require('../../utils/errors');
+const Validator = require('../../utils/validator');
+
+// Reads metadata straight from the public video page. TikTok embeds the
+// video's item data as JSON in either __UNIVERSAL_DATA_FOR_REHYDRATION__
+// (current web app) or SIGI_STATE (older pages); Open Graph tags are the
+// last resort when neither script is present.
+class ScraperProvider {
+  constructor(options = {}) {
+    this.name = 'scraper';
+    this.probeUrl = options.probeUrl || 'https://www.tiktok.com/';
+  }
+
+  // Readiness check: TikTok often answers bots with 403, which still proves
+  // the site is reachable; only network errors, timeouts and 5xx count
+  async probe({ timeout } = {}) {
+    await httpClient.get(this.probeUrl, { timeout, retry: 'none', validateStatus: (status) => status < 500 });
+  }
+
+  async fetchMetadata(url) {
+    const response = await httpClient.get(url);
+
+    if (typeof response.data !== 'string') {
+      throw new MetadataUnavailableError('Failed to extract video metadata');
+    }
+
+    return ScraperProvider.parsePage(response.data, url);
+  }
+
+  static parsePage(html, url) {
+    const $ = cheerio.load(html);
+
+    const item = ScraperProvider.extractItem($);
+    if (item) {
+      return ScraperProvider.mapItem(item);
+    }
+
+    return ScraperProvider.parseOpenGraph($, url);
+  }
+
+  static readJsonScript($, id) {
+    const text = $(`script#${id}`).first().text();
+    if (!text) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static extractItem($) {
+    const universal = ScraperProvider.readJsonScript($, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+    const detail = universal?.__DEFAULT_SCOPE__?.['webapp.video-detail'];
+    if (detail) {
+      if (detail.statusCode && detail.statusCode !== 0) {
+        throw new MetadataUnavailableError(
+          `Video unavailable (status ${detail.statusCode}${detail.statusMsg ? `: ${detail.statusMsg}` : ''})`
+        );
+      }
+      if (detail.itemInfo?.itemStruct) {
+        return detail.itemInfo.itemStruct;
+      }
+    }
+
+    const sigi = ScraperProvider.readJsonScript($, 'SIGI_STATE');
+    const items = sigi?.ItemModule ? Object.values(sigi.ItemModule) : [];
+    if (items.length > 0) {
+      const item = items[0];
+      // SIGI_STATE stores the author as a bare unique id with details in UserModule
+      if (typeof item.author === 'string') {
+        return { ...item, author: sigi.UserModule?.users?.[item.author] || { uniqueId: item.author } };
+      }
+      return item;
+    }
+
+    return null;
+  }
+
+  static mapItem(item) {
+    const video = item.video || {};
+    const music = item.music || {};
+
+    return {
+      username: item.author?.uniqueId || item.author?.nickname || null,
+      caption: (item.desc || '').trim(),
+      thumbnail: video.cover || video.originCover || video.dynamicCover || null,
+      no_wm: video.playAddr || null,
+      wm: video.downloadAddr || video.playAddr || null,
+      audio: music.playUrl || null,
+      video_id: String(item.id || ''),
+      images: (item.imagePost?.images || [])
+        .map((image) => image.imageURL?.urlList?.[0])
+        .filter(Boolean),
+      details: {
+        duration: video.duration ?? null,
+        width: video.width ?? null,
+        height: video.height ?? null,
+        size: { nowm: null, wm: null, hd: null },
+        stats: {
+          plays: item.stats?.playCount ?? null,
+          likes: item.stats?.diggCount ?? null,
+          comments: item.stats?.commentCount ?? null,
+          shares: item.stats?.shareCount ?? null,
+        },
+        create_time: item.createTime ? Number(item.createTime) : null,
+        region: item.locationCreated || null,
+        music: {
+          title: music.title || null,
+          author: music.authorName || null,
+          duration: music.duration ?? null,
+        },
+        author: {
+          nickname: item.author?.nickname || null,
+          avatar: item.author?.avatarThumb || null,
+        },
+      },
+    };
+  }
+
+  static parseOpenGraph($, url) {
+    const meta = (property) =>
+      $(`meta[property="${property}"]`).attr('content') ||
+      $(`meta[name="${property}"]`).attr('content') ||
+      null;
+
+    const pageUrl = meta('og:url') || url;
+    const usernameMatch = pageUrl.match(/\/@([\w.-]+)/);
+    const videoUrl = meta('og:video:secure_url') || meta('og:video');
+    const thumbnail = meta('og:image');
+
+    if (!videoUrl && !thumbnail) {
+      throw new MetadataUnavailableError('Failed to extract video metadata');
+    }
+
+    return {
+      username: usernameMatch ? usernameMatch[1] : null,
+      caption: (meta('og:description') || '').trim(),
+      thumbnail,
+      no_wm: videoUrl,
+      wm: videoUrl,
+      audio: null,
+      video_id: Validator.extractVideoId(pageUrl) || '',
+    };
+  }
+}
+
+module.exports = ScraperProvider;
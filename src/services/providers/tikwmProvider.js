@@ -0,0 +1,79 @@
+const httpClient = require('../../utils/httpClient');
+const { MetadataUnavailableError } = require('../../utils/errors');
+
+class TikwmProvider {
+  constructor(options = {}) {
+    this.name = 'tikwm';
+    this.apiBase = options.apiBase || 'https://www.tikwm.com/api/';
+  }
+
+  // Readiness check: any answer below 500 means the API is reachable. Not
+  // retried, so a flaky API shows up in the result.
+  async probe({ timeout } = {}) {
+    await httpClient.get(this.apiBase, {
+      upstream: 'tikwm',
+      timeout,
+      retry: 'none',
+      headers: { 'Accept': 'application/json' },
+      validateStatus: (status) => status < 500,
+    });
+  }
+
+  async fetchMetadata(url) {
+    const response = await httpClient.get(this.apiBase, {
+      params: { url },
+      upstream: 'tikwm',
+      headers: {
+        'Accept': 'application/json',
+      },
+    });
+
+    const body = response.data;
+
+    if (!body || body.code !== 0 || !body.data) {
+      throw new MetadataUnavailableError('Failed to extract video metadata');
+    }
+
+    const d = body.data;
+
+    return {
+      username: d.author?.unique_id || d.author?.nickname || null,
+      caption: (d.title || '').trim(),
+      thumbnail: d.cover || d.origin_cover || null,
+      no_wm: d.play || null,
+      wm: d.wmplay || d.play || null,
+      audio: d.music || null,
+      video_id: String(d.id || ''),
+      images: Array.isArray(d.images) ? d.images : [],
+      details: {
+        duration: d.duration ?? null,
+        width: d.width ?? null,
+        height: d.height ?? null,
+        size: {
+          nowm: d.size ?? null,
+          wm: d.wm_size ?? null,
+          hd: d.hd_size ?? null,
+        },
+        stats: {
+          plays: d.play_count ?? null,
+          likes: d.digg_count ?? null,
+          comments: d.comment_count ?? null,
+          shares: d.share_count ?? null,
+        },
+        create_time: d.create_time ?? null,
+        region: d.region || null,
+        music: {
+          title: d.music_info?.title || null,
+          author: d.music_info?.author || null,
+          duration: d.music_info?.duration ?? null,
+        },
+        author: {
+          nickname: d.author?.nickname || null,
+          avatar: d.author?.avatar || null,
+        },
+      },
+    };
+  }
+}
+
+module.exports = TikwmProvider;
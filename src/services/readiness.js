@@ -0,0 +1,103 @@
+const { cache } = require('../utils/cache');
+const { logger } = require('../utils/logger');
+const { withTimeout } = require('../utils/concurrency');
+const tiktokService = require('./tiktokService');
+
+const defaultIntervalMs = parseInt(process.env.READINESS_INTERVAL_MS, 10) || 15000;
+const defaultTimeoutMs = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 5000;
+
+// Backs GET /health/ready. Dependencies are probed every READINESS_INTERVAL_MS
+// in the background so probes from the orchestrator answer from the last
+// result instead of hitting tikwm and TikTok on every call. The instance is
+// ready while the cache answers and at least one metadata provider is
+// reachable (the chain fails over, so one is enough), and never once shutdown
+// has begun.
+class Readiness {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || defaultIntervalMs;
+    this.timeoutMs = options.timeoutMs || defaultTimeoutMs;
+    this.cache = options.cache || cache;
+    this.providers = options.providers || tiktokService.providers;
+    this.last = null;
+    this.pending = null;
+    this.timer = null;
+    this.shuttingDown = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Concurrent callers share the check in flight
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.check()
+        .then((result) => {
+          if (this.last && this.last.ready !== result.ready) {
+            logger.warn({ ready: result.ready, checks: result.checks }, 'readiness changed');
+          }
+          this.last = result;
+          return result;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async checkCache() {
+    const start = Date.now();
+    try {
+      await withTimeout(this.cache.ping(), this.timeoutMs);
+      return { status: 'up', driver: this.cache.driver, latencyMs: Date.now() - start };
+    } catch (error) {
+      return { status: 'down', driver: this.cache.driver, latencyMs: Date.now() - start, error: error.message };
+    }
+  }
+
+  async check() {
+    const [cacheCheck, providers] = await Promise.all([
+      this.checkCache(),
+      this.providers.probe({ timeout: this.timeoutMs })
+    ]);
+
+    // Providers without a probe only count when no provider has one
+    const probed = providers.filter((provider) => provider.status !== 'unknown');
+    const providersUp = probed.length === 0 || probed.some((provider) => provider.status === 'up');
+
+    return {
+      ready: cacheCheck.status === 'up' && providersUp,
+      checkedAt: new Date().toISOString(),
+      checks: { cache: cacheCheck, providers }
+    };
+  }
+
+  // Answers with the last background result, checking now if there is none
+  async status() {
+    const { ready, checkedAt, checks } = this.last || await this.refresh();
+
+    if (this.shuttingDown) {
+      return { status: 'shutting_down', ready: false, checkedAt, checks };
+    }
+    return { status: ready ? 'ready' : 'not_ready', ready, checkedAt, checks };
+  }
+
+  // Called on SIGTERM so load balancers stop routing here before the server closes
+  beginShutdown() {
+    this.shuttingDown = true;
+    this.stop();
+  }
+}
+
+module.exports = { Readiness, readiness: new Readiness() };
@@ -0,0 +1,78 @@
+const httpClient = require('../utils/httpClient');
+const Validator = require('../utils/validator');
+const { logger } = require('../utils/logger');
+const { cache, getCacheKey } = require('../utils/cache');
+const { UrlNotAllowedError, MetadataUnavailableError } = require('../utils/errors');
+
+const shortLinkTtl = parseInt(process.env.SHORT_LINK_TTL, 10) || 86400; // short codes never change target
+
+class ShortLinkResolver {
+  constructor() {
+    this.maxHops = 5;
+  }
+
+  // Follows redirects one hop at a time so every Location is SSRF-checked
+  // before it is requested, and returns the canonical /@user/video/<id> (or /photo/<id>) URL.
+  async resolve(url) {
+    if (!Validator.isShortURL(url)) {
+      return url;
+    }
+
+    const cacheKey = `short:${getCacheKey(url)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      logger.debug({ url, canonical: cached }, 'short link cache hit');
+      return cached;
+    }
+
+    let current = url;
+    for (let hop = 0; hop < this.maxHops && Validator.isShortURL(current); hop++) {
+      const response = await httpClient.get(current, {
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400,
+      });
+
+      const location = response.headers?.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+
+      const next = new URL(location, current).toString();
+      if (!Validator.isSSRFSafe(next)) {
+        logger.warn({ url, location: next }, 'short link redirect blocked');
+        throw new UrlNotAllowedError();
+      }
+      current = next;
+    }
+
+    const canonical = ShortLinkResolver.toCanonical(current);
+    if (!canonical) {
+      throw new MetadataUnavailableError('Failed to resolve short link');
+    }
+
+    await cache.set(cacheKey, canonical, shortLinkTtl);
+    logger.debug({ url, canonical }, 'short link resolved');
+    return canonical;
+  }
+
+  static toCanonical(urlString) {
+    if (!Validator.isValidTikTokURL(urlString) || Validator.isShortURL(urlString)) {
+      return null;
+    }
+
+    const videoId = Validator.extractVideoId(urlString);
+    if (!videoId) {
+      return null;
+    }
+
+    const userMatch = new URL(urlString).pathname.match(/\/@([\w.-]+)\//);
+    if (!userMatch) {
+      return Validator.sanitizeURL(urlString);
+    }
+
+    const kind = Validator.isPhotoURL(urlString) ? 'photo' : 'video';
+    return `https://www.tiktok.com/@${userMatch[1]}/${kind}/${videoId}`;
+  }
+}
+
+module.exports = new ShortLinkResolver();
@@ -1,69 +1,93 @@
 const httpClient = require('../utils/httpClient');
 const Validator = require('../utils/validator');
+const { SSRF_BLOCKED } = require('../utils/ssrfGuard');
+const {
+  InvalidUrlError,
+  UrlNotAllowedError,
+  InvalidDownloadTypeError,
+  MetadataUnavailableError,
+  MediaHostNotAllowedError
+} = require('../utils/errors');
 const { logger } = require('../utils/logger');
 const { cache, getCacheKey } = require('../utils/cache');
+const { createDefaultChain } = require('./providerChain');
+const shortLinkResolver = require('./shortLinkResolver');
+
+function mediaHostError(url) {
+  logger.warn({ url }, 'media URL rejected: host is not on the allow-list');
+  return new MediaHostNotAllowedError('Media host not allowed');
+}
 
 class TikTokService {
   constructor() {
-    this.apiBase = 'https://www.tikwm.com/api/';
+    this.providers = createDefaultChain();
+    this.inflight = new Map();
+  }
+
+  registerProvider(provider, options) {
+    this.providers.register(provider, options);
+  }
+
+  getProviderHealth() {
+    return this.providers.getHealth();
   }
 
   async fetchMetadata(url) {
     try {
       if (!Validator.isValidTikTokURL(url)) {
-        throw new Error('Invalid or unsupported TikTok URL');
+        throw new InvalidUrlError();
       }
 
       if (!Validator.isSSRFSafe(url)) {
-        throw new Error('URL not allowed for security reasons');
+        throw new UrlNotAllowedError();
       }
 
-      const sanitizedURL = Validator.sanitizeURL(url);
+      const sanitizedURL = await shortLinkResolver.resolve(Validator.sanitizeURL(url));
       const cacheKey = getCacheKey(sanitizedURL);
 
-      const cached = cache.get(cacheKey);
+      const cached = await cache.get(cacheKey);
       if (cached) {
         logger.debug({ url: sanitizedURL }, 'cache hit');
         return cached;
       }
 
-      const response = await httpClient.get(this.apiBase, {
-        params: { url: sanitizedURL },
-        headers: {
-          'Accept': 'application/json',
-        },
-      });
-
-      const body = response.data;
-
-      if (body.code !== 0 || !body.data) {
-        throw new Error('Failed to extract video metadata');
-      }
-
-      const d = body.data;
-
-      const metadata = {
-        username: d.author?.unique_id || d.author?.nickname || null,
-        caption: (d.title || '').trim(),
-        thumbnail: d.cover || d.origin_cover || null,
-        no_wm: d.play || null,
-        wm: d.wmplay || d.play || null,
-        audio: d.music || null,
-        video_id: String(d.id || ''),
-      };
-
-      if (!metadata.username || !metadata.video_id) {
-        throw new Error('Failed to extract video metadata');
+      // Concurrent requests for the same video share one provider lookup
+      if (!this.inflight.has(cacheKey)) {
+        const lookup = this.providers.fetchMetadata(sanitizedURL)
+          .then(async (metadata) => {
+            await cache.set(cacheKey, metadata);
+            return metadata;
+          })
+          .finally(() => this.inflight.delete(cacheKey));
+        this.inflight.set(cacheKey, lookup);
       }
 
-      cache.set(cacheKey, metadata);
-      return metadata;
+      return await this.inflight.get(cacheKey);
     } catch (error) {
-      if (error.message.includes('Invalid or unsupported TikTok URL') ||
-          error.message.includes('URL not allowed')) {
+      if (error instanceof InvalidUrlError || error instanceof UrlNotAllowedError) {
         throw error;
       }
-      throw new Error(`Failed to fetch TikTok metadata: ${error.message}`);
+      throw new MetadataUnavailableError(`Failed to fetch TikTok metadata: ${error.message}`, {
+        cause: error,
+        retryable: error.retryable === true
+      });
+    }
+  }
+
+  // Media URLs that are streamed as the provider gave them (slides, background
+  // audio) get the same allow-list check as the video URLs
+  assertAllowedMediaURL(url) {
+    if (!Validator.isAllowedMediaURL(url)) {
+      throw mediaHostError(url);
+    }
+  }
+
+  // beforeRedirect for media streams: a hop off the allow-list fails the
+  // request with MediaHostNotAllowedError
+  guardMediaRedirect(options) {
+    const hop = `${options.protocol}//${options.hostname}`;
+    if (!Validator.isAllowedMediaURL(hop)) {
+      throw mediaHostError(hop);
     }
   }
 
@@ -76,21 +100,41 @@ class TikTokService {
       case 'audio':
         return metadata.audio;
       default:
-        throw new Error('Invalid download type');
+        throw new InvalidDownloadTypeError('Invalid download type');
     }
   }
 
+  // The provider's media URL, every redirect hop and the final URL must be on
+  // an allowed media host (MEDIA_HOST_ALLOWLIST), so a bad provider response
+  // cannot make us proxy arbitrary content.
   async getDirectDownloadURL(url) {
+    if (!Validator.isAllowedMediaURL(url)) {
+      throw mediaHostError(url);
+    }
+
+    let finalUrl;
     try {
       const response = await httpClient.get(url, {
+        upstream: 'cdn',
         maxRedirects: 10,
-        validateStatus: (status) => status >= 200 && status < 400
+        validateStatus: (status) => status >= 200 && status < 400,
+        beforeRedirect: this.guardMediaRedirect
       });
 
-      return response.request.res.responseUrl || response.config.url || url;
+      finalUrl = response.request.res.responseUrl || response.config.url || url;
     } catch (error) {
+      // A redirect into the internal network or off the allow-list is refused,
+      // not retried via the original URL
+      if (error.code === SSRF_BLOCKED || error instanceof MediaHostNotAllowedError) {
+        throw error;
+      }
       return url;
     }
+
+    if (!Validator.isAllowedMediaURL(finalUrl)) {
+      throw mediaHostError(finalUrl);
+    }
+    return finalUrl;
   }
 
   getFileExtension(type) {
@@ -100,11 +144,24 @@ class TikTokService {
         return '.mp4';
       case 'audio':
         return '.mp3';
+      case 'images':
+        return '.zip';
       default:
         return '.mp4';
     }
   }
 
+  getContentType(type) {
+    switch (type) {
+      case 'audio':
+        return 'audio/mpeg';
+      case 'images':
+        return 'application/zip';
+      default:
+        return 'video/mp4';
+    }
+  }
+
   generateFilename(metadata, type) {
     const username = metadata.username || 'unknown';
     const videoId = metadata.video_id || 'video';
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const httpClient = require('../utils/httpClient');
+const Validator = require('../utils/validator');
+const { SSRF_BLOCKED } = require('../utils/ssrfGuard');
+const { logger } = require('../utils/logger');
+
+const defaultMaxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const defaultRetryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const defaultTimeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const defaultLogLimit = parseInt(process.env.WEBHOOK_LOG_LIMIT, 10) || 1000;
+
+// Receivers that reject the payload outright are not retried
+function isRetryable(statusCode) {
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+// Callbacks for work that finishes after the response (callback_url on fetch,
+// download and jobs). A delivery is created when the request is accepted and
+// sent once the work is done: a JSON POST signed with WEBHOOK_SECRET in
+// X-Webhook-Signature, retried with exponential backoff. Every attempt is kept
+// on the delivery so callers can see what happened (GET /api/v1/webhooks/:id).
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = options.maxAttempts || defaultMaxAttempts;
+    this.retryBaseMs = options.retryBaseMs || defaultRetryBaseMs;
+    this.timeoutMs = options.timeoutMs || defaultTimeoutMs;
+    this.logLimit = options.logLimit || defaultLogLimit;
+    this.deliveries = new Map();
+    this.sending = new Set();
+    this.timers = new Set();
+    this.closed = false;
+  }
+
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  // Returns why a callback URL is refused, or null when it can be used
+  async checkCallbackUrl(url) {
+    if (!this.isEnabled()) {
+      return 'Webhook callbacks are not configured on this server';
+    }
+    if (typeof url !== 'string' || url.length > 2048 || !(await Validator.isSSRFSafeResolved(url))) {
+      return 'callback_url must be a public http(s) URL';
+    }
+    return null;
+  }
+
+  create({ id = crypto.randomUUID(), callbackUrl, apiKeyId = null }) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id,
+      callbackUrl,
+      apiKeyId,
+      event: null,
+      status: 'waiting',
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: null,
+      deliveredAt: null,
+    };
+
+    this.deliveries.set(id, delivery);
+    this.prune();
+    return delivery;
+  }
+
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  toJSON(delivery) {
+    const view = { ...delivery, attempts: delivery.attempts.map((attempt) => ({ ...attempt })) };
+    delete view.apiKeyId;
+    return view;
+  }
+
+  signature(body) {
+    return `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+  }
+
+  // Resolves once the payload was delivered or every attempt failed
+  send(delivery, event, data) {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    });
+
+    this.update(delivery, { event, status: 'sending' });
+    const sending = this.deliver(delivery, body).finally(() => this.sending.delete(sending));
+    this.sending.add(sending);
+    return sending;
+  }
+
+  async deliver(delivery, body) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const { delivered, retry } = await this.attempt(delivery, body, attempt);
+
+      if (delivered) {
+        this.update(delivery, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+        return;
+      }
+      if (!retry || attempt === this.maxAttempts || this.closed) {
+        break;
+      }
+
+      const delay = this.retryBaseMs * 2 ** (attempt - 1);
+      this.update(delivery, { nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+      await this.wait(delay);
+      if (this.closed) {
+        break;
+      }
+    }
+
+    this.update(delivery, { status: 'failed', nextAttemptAt: null });
+    logger.error({ deliveryId: delivery.id, event: delivery.event, attempts: delivery.attempts.length }, 'webhook delivery failed');
+  }
+
+  async attempt(delivery, body, attempt) {
+    const started = Date.now();
+    const entry = { attempt, at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    let delivered = false;
+    let retry = true;
+
+    delivery.attempts.push(entry);
+
+    try {
+      // Checked again on every attempt in case the host now resolves elsewhere
+      if (!(await Validator.isSSRFSafeResolved(delivery.callbackUrl))) {
+        entry.error = 'Callback URL not allowed for security reasons';
+        retry = false;
+      } else {
+        const response = await httpClient.post(delivery.callbackUrl, body, {
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          validateStatus: () => true,
+          headers: {
+            'User-Agent': 'TikTok-Downloader-Webhooks/1.0',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Signature': this.signature(body),
+          },
+        });
+
+        entry.statusCode = response.status;
+        delivered = response.status >= 200 && response.status < 300;
+        if (!delivered) {
+          entry.error = `HTTP ${response.status}`;
+          retry = isRetryable(response.status);
+        }
+      }
+    } catch (error) {
+      entry.error = error.message;
+      retry = error.code !== SSRF_BLOCKED;
+    }
+
+    entry.durationMs = Date.now() - started;
+    this.update(delivery, {});
+
+    const log = { deliveryId: delivery.id, event: delivery.event, attempt, statusCode: entry.statusCode, durationMs: entry.durationMs };
+    if (delivered) {
+      logger.info(log, 'webhook delivered');
+    } else {
+      logger.warn({ ...log, error: entry.error }, 'webhook attempt failed');
+    }
+
+    return { delivered, retry };
+  }
+
+  update(delivery, changes) {
+    Object.assign(delivery, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  wait(ms) {
+    return new Promise((resolve) => {
+      const pending = {
+        resolve,
+        timer: setTimeout(() => {
+          this.timers.delete(pending);
+          resolve();
+        }, ms),
+      };
+      pending.timer.unref();
+      this.timers.add(pending);
+    });
+  }
+
+  // Keeps the delivery log bounded, dropping the oldest finished entries first
+  prune() {
+    for (const [id, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.logLimit) {
+        break;
+      }
+      if (delivery.status === 'delivered' || delivery.status === 'failed') {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+
+  // Resolves once no delivery is in flight (used by tests and shutdown)
+  async drain() {
+    while (this.sending.size > 0) {
+      await Promise.all([...this.sending]);
+    }
+  }
+
+  // Pending retries are given up so shutdown does not wait on backoff timers
+  async close() {
+    this.closed = true;
+    this.timers.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this.timers.clear();
+    await this.drain();
+  }
+}
+
+module.exports = { WebhookDispatcher, webhookDispatcher: new WebhookDispatcher() };
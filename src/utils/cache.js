@@ -1,10 +1,198 @@
 const NodeCache = require('node-cache');
+const Validator = require('./validator');
+const { logger } = require('./logger');
+const { withSpan } = require('./tracing');
+
+// Span around a cache read, marked with whether it hit
+function tracedGet(cache, key, read) {
+  return withSpan('cache.get', { attributes: { 'cache.driver': cache.driver, 'cache.key': key } }, async (span) => {
+    const value = await read();
+    span.setAttribute('cache.hit', value !== undefined);
+    return value;
+  });
+}
 
 const ttl = parseInt(process.env.CACHE_TTL, 10) || 300; // 5 minutes default
 
-const cache = new NodeCache({ stdTTL: ttl, checkperiod: ttl * 0.2 });
+// Counts a hit and starts the window in one step, so no counter is left
+// without an expiry (also one a late DECR recreated after its window ended)
+const incrementScript = `
+local count = redis.call('INCR', KEYS[1])
+local pttl = redis.call('PTTL', KEYS[1])
+if pttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  pttl = tonumber(ARGV[1])
+end
+return { count, pttl }`;
+
+// Cache adapters share one async interface: get, set, del, increment,
+// decrement, flushAll, getStats, ping and close. CACHE_DRIVER picks the backend;
+// "redis" lets several replicas share cached metadata and rate-limit counters.
+class MemoryCache {
+  constructor(options = {}) {
+    this.driver = 'memory';
+    this.ttl = options.ttl || ttl;
+    this.store = new NodeCache({ stdTTL: this.ttl, checkperiod: this.ttl * 0.2 });
+    this.counters = new NodeCache({ checkperiod: 60, useClones: false });
+  }
+
+  async get(key) {
+    return tracedGet(this, key, () => this.store.get(key));
+  }
+
+  async set(key, value, seconds = this.ttl) {
+    this.store.set(key, value, seconds);
+  }
+
+  async del(key) {
+    this.store.del(key);
+    this.counters.del(key);
+  }
+
+  // Fixed-window counter; the window starts with the first hit
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetTime <= now) {
+      counter = { count: 0, resetTime: now + windowMs };
+      this.counters.set(key, counter, Math.ceil(windowMs / 1000));
+    }
+
+    counter.count++;
+    return { count: counter.count, resetTime: counter.resetTime };
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.count > 0) {
+      counter.count--;
+    }
+  }
+
+  async flushAll() {
+    this.store.flushAll();
+    this.counters.flushAll();
+  }
+
+  async getStats() {
+    return { driver: this.driver, ...this.store.getStats() };
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async close() {
+    this.store.close();
+    this.counters.close();
+  }
+}
 
+// Values are stored as JSON. Redis errors are logged and treated as misses so
+// an outage degrades to uncached lookups instead of failing requests.
+class RedisCache {
+  constructor(options = {}) {
+    this.driver = 'redis';
+    this.ttl = options.ttl || ttl;
+    this.client = options.client || RedisCache.connect(options.url);
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static connect(url = process.env.REDIS_URL || 'redis://127.0.0.1:6379') {
+    const Redis = require('ioredis');
+    const client = new Redis(url, {
+      keyPrefix: process.env.REDIS_KEY_PREFIX || 'tiktok:',
+      maxRetriesPerRequest: 2
+    });
+    client.on('error', (error) => logger.error({ err: error }, 'redis connection error'));
+    return client;
+  }
+
+  async get(key) {
+    return tracedGet(this, key, async () => {
+      try {
+        const raw = await this.client.get(key);
+        if (raw === null) {
+          this.misses++;
+          return undefined;
+        }
+        this.hits++;
+        return JSON.parse(raw);
+      } catch (error) {
+        logger.warn({ err: error, key }, 'cache read failed');
+        this.misses++;
+        return undefined;
+      }
+    });
+  }
+
+  async set(key, value, seconds = this.ttl) {
+    try {
+      await this.client.set(key, JSON.stringify(value), 'EX', seconds);
+    } catch (error) {
+      logger.warn({ err: error, key }, 'cache write failed');
+    }
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async increment(key, windowMs) {
+    const [count, pttl] = await this.client.eval(incrementScript, 1, key, windowMs);
+    return { count, resetTime: Date.now() + pttl };
+  }
+
+  async decrement(key) {
+    await this.client.decr(key);
+  }
+
+  async flushAll() {
+    await this.client.flushdb();
+  }
+
+  async getStats() {
+    return {
+      driver: this.driver,
+      status: this.client.status,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  // Throws when Redis is unreachable, unlike get/set which degrade to misses
+  async ping() {
+    await this.client.ping();
+    return true;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+function createCache(driver = process.env.CACHE_DRIVER || 'memory') {
+  if (driver === 'redis') {
+    return new RedisCache();
+  }
+  if (driver !== 'memory') {
+    throw new Error(`Unknown CACHE_DRIVER "${driver}" (expected memory or redis)`);
+  }
+  return new MemoryCache();
+}
+
+const cache = createCache();
+
+// Key by numeric video id when the URL carries one so every URL form of the
+// same video shares an entry; short links fall back to hostname+path.
 function getCacheKey(url) {
+  const videoId = Validator.extractVideoId(url);
+  if (videoId) {
+    return `video:${videoId}`;
+  }
+
   try {
     const u = new URL(url);
     return `${u.hostname}${u.pathname}`;
@@ -13,4 +201,4 @@ function getCacheKey(url) {
   }
 }
 
-module.exports = { cache, getCacheKey };
+module.exports = { cache, getCacheKey, createCache, MemoryCache, RedisCache };
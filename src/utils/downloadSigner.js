@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+const defaultTtl = parseInt(process.env.DOWNLOAD_LINK_TTL, 10) || 3600; // 1 hour
+
+// DOWNLOAD_SIGNING_KEYS="kid:secret,kid:secret". The first key signs new links;
+// every listed key is accepted, so a new key can be put first while links
+// signed with the previous one keep working until they expire.
+function parseSigningKeys(value = '') {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator < 1 || separator === entry.length - 1) {
+        throw new Error('DOWNLOAD_SIGNING_KEYS entries must look like <kid>:<secret>');
+      }
+      return { kid: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+}
+
+// HMAC-SHA256 signed download links bound to url, type, expiry and the API
+// key they were issued to (sub), so they work without an X-API-Key header.
+class DownloadSigner {
+  constructor(options = {}) {
+    this.keys = options.keys || parseSigningKeys(process.env.DOWNLOAD_SIGNING_KEYS);
+    this.ttl = options.ttl || defaultTtl;
+  }
+
+  isEnabled() {
+    return this.keys.length > 0;
+  }
+
+  signature(secret, { url, type, expires, sub }) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update([url, type, expires, sub || ''].join('\n'))
+      .digest('base64url');
+  }
+
+  // Returns the query parameters of a signed /download link
+  sign({ url, type, sub }, now = Date.now()) {
+    const [{ kid, secret }] = this.keys;
+    const expires = String(Math.floor(now / 1000) + this.ttl);
+    const params = { url, type, expires, kid };
+
+    if (sub) {
+      params.sub = sub;
+    }
+    params.sig = this.signature(secret, params);
+    return params;
+  }
+
+  verify(query, now = Date.now()) {
+    const { url, type, expires, kid, sub, sig } = query;
+    const key = this.keys.find((k) => k.kid === kid);
+
+    if (!key || typeof sig !== 'string' || typeof url !== 'string' || typeof type !== 'string') {
+      return { valid: false, reason: 'Invalid download link signature' };
+    }
+
+    const expected = Buffer.from(this.signature(key.secret, { url, type, expires, sub }));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Invalid download link signature' };
+    }
+
+    if (!/^\d+$/.test(expires) || parseInt(expires, 10) * 1000 <= now) {
+      return { valid: false, reason: 'Download link has expired' };
+    }
+
+    return { valid: true, kid, sub: sub || null, expires: parseInt(expires, 10) };
+  }
+}
+
+module.exports = { DownloadSigner, downloadSigner: new DownloadSigner(), parseSigningKeys };
@@ -0,0 +1,184 @@
+// Errors the API answers with. Each class carries a stable machine-readable
+// code, the HTTP status, whether retrying the same request may succeed and,
+// where the internal message is not meant for clients, the message they see.
+class AppError extends Error {
+  static code = 'INTERNAL_ERROR';
+  static status = 500;
+  static retryable = false;
+  static publicMessage = null;
+
+  constructor(message, options = {}) {
+    const type = new.target;
+    super(message || type.publicMessage, options.cause ? { cause: options.cause } : undefined);
+    this.name = type.name;
+    this.code = type.code;
+    this.status = type.status;
+    this.retryable = options.retryable ?? type.retryable;
+    this.publicMessage = type.publicMessage || this.message;
+    if (options.details) {
+      this.details = options.details;
+    }
+  }
+}
+
+class ValidationError extends AppError {
+  static code = 'VALIDATION_FAILED';
+  static status = 400;
+}
+
+class InvalidUrlError extends AppError {
+  static code = 'INVALID_URL';
+  static status = 400;
+  static publicMessage = 'Invalid or unsupported TikTok URL';
+}
+
+class InvalidDownloadTypeError extends AppError {
+  static code = 'INVALID_DOWNLOAD_TYPE';
+  static status = 400;
+  static publicMessage = 'Invalid download type. Supported types: nowm, wm, audio, images';
+}
+
+class UrlNotAllowedError extends AppError {
+  static code = 'URL_NOT_ALLOWED';
+  static status = 400;
+  static publicMessage = 'URL not allowed for security reasons';
+}
+
+class AuthenticationError extends AppError {
+  static code = 'UNAUTHORIZED';
+  static status = 401;
+}
+
+class ForbiddenError extends AppError {
+  static code = 'FORBIDDEN';
+  static status = 403;
+}
+
+class NotFoundError extends AppError {
+  static code = 'NOT_FOUND';
+  static status = 404;
+}
+
+class DownloadUnavailableError extends AppError {
+  static code = 'DOWNLOAD_UNAVAILABLE';
+  static status = 404;
+}
+
+class ConflictError extends AppError {
+  static code = 'CONFLICT';
+  static status = 409;
+}
+
+class RangeNotSatisfiableError extends AppError {
+  static code = 'RANGE_NOT_SATISFIABLE';
+  static status = 416;
+  static publicMessage = 'Requested range not satisfiable';
+}
+
+class RateLimitError extends AppError {
+  static code = 'RATE_LIMITED';
+  static status = 429;
+  static retryable = true;
+}
+
+class QuotaExceededError extends AppError {
+  static code = 'QUOTA_EXCEEDED';
+  static status = 429;
+  static retryable = true;
+}
+
+class MetadataUnavailableError extends AppError {
+  static code = 'METADATA_UNAVAILABLE';
+  static status = 422;
+  static publicMessage = 'Unable to process TikTok URL. Please check if the video exists and is public.';
+}
+
+class VideoPrivateError extends AppError {
+  static code = 'VIDEO_PRIVATE';
+  static status = 403;
+  static publicMessage = 'Access denied by TikTok. This video may be private or region-locked.';
+}
+
+class VideoNotFoundError extends AppError {
+  static code = 'VIDEO_NOT_FOUND';
+  static status = 404;
+  static publicMessage = 'TikTok video not found. Please check the URL and try again.';
+}
+
+class MediaHostNotAllowedError extends AppError {
+  static code = 'MEDIA_HOST_NOT_ALLOWED';
+  static status = 502;
+  static publicMessage = 'The metadata provider returned a media URL on a host that is not allowed.';
+}
+
+// An outbound request, or a redirect it followed, resolved to an internal address
+class OutboundRequestBlockedError extends AppError {
+  static code = 'SSRF_BLOCKED';
+  static status = 502;
+  static publicMessage = 'The upstream URL or one of its redirects points at an internal address.';
+}
+
+class UpstreamError extends AppError {
+  static code = 'UPSTREAM_ERROR';
+  static status = 502;
+  static publicMessage = 'TikTok returned an unexpected response. Please try again later.';
+}
+
+class StreamError extends AppError {
+  static code = 'STREAM_FAILED';
+  static status = 500;
+  static retryable = true;
+  static publicMessage = 'Failed to stream file';
+}
+
+class ProviderUnavailableError extends AppError {
+  static code = 'PROVIDER_UNAVAILABLE';
+  static status = 503;
+  static retryable = true;
+  static publicMessage = 'Service temporarily unavailable. Please try again later.';
+}
+
+class UpstreamTimeoutError extends AppError {
+  static code = 'UPSTREAM_TIMEOUT';
+  static status = 504;
+  static retryable = true;
+  static publicMessage = 'Request timeout. TikTok server took too long to respond.';
+}
+
+// Error for a non-2xx answer from an upstream server
+function upstreamHttpError(status, statusText) {
+  const message = `HTTP ${status}: ${statusText}`;
+  if (status === 403) {
+    return new VideoPrivateError(message);
+  }
+  if (status === 404) {
+    return new VideoNotFoundError(message);
+  }
+  return new UpstreamError(message, { retryable: status >= 500 || status === 408 || status === 429 });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  InvalidUrlError,
+  InvalidDownloadTypeError,
+  UrlNotAllowedError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  DownloadUnavailableError,
+  ConflictError,
+  RangeNotSatisfiableError,
+  RateLimitError,
+  QuotaExceededError,
+  MetadataUnavailableError,
+  VideoPrivateError,
+  VideoNotFoundError,
+  MediaHostNotAllowedError,
+  OutboundRequestBlockedError,
+  UpstreamError,
+  StreamError,
+  ProviderUnavailableError,
+  UpstreamTimeoutError,
+  upstreamHttpError
+};
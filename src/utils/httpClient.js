@@ -1,6 +1,34 @@
 const axios = require('axios');
 const UserAgent = require('user-agents');
 const { logger } = require('./logger');
+const ssrfGuard = require('./ssrfGuard');
+const { metrics } = require('./metrics');
+const { withSpan, SpanKind } = require('./tracing');
+const { resolveRetryPolicy, retryDelay } = require('./retryPolicy');
+const { proxyPool } = require('./proxyPool');
+const { AppError, UpstreamTimeoutError, ProviderUnavailableError, upstreamHttpError } = require('./errors');
+
+const redirectStatuses = [301, 302, 303, 307, 308];
+
+// A caller's beforeRedirect may refuse a hop with an AppError, which axios
+// wraps; the innermost one is what the caller threw
+function refusedByHook(error) {
+  let refused = null;
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof AppError) {
+      refused = current;
+    }
+  }
+  return refused;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return 'invalid';
+  }
+}
 
 class HTTPClient {
   constructor() {
@@ -8,6 +36,21 @@ class HTTPClient {
     this.timeout = 30000; // 30 seconds
   }
 
+  // Every request resolves through the SSRF guard and re-checks each redirect
+  // hop; a caller's own beforeRedirect runs after the guard's check.
+  guardOptions(beforeRedirect) {
+    return {
+      httpAgent: ssrfGuard.httpAgent,
+      httpsAgent: ssrfGuard.httpsAgent,
+      beforeRedirect: (options, response) => {
+        ssrfGuard.checkRedirect(options);
+        if (beforeRedirect) {
+          beforeRedirect(options, response);
+        }
+      }
+    };
+  }
+
   getRandomUserAgent() {
     return this.userAgent.toString();
   }
@@ -29,38 +72,193 @@ class HTTPClient {
     };
   }
 
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // The proxy's agents replace the SSRF guard's, whose lookup would only see
+  // the proxy's address; requestViaProxy() checks the target itself instead
+  viaProxy(config, proxy) {
+    return { ...config, httpAgent: proxy.httpAgent, httpsAgent: proxy.httpsAgent, proxy: false };
+  }
+
+  // The proxy resolves every hop's host, so redirects are followed here
+  // rather than by axios: each hop is resolved and checked like the first
+  // request, and the config's beforeRedirect (guard and caller) sees it
+  // before it is sent.
+  async requestViaProxy(config, proxy) {
+    const { beforeRedirect, maxRedirects = 5, validateStatus, ...rest } = config;
+    const accepts = validateStatus || ((status) => status >= 200 && status < 300);
+    let url = config.url;
+
+    for (let hop = 0; ; hop++) {
+      await ssrfGuard.assertPublicResolved(url);
+      const response = await axios({
+        ...this.viaProxy(rest, proxy),
+        url,
+        maxRedirects: 0,
+        validateStatus: (status) => redirectStatuses.includes(status) || accepts(status)
+      });
+
+      const location = response.headers?.location;
+      if (maxRedirects > 0 && redirectStatuses.includes(response.status) && location) {
+        response.data?.destroy?.();
+        if (hop >= maxRedirects) {
+          throw Object.assign(new Error('Maximum number of redirects exceeded'), { code: 'ERR_FR_TOO_MANY_REDIRECTS' });
+        }
+
+        const next = new URL(location, url);
+        const options = {
+          protocol: next.protocol,
+          hostname: next.hostname,
+          host: next.host,
+          port: next.port,
+          path: next.pathname + next.search,
+          href: next.href
+        };
+        if (beforeRedirect) {
+          beforeRedirect(options, { headers: response.headers, statusCode: response.status });
+        }
+        url = next.href;
+        continue;
+      }
+
+      if (!accepts(response.status)) {
+        response.data?.destroy?.();
+        throw Object.assign(new Error(`Request failed with status code ${response.status}`), { config, response });
+      }
+      return response;
+    }
+  }
+
+  recordProxy(proxy, error) {
+    if (proxy) {
+      metrics.countProxyRequest(proxy.name, proxyPool.record(proxy, error));
+    }
+  }
+
+  // Sends through the SSRF guard, retrying transient failures as the retry
+  // policy allows, records latency and errors of every attempt for /metrics
+  // and one client span under the caller's upstream label, and turns failures
+  // into typed errors. The number of attempts made is left on the response or
+  // error as `attempts`. With useProxy, each attempt goes through the next
+  // proxy of the pool, if any. Upstreams are third parties, so no traceparent
+  // is sent.
+  async send(config, { upstream, retry, useProxy }, failure) {
+    const policy = resolveRetryPolicy(retry);
+    const attributes = {
+      'http.request.method': config.method,
+      'server.address': hostnameOf(config.url),
+      'upstream.name': upstream
+    };
+
+    return withSpan(`${config.method} ${upstream}`, { kind: SpanKind.CLIENT, attributes }, async (span) => {
+      for (let attempt = 1; ; attempt++) {
+        const proxy = useProxy ? proxyPool.select() : null;
+        const done = metrics.startUpstream(upstream, config.method);
+        try {
+          ssrfGuard.assertPublicUrl(config.url);
+          if (proxy) {
+            span.setAttribute('upstream.proxy', proxy.name);
+          }
+          const response = await (proxy ? this.requestViaProxy(config, proxy) : axios(config));
+          this.recordProxy(proxy);
+          span.setAttribute('http.response.status_code', response.status);
+          done();
+          response.attempts = attempt;
+          return response;
+        } catch (error) {
+          const typed = this.toTypedError(error, failure);
+          done(typed);
+          // A blocked target says nothing about the proxy
+          if (typed.code !== ssrfGuard.SSRF_BLOCKED) {
+            this.recordProxy(proxy, error);
+          }
+
+          const delay = typed.code === ssrfGuard.SSRF_BLOCKED ? null : retryDelay(policy, error, attempt);
+          if (delay === null) {
+            this.logFailure(error, typed, config.url, failure, attempt);
+            span.setAttribute('error.type', typed.code || 'UNKNOWN');
+            typed.attempts = attempt;
+            throw typed;
+          }
+
+          logger.warn(
+            { url: config.url, upstream, attempt, status: error.response?.status, code: error.code, delayMs: delay },
+            'retrying upstream request'
+          );
+          metrics.countRetry(upstream);
+          span.setAttribute('http.request.resend_count', attempt);
+          // An unread error body would hold on to its socket
+          error.response?.data?.destroy?.();
+          await this.wait(delay);
+        }
+      }
+    });
+  }
+
+  // Blocked requests are logged apart from other failures
+  logFailure(error, typed, url, failure, attempts) {
+    if (typed.code === ssrfGuard.SSRF_BLOCKED) {
+      logger.warn(
+        { url, code: typed.code, host: typed.hostname, address: typed.address },
+        'outbound request blocked'
+      );
+      return;
+    }
+    logger.error({ url, code: error.code, status: error.response?.status, attempts }, failure.log);
+  }
+
+  // Blocked requests and hops a caller's beforeRedirect refused keep their error
+  toTypedError(error, failure) {
+    const blocked = ssrfGuard.findBlocked(error);
+    if (blocked) {
+      return blocked;
+    }
+    const refused = refusedByHook(error);
+    if (refused) {
+      return refused;
+    }
+
+    if (error.code === 'ECONNABORTED') {
+      return new UpstreamTimeoutError(failure.timeout);
+    }
+    if (error.response) {
+      return upstreamHttpError(error.response.status, error.response.statusText);
+    }
+    return new ProviderUnavailableError(`Network error: ${error.message}`);
+  }
+
+  // upstream labels the request in /metrics: tikwm, tiktok (pages and short
+  // links), cdn (media) or webhook. retry is a policy name from retryPolicy.js
+  // (default, stream, none) or overrides of the default policy. useProxy: false
+  // sends the request direct even when a proxy pool is configured.
   async get(url, options = {}) {
+    const { headers, beforeRedirect, upstream = 'tiktok', retry = 'default', useProxy = true, ...rest } = options;
     const config = {
       method: 'GET',
       url,
       timeout: this.timeout,
       headers: {
         ...this.getRandomHeaders(),
-        ...options.headers
+        ...headers
       },
       maxRedirects: 5,
       validateStatus: function (status) {
         return status >= 200 && status < 300;
       },
-      ...options
+      ...this.guardOptions(beforeRedirect),
+      ...rest
     };
 
-    try {
-      const response = await axios(config);
-      return response;
-    } catch (error) {
-      logger.error({ url, code: error.code }, 'HTTP GET failed');
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - TikTok server took too long to respond');
-      }
-      if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
-      }
-      throw new Error(`Network error: ${error.message}`);
-    }
+    return this.send(config, { upstream, retry, useProxy }, {
+      log: 'HTTP GET failed',
+      timeout: 'Request timeout - TikTok server took too long to respond'
+    });
   }
 
   async stream(url, options = {}) {
+    const { headers, beforeRedirect, upstream = 'cdn', retry = 'stream', useProxy = true, ...rest } = options;
     const config = {
       method: 'GET',
       url,
@@ -68,25 +266,45 @@ class HTTPClient {
       timeout: this.timeout,
       headers: {
         ...this.getRandomHeaders(),
-        ...options.headers
+        ...headers
       },
       maxRedirects: 5,
-      ...options
+      ...this.guardOptions(beforeRedirect),
+      ...rest
     };
 
-    try {
-      const response = await axios(config);
-      return response;
-    } catch (error) {
-      logger.error({ url, code: error.code }, 'HTTP stream failed');
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Stream timeout - Failed to download file');
-      }
-      if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
-      }
-      throw new Error(`Network error: ${error.message}`);
-    }
+    return this.send(config, { upstream, retry, useProxy }, {
+      log: 'HTTP stream failed',
+      timeout: 'Stream timeout - Failed to download file'
+    });
+  }
+
+  // JSON POST to a non-TikTok endpoint (webhook callbacks), so no browser
+  // headers and no proxy. Not retried unless asked: a POST may not be safe to
+  // repeat.
+  async post(url, data, options = {}) {
+    const { headers, beforeRedirect, upstream = 'webhook', retry = 'none', ...rest } = options;
+    const config = {
+      method: 'POST',
+      url,
+      data,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      maxRedirects: 5,
+      validateStatus: function (status) {
+        return status >= 200 && status < 300;
+      },
+      ...this.guardOptions(beforeRedirect),
+      ...rest
+    };
+
+    return this.send(config, { upstream, retry, useProxy: false }, {
+      log: 'HTTP POST failed',
+      timeout: 'Request timeout - Server took too long to respond'
+    });
   }
 }
 
@@ -9,6 +9,11 @@ const logger = pino({
       : undefined,
 });
 
+// API keys passed as ?apikey= and download link signatures must not end up in the logs
+function redactUrl(url) {
+  return url.replace(/([?&](?:apikey|sig)=)[^&]*/gi, '$1[REDACTED]');
+}
+
 function requestLogger(req, res, next) {
   req.id = crypto.randomUUID();
   req.log = logger.child({ reqId: req.id });
@@ -18,7 +23,7 @@ function requestLogger(req, res, next) {
     req.log.info(
       {
         method: req.method,
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         statusCode: res.statusCode,
         duration: Date.now() - start,
         ip: req.ip,
@@ -30,4 +35,4 @@ function requestLogger(req, res, next) {
   next();
 }
 
-module.exports = { logger, requestLogger };
+module.exports = { logger, requestLogger, redactUrl };
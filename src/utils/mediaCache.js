@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const defaultDir = process.env.MEDIA_CACHE_DIR || path.join(process.cwd(), 'storage', 'media');
+const defaultMaxBytes = (parseInt(process.env.MEDIA_CACHE_MAX_MB, 10) || 1024) * 1024 * 1024;
+
+// On-disk cache of downloaded media keyed by video id + download type.
+// Entries are kept in a Map in least-recently-used order; the oldest files are
+// evicted once the total size passes maxBytes.
+class MediaCache {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || defaultDir);
+    this.maxBytes = options.maxBytes || defaultMaxBytes;
+    this.enabled = options.enabled ?? process.env.MEDIA_CACHE_ENABLED !== 'false';
+    this.entries = new Map();
+    this.pending = new Set();
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.generation = 0;
+    this.initialized = false;
+  }
+
+  // Rebuilds the index from disk, oldest modification first
+  init() {
+    if (this.initialized || !this.enabled) {
+      return;
+    }
+    this.initialized = true;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const files = fs.readdirSync(this.dir)
+      .map((name) => {
+        const filePath = path.join(this.dir, name);
+        if (name.endsWith('.part')) {
+          this.removeFile(filePath);
+          return null;
+        }
+        const stat = fs.statSync(filePath);
+        return stat.isFile() ? { name, filePath, size: stat.size, mtime: stat.mtimeMs } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.mtime - b.mtime);
+
+    files.forEach(({ name, filePath, size }) => {
+      this.entries.set(path.parse(name).name, { path: filePath, size });
+      this.totalBytes += size;
+    });
+
+    this.evict();
+  }
+
+  key(videoId, type) {
+    const id = String(videoId || '');
+    return /^[\w-]+$/.test(id) ? `${id}_${type}` : null;
+  }
+
+  lookup(videoId, type) {
+    this.init();
+    const key = this.key(videoId, type);
+    const entry = this.enabled && key ? this.entries.get(key) : null;
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    const now = new Date();
+    fs.utimes(entry.path, now, now, () => {});
+
+    return entry;
+  }
+
+  // Drops an entry whose file turned out to be unreadable
+  forget(videoId, type) {
+    const key = this.key(videoId, type);
+    const entry = key && this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+      this.removeFile(entry.path);
+    }
+  }
+
+  // Tees a source stream into a temp file that is renamed into the cache once
+  // the source ends cleanly. Resolves to true when the file was stored.
+  capture(videoId, type, extension, source, { expectedBytes } = {}) {
+    this.init();
+    const key = this.key(videoId, type);
+
+    if (!this.enabled || !key || this.pending.has(key) || this.entries.has(key)) {
+      return Promise.resolve(false);
+    }
+    if (expectedBytes && expectedBytes > this.maxBytes) {
+      return Promise.resolve(false);
+    }
+
+    this.pending.add(key);
+    const generation = this.generation;
+    const filePath = path.join(this.dir, `${key}${extension}`);
+    const tempPath = path.join(this.dir, `${key}.${crypto.randomUUID()}.part`);
+    const out = fs.createWriteStream(tempPath);
+
+    return new Promise((resolve) => {
+      let ended = false;
+      let settled = false;
+
+      const finish = (stored) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        this.pending.delete(key);
+        if (stored) {
+          return resolve(true);
+        }
+
+        // The temp file may still be opening, so it is removed once closed
+        const discard = () => {
+          this.removeFile(tempPath);
+          resolve(false);
+        };
+        if (out.closed) {
+          discard();
+        } else {
+          out.once('close', discard);
+          out.destroy();
+        }
+      };
+
+      source.on('end', () => {
+        ended = true;
+      });
+      source.on('error', () => finish(false));
+      source.on('close', () => {
+        if (!ended) {
+          finish(false);
+        }
+      });
+
+      out.on('error', (error) => {
+        logger.warn({ err: error, key }, 'media cache write failed');
+        source.unpipe(out);
+        finish(false);
+      });
+
+      out.on('finish', async () => {
+        const size = out.bytesWritten;
+        if (!ended || (expectedBytes && size !== expectedBytes) || generation !== this.generation) {
+          return finish(false);
+        }
+
+        try {
+          await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+          logger.warn({ err: error, key }, 'media cache write failed');
+          return finish(false);
+        }
+
+        this.entries.set(key, { path: filePath, size });
+        this.totalBytes += size;
+        this.evict();
+        finish(true);
+      });
+
+      source.pipe(out);
+    });
+  }
+
+  evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+      this.removeFile(entry.path);
+      logger.debug({ key, size: entry.size }, 'media cache entry evicted');
+    }
+  }
+
+  clear() {
+    this.entries.forEach((entry) => this.removeFile(entry.path));
+    this.entries.clear();
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.generation++;
+  }
+
+  removeFile(filePath) {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+module.exports = { MediaCache, mediaCache: new MediaCache() };
@@ -0,0 +1,176 @@
+const client = require('prom-client');
+const { cache } = require('./cache');
+const { mediaCache } = require('./mediaCache');
+const { proxyPool } = require('./proxyPool');
+
+// Prometheus metrics served on /metrics. Route labels use the route template
+// (/api/v1/jobs/:id), never the raw URL, to keep label cardinality bounded.
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [this.registry]
+    });
+
+    this.upstreamDuration = new client.Histogram({
+      name: 'upstream_request_duration_seconds',
+      help: 'Latency of outbound requests until the response headers arrive, by upstream and outcome',
+      labelNames: ['upstream', 'method', 'outcome'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+      registers: [this.registry]
+    });
+
+    this.upstreamErrors = new client.Counter({
+      name: 'upstream_errors_total',
+      help: 'Failed outbound requests by upstream and error code',
+      labelNames: ['upstream', 'code'],
+      registers: [this.registry]
+    });
+
+    this.upstreamRetries = new client.Counter({
+      name: 'upstream_retries_total',
+      help: 'Outbound requests retried after a transient failure, by upstream',
+      labelNames: ['upstream'],
+      registers: [this.registry]
+    });
+
+    this.proxyRequests = new client.Counter({
+      name: 'proxy_requests_total',
+      help: 'Outbound requests sent through each proxy, by outcome (failure: 403/429, timeout or unreachable)',
+      labelNames: ['proxy', 'outcome'],
+      registers: [this.registry]
+    });
+
+    this.proxyAvailable = new client.Gauge({
+      name: 'proxy_available',
+      help: 'Whether each proxy is in rotation (1) or quarantined (0)',
+      labelNames: ['proxy'],
+      registers: [this.registry],
+      collect() {
+        proxyPool.getStats().forEach(({ proxy, available }) => this.set({ proxy }, available ? 1 : 0));
+      }
+    });
+
+    this.downloadBytes = new client.Counter({
+      name: 'download_bytes_total',
+      help: 'Bytes streamed to clients by /download, by download type',
+      labelNames: ['type'],
+      registers: [this.registry]
+    });
+
+    this.activeStreams = new client.Gauge({
+      name: 'download_active_streams',
+      help: 'Downloads currently streaming to clients, by download type',
+      labelNames: ['type'],
+      registers: [this.registry]
+    });
+
+    this.rateLimited = new client.Counter({
+      name: 'rate_limit_rejections_total',
+      help: 'Requests rejected by a rate limiter',
+      labelNames: ['limiter'],
+      registers: [this.registry]
+    });
+
+    this.cacheHitRatio = new client.Gauge({
+      name: 'cache_hit_ratio',
+      help: 'Hits divided by lookups since start, for the metadata and media caches',
+      labelNames: ['cache'],
+      registers: [this.registry],
+      async collect() {
+        const ratio = ({ hits = 0, misses = 0 }) => (hits + misses > 0 ? hits / (hits + misses) : 0);
+        this.set({ cache: 'metadata' }, ratio(await cache.getStats()));
+        this.set({ cache: 'media' }, ratio(mediaCache.getStats()));
+      }
+    });
+  }
+
+  // Label for a matched route; requests that never reached one (404s, auth and
+  // rate-limit rejections in front of the routers) share one label
+  routeLabel(baseUrl, route) {
+    return route ? `${baseUrl}${route.path}`.replace(/(.)\/$/, '$1') : 'unmatched';
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const end = this.httpDuration.startTimer();
+      let route = null;
+      req.routeTemplate = this.routeLabel();
+
+      // express resets req.baseUrl once an error leaves a router, so the label
+      // is taken when the route is assigned. Tracing reads it too.
+      Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: (value) => {
+          route = value;
+          req.routeTemplate = this.routeLabel(req.baseUrl, value);
+        }
+      });
+
+      res.on('finish', () => {
+        const labels = { method: req.method, route: req.routeTemplate, status: res.statusCode };
+        end(labels);
+        this.httpRequests.inc(labels);
+      });
+      next();
+    };
+  }
+
+  // Returns a callback that records the outcome of one outbound request attempt
+  startUpstream(upstream, method) {
+    const end = this.upstreamDuration.startTimer({ upstream, method });
+    return (error) => {
+      end({ outcome: error ? 'error' : 'success' });
+      if (error) {
+        this.upstreamErrors.inc({ upstream, code: error.code || 'UNKNOWN' });
+      }
+    };
+  }
+
+  countRetry(upstream) {
+    this.upstreamRetries.inc({ upstream });
+  }
+
+  countProxyRequest(proxy, outcome) {
+    this.proxyRequests.inc({ proxy, outcome });
+  }
+
+  // Counts a download as active until its response closes
+  trackStream(type, res) {
+    this.activeStreams.inc({ type });
+    res.once('close', () => this.activeStreams.dec({ type }));
+  }
+
+  countBytes(type, bytes) {
+    this.downloadBytes.inc({ type }, bytes);
+  }
+
+  countRateLimited(limiter) {
+    this.rateLimited.inc({ limiter });
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+module.exports = { Metrics, metrics: new Metrics() };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { logger } = require('./logger');
+
+const defaultStrategy = process.env.PROXY_STRATEGY || 'round-robin';
+const defaultQuarantineMs = parseInt(process.env.PROXY_QUARANTINE_MS, 10) || 300000;
+
+const strategies = ['round-robin', 'least-failures'];
+
+// Answers that mean the proxy's address is throttled or blocked, and errors
+// that mean the proxy is too slow or cannot be reached. Anything else is the
+// upstream's doing and counts as a success for the proxy.
+const quarantineStatuses = [403, 429];
+const quarantineCodes = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EHOSTUNREACH'];
+
+// PROXY_URLS is comma-separated; PROXY_FILE has one URL per line, # starts a comment
+function readProxyUrls() {
+  const urls = (process.env.PROXY_URLS || '').split(',');
+  if (process.env.PROXY_FILE) {
+    urls.push(...fs.readFileSync(process.env.PROXY_FILE, 'utf8').split('\n').map((line) => line.replace(/#.*/, '')));
+  }
+  return urls.map((url) => url.trim()).filter(Boolean);
+}
+
+function createAgents(url) {
+  switch (url.protocol) {
+    case 'http:':
+    case 'https:':
+      return {
+        httpAgent: new HttpProxyAgent(url.href, { keepAlive: true }),
+        httpsAgent: new HttpsProxyAgent(url.href, { keepAlive: true })
+      };
+    case 'socks5:':
+    case 'socks5h:':
+    case 'socks4:':
+    case 'socks4a:': {
+      const agent = new SocksProxyAgent(url.href, { keepAlive: true });
+      return { httpAgent: agent, httpsAgent: agent };
+    }
+    default:
+      throw new Error(`Unsupported proxy protocol "${url.protocol}" (expected http, https, socks5 or socks4)`);
+  }
+}
+
+// Outbound proxies for requests to TikTok, tikwm and the CDNs. Proxies are
+// taken in turn (round-robin) or by fewest failures (least-failures, ties
+// taken in turn). A proxy that gets a 403/429 or times out is quarantined for
+// PROXY_QUARANTINE_MS. The pool is empty, and requests go direct, unless
+// PROXY_URLS or PROXY_FILE is set.
+class ProxyPool {
+  constructor(options = {}) {
+    this.strategy = options.strategy || defaultStrategy;
+    if (!strategies.includes(this.strategy)) {
+      throw new Error(`Unknown PROXY_STRATEGY "${this.strategy}" (expected ${strategies.join(' or ')})`);
+    }
+    this.quarantineMs = options.quarantineMs || defaultQuarantineMs;
+    this.proxies = (options.urls || readProxyUrls()).map((url) => this.createProxy(url));
+    this.cursor = 0;
+  }
+
+  createProxy(raw) {
+    const url = new URL(raw);
+    return {
+      // Credentials stay out of logs and metric labels
+      name: `${url.protocol}//${url.host}`,
+      ...createAgents(url),
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      quarantinedUntil: 0,
+      lastError: null
+    };
+  }
+
+  get enabled() {
+    return this.proxies.length > 0;
+  }
+
+  // Proxy for the next request, or null when the pool is empty. With every
+  // proxy quarantined, the one released soonest is used rather than going direct.
+  select(now = Date.now()) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const candidates = this.proxies.filter((proxy) => proxy.quarantinedUntil <= now);
+    if (candidates.length === 0) {
+      logger.warn({ proxies: this.proxies.length }, 'every proxy is quarantined');
+      return this.proxies.reduce((soonest, proxy) => (proxy.quarantinedUntil < soonest.quarantinedUntil ? proxy : soonest));
+    }
+
+    const start = this.cursor % candidates.length;
+    this.cursor = start + 1;
+    const ordered = [...candidates.slice(start), ...candidates.slice(0, start)];
+    if (this.strategy === 'least-failures') {
+      return ordered.reduce((best, proxy) => (proxy.failures < best.failures ? proxy : best));
+    }
+    return ordered[0];
+  }
+
+  isProxyFault(error) {
+    if (error.response) {
+      return quarantineStatuses.includes(error.response.status);
+    }
+    return quarantineCodes.includes(error.code);
+  }
+
+  // Records how a request through proxy went (error is the axios error, if
+  // any) and returns the outcome: success or failure
+  record(proxy, error, now = Date.now()) {
+    if (!error || !this.isProxyFault(error)) {
+      proxy.successes++;
+      proxy.consecutiveFailures = 0;
+      proxy.quarantinedUntil = 0;
+      return 'success';
+    }
+
+    proxy.failures++;
+    proxy.consecutiveFailures++;
+    proxy.lastError = error.response ? `HTTP ${error.response.status}` : error.code;
+    proxy.quarantinedUntil = now + this.quarantineMs;
+    logger.warn(
+      { proxy: proxy.name, error: proxy.lastError, quarantineMs: this.quarantineMs },
+      'proxy quarantined'
+    );
+    return 'failure';
+  }
+
+  getStats(now = Date.now()) {
+    return this.proxies.map((proxy) => ({
+      proxy: proxy.name,
+      available: proxy.quarantinedUntil <= now,
+      successes: proxy.successes,
+      failures: proxy.failures,
+      consecutiveFailures: proxy.consecutiveFailures,
+      quarantinedUntil: proxy.quarantinedUntil > now ? new Date(proxy.quarantinedUntil).toISOString() : null,
+      lastError: proxy.lastError
+    }));
+  }
+}
+
+module.exports = { ProxyPool, proxyPool: new ProxyPool() };
@@ -0,0 +1,7 @@
+// Origin clients reach this API on, for absolute links in responses and
+// webhook payloads. PUBLIC_BASE_URL wins when the API sits behind a proxy.
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = { publicBaseUrl };
@@ -0,0 +1,29 @@
+// express-rate-limit store on top of the cache adapter, so limiters count in
+// Redis when CACHE_DRIVER=redis and every replica sees the same totals.
+class CacheRateLimitStore {
+  constructor(cache, { prefix = 'rl:' } = {}) {
+    this.cache = cache;
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+    this.localKeys = cache.driver === 'memory';
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, resetTime } = await this.cache.increment(this.prefix + key, this.windowMs);
+    return { totalHits: count, resetTime: new Date(resetTime) };
+  }
+
+  async decrement(key) {
+    await this.cache.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.cache.del(this.prefix + key);
+  }
+}
+
+module.exports = { CacheRateLimitStore };
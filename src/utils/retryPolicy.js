@@ -0,0 +1,99 @@
+const defaultAttempts = parseInt(process.env.HTTP_RETRY_ATTEMPTS, 10) || 3;
+const defaultBaseDelayMs = parseInt(process.env.HTTP_RETRY_BASE_MS, 10) || 200;
+const defaultMaxDelayMs = parseInt(process.env.HTTP_RETRY_MAX_MS, 10) || 2000;
+
+// Statuses and network errors that say nothing about the request itself. A
+// timeout (ECONNABORTED) is not among them: it has already used up the time
+// the caller was willing to wait.
+const transientStatuses = [408, 429, 500, 502, 503, 504];
+const transientCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// attempts counts the first try. Backoff doubles from baseDelayMs up to
+// maxDelayMs; jitter is full (0..delay), equal (delay/2..delay) or none.
+// A Retry-After header replaces the backoff, and a request is not retried
+// when the server asks for more than maxRetryAfterMs.
+const policies = {
+  default: {
+    attempts: defaultAttempts,
+    baseDelayMs: defaultBaseDelayMs,
+    maxDelayMs: defaultMaxDelayMs,
+    jitter: 'full',
+    statuses: transientStatuses,
+    codes: transientCodes,
+    respectRetryAfter: true,
+    maxRetryAfterMs: 10000
+  },
+  // A client is waiting on the download, so one quick retry at most
+  stream: {
+    attempts: Math.min(defaultAttempts, 2),
+    baseDelayMs: defaultBaseDelayMs,
+    maxDelayMs: defaultMaxDelayMs,
+    jitter: 'full',
+    statuses: transientStatuses,
+    codes: transientCodes,
+    respectRetryAfter: true,
+    maxRetryAfterMs: 2000
+  },
+  none: {
+    attempts: 1
+  }
+};
+
+// A call site's retry option: a policy name, or overrides of the default policy
+function resolveRetryPolicy(retry = 'default') {
+  if (typeof retry === 'string') {
+    if (!policies[retry]) {
+      throw new Error(`Unknown retry policy "${retry}" (expected ${Object.keys(policies).join(', ')})`);
+    }
+    return policies[retry];
+  }
+  return { ...policies.default, ...retry };
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+function backoff(policy, attempt) {
+  const delay = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  switch (policy.jitter) {
+    case 'full':
+      return Math.round(Math.random() * delay);
+    case 'equal':
+      return Math.round(delay / 2 + Math.random() * (delay / 2));
+    default:
+      return delay;
+  }
+}
+
+// Milliseconds to wait after attempt number `attempt` failed with axios error
+// `error`, or null to give up
+function retryDelay(policy, error, attempt, now = Date.now()) {
+  if (attempt >= policy.attempts) {
+    return null;
+  }
+
+  const { response } = error;
+  if (response) {
+    if (!policy.statuses.includes(response.status)) {
+      return null;
+    }
+    const retryAfter = policy.respectRetryAfter ? parseRetryAfter(response.headers?.['retry-after'], now) : null;
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxRetryAfterMs ? retryAfter : null;
+    }
+    return backoff(policy, attempt);
+  }
+
+  return policy.codes.includes(error.code) ? backoff(policy, attempt) : null;
+}
+
+module.exports = { policies, resolveRetryPolicy, parseRetryAfter, retryDelay };
@@ -0,0 +1,95 @@
+// Optional fields for /fetch?fields=... and ?detail=full. Providers supply the
+// raw values under metadata.details; hashtags and mentions come from the caption.
+const RICH_FIELDS = [
+  'duration',
+  'resolution',
+  'size',
+  'stats',
+  'create_time',
+  'region',
+  'hashtags',
+  'mentions',
+  'music',
+  'author',
+];
+
+function parseHashtags(caption) {
+  const matches = (caption || '').match(/#[\p{L}\p{N}_]+/gu) || [];
+  return [...new Set(matches.map((tag) => tag.slice(1)))];
+}
+
+function parseMentions(caption) {
+  const matches = (caption || '').match(/(?:^|[^\w@])@([\w.]+)/g) || [];
+  return [...new Set(matches.map((m) => m.slice(m.indexOf('@') + 1).replace(/\.+$/, '')))];
+}
+
+function parseFields(fieldsParam, detail) {
+  if (detail === 'full') {
+    return [...RICH_FIELDS];
+  }
+
+  if (!fieldsParam) {
+    return [];
+  }
+
+  return [...new Set(String(fieldsParam).split(',').map((f) => f.trim()).filter(Boolean))];
+}
+
+function toIsoTime(seconds) {
+  if (!seconds) {
+    return null;
+  }
+  const date = new Date(Number(seconds) * 1000);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function buildRichFields(metadata, fields) {
+  const d = metadata.details || {};
+  const result = {};
+
+  const builders = {
+    duration: () => d.duration ?? null,
+    resolution: () =>
+      d.width && d.height ? { width: d.width, height: d.height } : null,
+    size: () => ({
+      nowm: d.size?.nowm ?? null,
+      wm: d.size?.wm ?? null,
+      hd: d.size?.hd ?? null,
+    }),
+    stats: () => ({
+      plays: d.stats?.plays ?? null,
+      likes: d.stats?.likes ?? null,
+      comments: d.stats?.comments ?? null,
+      shares: d.stats?.shares ?? null,
+    }),
+    create_time: () => toIsoTime(d.create_time),
+    region: () => d.region || null,
+    hashtags: () => parseHashtags(metadata.caption),
+    mentions: () => parseMentions(metadata.caption),
+    music: () => ({
+      title: d.music?.title || null,
+      author: d.music?.author || null,
+      duration: d.music?.duration ?? null,
+    }),
+    author: () => ({
+      nickname: d.author?.nickname || null,
+      avatar: d.author?.avatar || null,
+    }),
+  };
+
+  fields.forEach((field) => {
+    if (builders[field]) {
+      result[field] = builders[field]();
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  RICH_FIELDS,
+  parseHashtags,
+  parseMentions,
+  parseFields,
+  buildRichFields,
+};
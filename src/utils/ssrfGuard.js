@@ -0,0 +1,109 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Validator = require('./validator');
+const { OutboundRequestBlockedError } = require('./errors');
+
+const SSRF_BLOCKED = OutboundRequestBlockedError.code;
+
+function blockedError(hostname, address) {
+  const target = hostname === address ? `${address} is an internal address` : `${hostname} resolves to ${address}`;
+  const error = new OutboundRequestBlockedError(`URL not allowed for security reasons: ${target}`);
+  error.hostname = hostname;
+  error.address = address;
+  return error;
+}
+
+// dns.lookup for the agents below. The address is checked after resolution,
+// right before the socket connects, so a hostname that resolves (or rebinds)
+// to an internal address fails instead of being reached.
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => Validator.isPrivateAddress(address));
+    if (blocked) {
+      return callback(blockedError(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// IP literals never go through lookup, so they are checked up front
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && Validator.isPrivateAddress(host)) {
+    throw blockedError(host, host);
+  }
+}
+
+// Unparseable URLs are left for axios to reject
+function assertPublicUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return;
+  }
+  assertPublicHost(hostname);
+}
+
+// A proxied request connects to the proxy, which resolves the target itself,
+// so the target, and each redirect hop, is resolved and checked here before
+// sending (see httpClient.requestViaProxy).
+function assertPublicResolved(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    guardedLookup(hostname, { all: true }, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+// axios beforeRedirect hook: every hop gets the same check as the first request
+function checkRedirect(options) {
+  assertPublicHost(options.hostname || options.host || '');
+}
+
+// follow-redirects and axios wrap errors (axios copies the code onto its own),
+// so the innermost error with the code is the one raised here
+function findBlocked(error) {
+  let blocked = null;
+  for (let current = error; current; current = current.cause) {
+    if (current.code === SSRF_BLOCKED) {
+      blocked = current;
+    }
+  }
+  return blocked;
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+module.exports = {
+  SSRF_BLOCKED,
+  guardedLookup,
+  assertPublicUrl,
+  assertPublicResolved,
+  checkRedirect,
+  findBlocked,
+  httpAgent,
+  httpsAgent
+};
@@ -0,0 +1,124 @@
+const { trace, context, propagation, SpanKind, SpanStatusCode, ROOT_CONTEXT } = require('@opentelemetry/api');
+const {
+  NodeTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter
+} = require('@opentelemetry/sdk-trace-node');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+const { version } = require('../../package.json');
+
+// OpenTelemetry tracing. OTEL_TRACES_EXPORTER picks where spans go: otlp
+// (OTLP/HTTP, configured by the standard OTEL_EXPORTER_OTLP_* variables),
+// console, memory (kept in memoryExporter, for tests) or none (the default;
+// spans are no-ops). Sampling follows OTEL_TRACES_SAMPLER.
+function createExporter(name) {
+  switch (name) {
+    case 'otlp': {
+      const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    }
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'memory':
+      return new SimpleSpanProcessor(memoryExporter);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown OTEL_TRACES_EXPORTER "${name}" (expected otlp, console, memory or none)`);
+  }
+}
+
+const memoryExporter = new InMemorySpanExporter();
+const processor = createExporter(process.env.OTEL_TRACES_EXPORTER || 'none');
+let provider = null;
+
+// register() also installs the AsyncLocalStorage context manager and the
+// W3C traceparent/baggage propagators
+if (processor) {
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'tiktok-downloader',
+      [ATTR_SERVICE_VERSION]: version
+    }),
+    spanProcessors: [processor]
+  });
+  provider.register();
+}
+
+const tracer = trace.getTracer('tiktok-downloader', version);
+
+// Runs fn(span) in a new active span that ends when fn settles; a thrown
+// error is recorded on the span and rethrown
+function withSpan(name, options, fn) {
+  return tracer.startActiveSpan(name, options, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Server span for each incoming request, continuing the caller's trace when
+// a traceparent header is sent. The name gets the route template once known
+// (req.routeTemplate, set by the metrics middleware).
+function tracingMiddleware(req, res, next) {
+  const parent = propagation.extract(ROOT_CONTEXT, req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'url.scheme': req.protocol,
+      'client.address': req.ip
+    }
+  }, parent);
+
+  res.once('close', () => {
+    const route = req.routeTemplate || 'unmatched';
+    span.updateName(`${req.method} ${route}`);
+    span.setAttributes({
+      'http.route': route,
+      'http.response.status_code': res.statusCode,
+      'request.id': req.id
+    });
+    if (!res.writableFinished) {
+      span.setAttribute('http.response.aborted', true);
+    }
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  context.with(trace.setSpan(parent, span), next);
+}
+
+// Span for work that outlives the current call, such as streaming a response
+function startSpan(name, attributes) {
+  return tracer.startSpan(name, { attributes });
+}
+
+async function shutdown() {
+  if (provider) {
+    await provider.shutdown();
+  }
+}
+
+module.exports = {
+  tracer,
+  withSpan,
+  startSpan,
+  tracingMiddleware,
+  shutdown,
+  memoryExporter,
+  SpanKind,
+  SpanStatusCode
+};
@@ -1,4 +1,53 @@
 const { URL } = require('url');
+const dns = require('dns');
+const net = require('net');
+const { InvalidUrlError } = require('./errors');
+
+// Addresses a server-side request must never reach: "this" network, private,
+// carrier-grade NAT, loopback, link-local, benchmarking, multicast and reserved
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+// Hosts media may be streamed from: "*.example.com" matches any subdomain,
+// anything else the exact host. MEDIA_HOST_ALLOWLIST=* turns the check off.
+const defaultMediaHosts = [
+  '*.tiktokcdn.com', '*.tiktokcdn-us.com', '*.tiktokcdn-eu.com', '*.tiktok.com',
+  '*.tiktokv.com', '*.tiktokv.us', '*.tiktokv.eu', '*.byteoversea.com',
+  '*.ibytedtos.com', '*.ibyteimg.com', '*.muscdn.com', 'tikwm.com', '*.tikwm.com'
+];
+
+function parseHostPatterns(value) {
+  return value
+    .split(',')
+    .map((pattern) => pattern.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const mediaHostPatterns = process.env.MEDIA_HOST_ALLOWLIST
+  ? parseHostPatterns(process.env.MEDIA_HOST_ALLOWLIST)
+  : defaultMediaHosts;
+
+// ::ffff:a.b.c.d and ::ffff:xxxx:xxxx carry an IPv4 address
+function mappedIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return dotted[1];
+  }
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return null;
+}
 
 class Validator {
   static isValidTikTokURL(urlString) {
@@ -10,7 +59,8 @@ class Validator {
         'tiktok.com',
         'www.tiktok.com',
         'm.tiktok.com',
-        'vm.tiktok.com'
+        'vm.tiktok.com',
+        'vt.tiktok.com'
       ];
 
       const hostname = url.hostname.toLowerCase();
@@ -18,15 +68,21 @@ class Validator {
         return false;
       }
 
+      if (Validator.extractShortCode(urlString)) {
+        return true;
+      }
+
       // Check if it contains video patterns
       const pathname = url.pathname.toLowerCase();
       
       // Match patterns like:
       // /@username/video/123456789
+      // /@username/photo/123456789
       // /t/abcdefg/
       // /v/123456789.html
       const videoPatterns = [
         /\/@[\w.-]+\/video\/\d+/,  // Standard video URL
+        /\/@[\w.-]+\/photo\/\d+/,  // Photo slideshow URL
         /\/t\/[\w-]+/,             // Short URL
         /\/v\/\d+/,                // Alternative video format
         /\/share\/video\/\d+/      // Share URL format
@@ -39,7 +95,7 @@ class Validator {
   }
 
   static isValidDownloadType(type) {
-    const validTypes = ['nowm', 'wm', 'audio'];
+    const validTypes = ['nowm', 'wm', 'audio', 'images'];
     return validTypes.includes(type);
   }
 
@@ -53,7 +109,7 @@ class Validator {
       
       return url.toString();
     } catch (error) {
-      throw new Error('Invalid URL format');
+      throw new InvalidUrlError('Invalid URL format');
     }
   }
 
@@ -71,10 +127,10 @@ class Validator {
         videoId = standardMatch[1];
       }
       
-      // Short URL format: /t/abcdefg/
-      const shortMatch = pathname.match(/\/t\/([\w-]+)/);
-      if (shortMatch) {
-        videoId = shortMatch[1];
+      // Photo slideshow format: /@username/photo/123456789
+      const photoMatch = pathname.match(/\/@[\w.-]+\/photo\/(\d+)/);
+      if (photoMatch) {
+        videoId = photoMatch[1];
       }
       
       // Alternative format: /v/123456789
@@ -95,6 +151,43 @@ class Validator {
     }
   }
 
+  // Short links (vm.tiktok.com/<code>/, vt.tiktok.com/<code>/, /t/<code>/) carry an
+  // opaque share code instead of the video id and must be resolved by redirect.
+  static extractShortCode(urlString) {
+    try {
+      const url = new URL(urlString);
+      const hostname = url.hostname.toLowerCase();
+
+      const shortPathMatch = url.pathname.match(/^\/t\/([\w-]+)\/?$/);
+      if (shortPathMatch) {
+        return shortPathMatch[1];
+      }
+
+      if (hostname === 'vm.tiktok.com' || hostname === 'vt.tiktok.com') {
+        const rootMatch = url.pathname.match(/^\/([\w-]+)\/?$/);
+        if (rootMatch) {
+          return rootMatch[1];
+        }
+      }
+
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static isPhotoURL(urlString) {
+    try {
+      return /\/@[\w.-]+\/photo\/\d+/.test(new URL(urlString).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static isShortURL(urlString) {
+    return Validator.extractShortCode(urlString) !== null;
+  }
+
   static isSSRFSafe(urlString) {
     try {
       const url = new URL(urlString);
@@ -130,6 +223,62 @@ class Validator {
       return false;
     }
   }
+
+  static isAllowedMediaHost(hostname, patterns = mediaHostPatterns) {
+    const host = hostname.toLowerCase();
+    return patterns.some((pattern) => {
+      if (pattern === '*') {
+        return true;
+      }
+      if (pattern.startsWith('*.')) {
+        return host.endsWith(pattern.slice(1));
+      }
+      return host === pattern;
+    });
+  }
+
+  static isAllowedMediaURL(urlString, patterns = mediaHostPatterns) {
+    try {
+      const url = new URL(urlString);
+      return ['http:', 'https:'].includes(url.protocol) && Validator.isAllowedMediaHost(url.hostname, patterns);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+      return true;
+    }
+    if (family === 6) {
+      const mapped = mappedIPv4(address);
+      if (mapped) {
+        return Validator.isPrivateAddress(mapped);
+      }
+    }
+    return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // isSSRFSafe plus a DNS lookup, so hostnames that resolve to an internal
+  // address are refused too. Unresolvable hosts are not safe.
+  static async isSSRFSafeResolved(urlString) {
+    if (!Validator.isSSRFSafe(urlString)) {
+      return false;
+    }
+
+    const hostname = new URL(urlString).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+      return !Validator.isPrivateAddress(hostname);
+    }
+
+    try {
+      const addresses = await dns.promises.lookup(hostname, { all: true });
+      return addresses.length > 0 && addresses.every(({ address }) => !Validator.isPrivateAddress(address));
+    } catch (error) {
+      return false;
+    }
+  }
 }
 
 module.exports = Validator;
\ No newline at end of file
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-keys-'));
+process.env.API_KEYS_FILE = path.join(keysDir, 'keys.json');
+process.env.ADMIN_API_KEY = 'admin-secret';
+process.env.API_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_LIMIT = '1000';
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { keyRegistry } = require('../../src/services/keyRegistry');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+const FETCH_PATH = `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`;
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+function createKey(body = { name: 'Acme Corp' }) {
+  return request(app).post('/admin/keys').set(ADMIN).send(body);
+}
+
+beforeEach(() => {
+  keyRegistry.keys = [];
+  keyRegistry.usage = {};
+  httpClient.get.mockResolvedValue({
+    data: {
+      code: 0,
+      data: { id: '9999999999', title: 'caption', author: { unique_id: 'testcreator' } },
+    },
+  });
+});
+
+afterAll(async () => {
+  await keyRegistry.close();
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe('Admin authentication', () => {
+  it('rejects requests without the admin bearer token', async () => {
+    const missing = await request(app).get('/admin/keys');
+    const wrong = await request(app).get('/admin/keys').set('Authorization', 'Bearer nope');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+  });
+
+  it('does not accept regular API keys', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app).get('/admin/keys').set('Authorization', `Bearer ${body.key}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is disabled without ADMIN_API_KEY', async () => {
+    delete process.env.ADMIN_API_KEY;
+    try {
+      const res = await request(app).get('/admin/keys').set(ADMIN);
+      expect(res.status).toBe(403);
+    } finally {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+    }
+  });
+});
+
+describe('/admin/keys', () => {
+  it('creates a key that works immediately and is stored hashed', async () => {
+    const res = await createKey({
+      name: 'Acme Corp',
+      quotas: { perMinute: 30, daily: 1000 },
+      endpoints: ['fetch'],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.headers.location).toBe(`/admin/keys/${res.body.id}`);
+    expect(res.body).toMatchObject({
+      name: 'Acme Corp',
+      status: 'active',
+      quotas: { perMinute: 30, daily: 1000 },
+      endpoints: ['fetch'],
+    });
+    expect(res.body.key).toEqual(expect.any(String));
+    expect(res.body).not.toHaveProperty('hash');
+
+    const fetchRes = await request(app).get(FETCH_PATH).set('X-API-Key', res.body.key);
+    expect(fetchRes.status).toBe(200);
+
+    await keyRegistry.saving;
+    const saved = fs.readFileSync(process.env.API_KEYS_FILE, 'utf8');
+    expect(saved).not.toContain(res.body.key);
+    expect(JSON.parse(saved)[0].hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('validates the request body', async () => {
+    const noName = await createKey({});
+    const badEndpoint = await createKey({ name: 'x', endpoints: ['admin'] });
+    const badQuota = await createKey({ name: 'x', quotas: { daily: -1 } });
+
+    expect(noName.status).toBe(400);
+    expect(badEndpoint.status).toBe(400);
+    expect(badQuota.status).toBe(400);
+  });
+
+  it('lists keys without secrets', async () => {
+    await createKey({ name: 'One' });
+    await createKey({ name: 'Two' });
+
+    const res = await request(app).get('/admin/keys').set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.keys.map((k) => k.name)).toEqual(['One', 'Two']);
+    res.body.keys.forEach((k) => {
+      expect(k).not.toHaveProperty('hash');
+      expect(k).not.toHaveProperty('key');
+    });
+  });
+
+  it('revokes a key immediately', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app).post(`/admin/keys/${body.id}/revoke`).set(ADMIN);
+    const fetchRes = await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+    const again = await request(app).post(`/admin/keys/${body.id}/revoke`).set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'revoked', revokedAt: expect.any(String) });
+    expect(fetchRes.status).toBe(401);
+    expect(again.status).toBe(409);
+  });
+
+  it('rotates a key, invalidating the old secret', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app).post(`/admin/keys/${body.id}/rotate`).set(ADMIN);
+    const oldKey = await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+    const newKey = await request(app).get(FETCH_PATH).set('X-API-Key', res.body.key);
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(body.id);
+    expect(res.body.key).not.toBe(body.key);
+    expect(oldKey.status).toBe(401);
+    expect(newKey.status).toBe(200);
+  });
+
+  it('updates quotas and endpoints without a restart', async () => {
+    const { body } = await createKey({ name: 'Acme', quotas: { daily: 100, perMinute: 10 } });
+
+    const res = await request(app)
+      .patch(`/admin/keys/${body.id}`)
+      .set(ADMIN)
+      .send({ quotas: { daily: 1, perMinute: null }, endpoints: ['download'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.quotas).toEqual({ daily: 1 });
+    expect(res.body.endpoints).toEqual(['download']);
+
+    const fetchRes = await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+    expect(fetchRes.status).toBe(403);
+  });
+
+  it('can disable and re-enable a key', async () => {
+    const { body } = await createKey();
+
+    await request(app).patch(`/admin/keys/${body.id}`).set(ADMIN).send({ status: 'disabled' });
+    const disabled = await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+    await request(app).patch(`/admin/keys/${body.id}`).set(ADMIN).send({ status: 'active' });
+    const enabled = await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+
+    expect(disabled.status).toBe(401);
+    expect(enabled.status).toBe(200);
+  });
+
+  it('shows recent usage', async () => {
+    const { body } = await createKey();
+    await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+    await request(app).get(FETCH_PATH).set('X-API-Key', body.key);
+
+    const detail = await request(app).get(`/admin/keys/${body.id}?days=3`).set(ADMIN);
+    const usage = await request(app).get(`/admin/keys/${body.id}/usage`).set(ADMIN);
+
+    expect(detail.body.usageToday).toBe(2);
+    expect(detail.body.usage).toHaveLength(3);
+    expect(usage.body.usage).toHaveLength(7);
+    expect(usage.body.usage[0]).toMatchObject({ total: 2, endpoints: { fetch: 2 } });
+  });
+
+  it('returns 404 for unknown keys', async () => {
+    const res = await request(app).get('/admin/keys/does-not-exist').set(ADMIN);
+    expect(res.status).toBe(404);
+  });
+});
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Readable } = require('stream');
 
 // Mock httpClient so integration tests don't call TikTok
@@ -6,10 +9,24 @@ jest.mock('../../src/utils/httpClient', () => ({
   stream: jest.fn(),
 }));
 
+// Raise the per-IP limits so the whole suite fits in one rate-limit window
+process.env.API_RATE_LIMIT = process.env.API_RATE_LIMIT || '1000';
+process.env.FETCH_RATE_LIMIT = process.env.FETCH_RATE_LIMIT || '1000';
+process.env.DOWNLOAD_RATE_LIMIT = process.env.DOWNLOAD_RATE_LIMIT || '1000';
+process.env.JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-jobs-'));
+process.env.MEDIA_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-media-'));
+process.env.API_KEYS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-')), 'keys.json');
+
 const request = require('supertest');
 const httpClient = require('../../src/utils/httpClient');
 const app = require('../../src/app');
 const { cache } = require('../../src/utils/cache');
+const tiktokService = require('../../src/services/tiktokService');
+const { jobQueue } = require('../../src/services/jobQueue');
+const { mediaCache } = require('../../src/utils/mediaCache');
+const { keyRegistry } = require('../../src/services/keyRegistry');
+const { readiness } = require('../../src/services/readiness');
+const { UpstreamTimeoutError, VideoPrivateError } = require('../../src/utils/errors');
 
 // Build a fake tikwm API response
 function buildApiResponse(overrides = {}) {
@@ -33,9 +50,17 @@ function buildApiResponse(overrides = {}) {
 
 const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
 
-beforeEach(() => {
+beforeEach(async () => {
   jest.clearAllMocks();
-  cache.flushAll();
+  await cache.flushAll();
+  tiktokService.providers.reset();
+  mediaCache.clear();
+});
+
+afterAll(async () => {
+  await keyRegistry.close();
+  fs.rmSync(process.env.MEDIA_CACHE_DIR, { recursive: true, force: true });
+  fs.rmSync(path.dirname(process.env.API_KEYS_FILE), { recursive: true, force: true });
 });
 
 // ─── Static Endpoints ──────────────────────────────────────────────
@@ -64,6 +89,77 @@ describe('Static Endpoints', () => {
       expect(res.body.cache).toHaveProperty('hits');
       expect(res.body.cache).toHaveProperty('misses');
       expect(res.body.cache).toHaveProperty('keys');
+      expect(res.body.cache.media).toMatchObject({ hits: 0, misses: 0, entries: 0, bytes: 0 });
+      expect(res.body.providers.map((p) => p.name)).toEqual(['tikwm', 'scraper']);
+    });
+
+    it('answers 500 when cache stats cannot be read', async () => {
+      const getStats = jest.spyOn(cache, 'getStats').mockRejectedValue(new Error('Connection is closed.'));
+
+      try {
+        const res = await request(app).get('/health');
+
+        expect(res.status).toBe(500);
+        expect(res.body).toMatchObject({ error: true, code: 'INTERNAL_ERROR' });
+      } finally {
+        getStats.mockRestore();
+      }
+    });
+  });
+
+  describe('GET /health/live', () => {
+    it('answers without checking dependencies', async () => {
+      const res = await request(app).get('/health/live');
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'ok', uptime: expect.any(Number) });
+      expect(httpClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('is ready while the cache and a provider answer', async () => {
+      httpClient.get.mockImplementation(async (url) => (
+        url.includes('tikwm') ? { status: 200, data: { code: -1 } } : Promise.reject(new Error('ECONNRESET'))
+      ));
+      await readiness.refresh();
+
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'ready', ready: true });
+      expect(res.body.checks.cache).toMatchObject({ status: 'up', driver: 'memory' });
+      expect(res.body.checks.providers).toEqual([
+        expect.objectContaining({ name: 'tikwm', status: 'up', latencyMs: expect.any(Number) }),
+        expect.objectContaining({ name: 'scraper', status: 'down', error: 'ECONNRESET' })
+      ]);
+      expect(httpClient.get).toHaveBeenCalledWith('https://www.tikwm.com/api/', expect.objectContaining({
+        timeout: expect.any(Number),
+        upstream: 'tikwm'
+      }));
+    });
+
+    it('answers 503 when no provider is reachable', async () => {
+      httpClient.get.mockRejectedValue(new Error('ETIMEDOUT'));
+      await readiness.refresh();
+
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toMatchObject({ status: 'not_ready', ready: false });
+    });
+
+    it('answers 503 once shutdown has begun', async () => {
+      httpClient.get.mockResolvedValue({ status: 200, data: {} });
+      await readiness.refresh();
+      readiness.beginShutdown();
+
+      try {
+        const res = await request(app).get('/health/ready');
+        expect(res.status).toBe(503);
+        expect(res.body.status).toBe('shutting_down');
+      } finally {
+        readiness.shuttingDown = false;
+      }
     });
   });
 
@@ -121,6 +217,7 @@ describe('GET /api/fetch', () => {
     expect(res.body.no_wm).toContain('video_nowm.mp4');
     expect(res.body.audio).toContain('music.mp3');
     expect(res.body.thumbnail).toContain('cover.jpg');
+    expect(res.body.provider).toBe('tikwm');
   });
 
   it('returns 422 when TikTok returns empty page', async () => {
@@ -148,6 +245,298 @@ describe('GET /api/v1/fetch', () => {
     expect(res.status).toBe(200);
     expect(res.body.username).toBe('testcreator');
   });
+
+  it('keeps the default response shape without detail or fields', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse());
+
+    const res = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+
+    expect(Object.keys(res.body).sort()).toEqual(
+      ['audio', 'caption', 'no_wm', 'provider', 'thumbnail', 'username', 'wm'].sort()
+    );
+  });
+
+  it('returns rich metadata with detail=full', async () => {
+    httpClient.get.mockResolvedValue(
+      buildApiResponse({
+        title: 'Test video #fun @friend',
+        duration: 21,
+        size: 1000,
+        wm_size: 1200,
+        play_count: 50,
+        digg_count: 7,
+        comment_count: 3,
+        share_count: 1,
+        create_time: 1700000000,
+        region: 'GB',
+        music_info: { title: 'original sound', author: 'Test Creator', duration: 21 },
+        author: {
+          unique_id: 'testcreator',
+          nickname: 'Test Creator',
+          avatar: 'https://p16.tiktokcdn.com/avatar.jpeg',
+        },
+      })
+    );
+
+    const res = await request(app).get(
+      `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&detail=full`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.username).toBe('testcreator');
+    expect(res.body).toMatchObject({
+      duration: 21,
+      resolution: null,
+      size: { nowm: 1000, wm: 1200, hd: null },
+      stats: { plays: 50, likes: 7, comments: 3, shares: 1 },
+      create_time: '2023-11-14T22:13:20.000Z',
+      region: 'GB',
+      hashtags: ['fun'],
+      mentions: ['friend'],
+      music: { title: 'original sound', author: 'Test Creator', duration: 21 },
+      author: { nickname: 'Test Creator', avatar: 'https://p16.tiktokcdn.com/avatar.jpeg' },
+    });
+  });
+
+  it('returns only the requested fields', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ duration: 9, region: 'US' }));
+
+    const res = await request(app).get(
+      `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&fields=duration,region`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.duration).toBe(9);
+    expect(res.body.region).toBe('US');
+    expect(res.body).not.toHaveProperty('stats');
+  });
+
+  it('returns 400 for unknown fields', async () => {
+    const res = await request(app).get(
+      `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&fields=stats,password`
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('Unknown fields: password');
+  });
+
+  it('returns 400 for an invalid detail level', async () => {
+    const res = await request(app).get(
+      `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&detail=everything`
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('Invalid detail level');
+  });
+
+  it('returns 400 for signed_links when no signing keys are configured', async () => {
+    const res = await request(app).get(
+      `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&signed_links=true`
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Signed download links are not configured on this server');
+  });
+
+  it('returns 400 for callback_url when no webhook secret is configured', async () => {
+    const res = await request(app).get('/api/v1/fetch').query({
+      url: VALID_URL,
+      callback_url: 'https://hooks.example.com/tiktok',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Webhook callbacks are not configured on this server');
+    expect(httpClient.get).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Batch Fetch Endpoint ───────────────────────────────────────────
+describe('POST /api/v1/fetch/batch', () => {
+  const OTHER_URL = 'https://www.tiktok.com/@othercreator/video/8888888888';
+
+  it('returns per-item results in request order', async () => {
+    httpClient.get.mockImplementation(async (_url, options) => {
+      if (options.params.url === OTHER_URL) {
+        return buildApiResponse({ id: '8888888888', author: { unique_id: 'othercreator' } });
+      }
+      return buildApiResponse();
+    });
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [OTHER_URL, 'https://youtube.com/watch', VALID_URL] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ count: 3, succeeded: 2, failed: 1 });
+    expect(res.body.results[0]).toMatchObject({
+      url: OTHER_URL,
+      status: 200,
+      data: { username: 'othercreator' },
+    });
+    expect(res.body.results[1]).toEqual({
+      url: 'https://youtube.com/watch',
+      status: 400,
+      error: true,
+      code: 'INVALID_URL',
+      message: 'Invalid or unsupported TikTok URL',
+      retryable: false,
+    });
+    expect(res.body.results[2]).toMatchObject({ status: 200, data: { username: 'testcreator' } });
+  });
+
+  it('reports upstream failures per item', async () => {
+    httpClient.get.mockResolvedValue({ data: '<html></html>' });
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [VALID_URL, 'http://127.0.0.1/@user/video/1'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results[0]).toMatchObject({ status: 422, error: true });
+    expect(res.body.results[1]).toMatchObject({
+      status: 400,
+      message: 'Invalid or unsupported TikTok URL',
+    });
+  });
+
+  it('looks up duplicate URLs once through the shared cache', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse());
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [VALID_URL, VALID_URL, `${VALID_URL}?lang=en`] });
+
+    expect(res.body.succeeded).toBe(3);
+    expect(httpClient.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('applies fields to every item', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ region: 'DE' }));
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [VALID_URL], fields: 'region' });
+
+    expect(res.body.results[0].data.region).toBe('DE');
+  });
+
+  it.each([
+    ['missing urls', {}],
+    ['non-array urls', { urls: VALID_URL }],
+    ['empty urls', { urls: [] }],
+    ['too many urls', { urls: Array(26).fill(VALID_URL) }],
+  ])('returns 400 for %s', async (_label, payload) => {
+    const res = await request(app).post('/api/v1/fetch/batch').send(payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(true);
+    expect(httpClient.get).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for unknown fields', async () => {
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [VALID_URL], fields: 'secret' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// ─── Error Responses ───────────────────────────────────────────────
+describe('Error responses', () => {
+  const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  it.each([
+    ['a non-TikTok URL', '/api/v1/fetch?url=https://youtube.com/watch', 'INVALID_URL'],
+    ['a missing parameter', '/api/v1/download?url=', 'VALIDATION_FAILED'],
+    ['an unknown download type', `/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=gif`, 'INVALID_DOWNLOAD_TYPE'],
+  ])('carries a code, the request id and the retryable flag for %s', async (_label, url, code) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ error: true, code, retryable: false });
+    expect(res.body.requestId).toMatch(UUID);
+  });
+
+  it('answers unknown routes with NOT_FOUND', async () => {
+    const res = await request(app).get('/this/does/not/exist');
+    expect(res.body).toMatchObject({ code: 'NOT_FOUND', retryable: false });
+  });
+
+  it('marks metadata failures caused by upstream timeouts as retryable', async () => {
+    httpClient.get.mockRejectedValue(new UpstreamTimeoutError());
+
+    const res = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ code: 'METADATA_UNAVAILABLE', retryable: true });
+  });
+
+  it('does not mark videos that cannot be parsed as retryable', async () => {
+    httpClient.get.mockResolvedValue({ data: '<html></html>' });
+
+    const res = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+
+    expect(res.body).toMatchObject({ code: 'METADATA_UNAVAILABLE', retryable: false });
+  });
+
+  it('reports a CDN refusal as VIDEO_PRIVATE', async () => {
+    httpClient.get.mockResolvedValueOnce(buildApiResponse());
+    httpClient.get.mockResolvedValueOnce({ request: { res: {} }, config: {} });
+    httpClient.stream.mockRejectedValue(new VideoPrivateError('HTTP 403: Forbidden'));
+
+    const res = await request(app).get(`/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`);
+
+    expect(res.status).toBe(403);
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(res.body).toMatchObject({ code: 'VIDEO_PRIVATE', retryable: false });
+  });
+
+  it('answers as application/problem+json when the client asks for it', async () => {
+    const res = await request(app)
+      .get('/api/v1/download?url=https://youtube.com/watch&type=nowm&apikey=secret')
+      .set('Accept', 'application/problem+json');
+
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.headers.vary).toMatch(/Accept/);
+    expect(res.body).toEqual({
+      type: 'urn:tiktok-downloader:problem:invalid-url',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Invalid or unsupported TikTok URL',
+      instance: '/api/v1/download?url=https://youtube.com/watch&type=nowm&apikey=[REDACTED]',
+      code: 'INVALID_URL',
+      requestId: expect.stringMatching(UUID),
+      retryable: false,
+    });
+  });
+
+  it('answers unknown routes as a problem document too', async () => {
+    const res = await request(app).get('/nope').set('Accept', 'application/problem+json');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ status: 404, title: 'Not Found', instance: '/nope' });
+    expect(res.body.error).toBeUndefined();
+  });
+
+  it('keeps the default body for clients accepting plain JSON', async () => {
+    const res = await request(app)
+      .get('/nope')
+      .set('Accept', 'application/json, application/problem+json;q=0.5');
+
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body).toMatchObject({ error: true, code: 'NOT_FOUND' });
+  });
+
+  it('adds the code and retryable flag to failed batch items', async () => {
+    httpClient.get.mockRejectedValue(new UpstreamTimeoutError());
+
+    const res = await request(app).post('/api/v1/fetch/batch').send({ urls: [VALID_URL] });
+
+    expect(res.body.results[0]).toMatchObject({ status: 422, code: 'METADATA_UNAVAILABLE', retryable: true });
+  });
 });
 
 // ─── Download Endpoint ─────────────────────────────────────────────
@@ -172,12 +561,39 @@ describe('GET /api/download', () => {
     expect(res.body.error).toBe(true);
   });
 
+  it('returns 502 when the provider hands back a media URL on a foreign host', async () => {
+    httpClient.get.mockResolvedValueOnce(buildApiResponse({ play: 'https://attacker.example/payload.exe' }));
+
+    const res = await request(app).get(
+      `/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`
+    );
+
+    expect(res.status).toBe(502);
+    expect(res.body.message).toBe('The metadata provider returned a media URL on a host that is not allowed.');
+    expect(httpClient.stream).not.toHaveBeenCalled();
+  });
+
+  it('returns 502 when the CDN redirects off the allow-list', async () => {
+    httpClient.get.mockResolvedValueOnce(buildApiResponse());
+    httpClient.get.mockResolvedValueOnce({
+      request: { res: { responseUrl: 'https://attacker.example/video.mp4' } },
+      config: { url: 'https://v16.tiktokcdn.com/video_nowm.mp4' },
+    });
+
+    const res = await request(app).get(
+      `/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`
+    );
+
+    expect(res.status).toBe(502);
+    expect(httpClient.stream).not.toHaveBeenCalled();
+  });
+
   it('streams video for valid nowm download request', async () => {
     // First call: fetchMetadata via API
     httpClient.get.mockResolvedValueOnce(buildApiResponse());
     // Second call: getDirectDownloadURL
     httpClient.get.mockResolvedValueOnce({
-      request: { res: { responseUrl: 'https://final.cdn/video.mp4' } },
+      request: { res: { responseUrl: 'https://v19.tiktokcdn.com/video.mp4' } },
       config: { url: 'https://v16.tiktokcdn.com/video_nowm.mp4' },
     });
 
@@ -203,7 +619,7 @@ describe('GET /api/download', () => {
   it('streams audio for valid audio download request', async () => {
     httpClient.get.mockResolvedValueOnce(buildApiResponse());
     httpClient.get.mockResolvedValueOnce({
-      request: { res: { responseUrl: 'https://final.cdn/music.mp3' } },
+      request: { res: { responseUrl: 'https://v19.tiktokcdn.com/music.mp3' } },
       config: { url: 'https://sf16.tiktokcdn.com/music.mp3' },
     });
 
@@ -225,6 +641,307 @@ describe('GET /api/download', () => {
   });
 });
 
+// ─── Range Requests ─────────────────────────────────────────────────
+describe('Range requests on /api/download', () => {
+  function mockUpstream(response) {
+    httpClient.get.mockResolvedValueOnce(buildApiResponse());
+    httpClient.get.mockResolvedValueOnce({
+      request: { res: { responseUrl: 'https://v19.tiktokcdn.com/video.mp4' } },
+      config: { url: 'https://v16.tiktokcdn.com/video_nowm.mp4' },
+    });
+    httpClient.stream.mockResolvedValue({
+      data: Readable.from([Buffer.from(response.body || '')]),
+      ...response,
+    });
+  }
+
+  const DOWNLOAD_PATH = `/api/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`;
+
+  it('forwards Range and If-Range and answers 206 with the partial body', async () => {
+    mockUpstream({
+      status: 206,
+      headers: {
+        'content-length': '4',
+        'content-range': 'bytes 0-3/15',
+        'accept-ranges': 'bytes',
+        etag: '"abc"',
+      },
+      body: 'fake',
+    });
+
+    const res = await request(app)
+      .get(DOWNLOAD_PATH)
+      .set('Range', 'bytes=0-3')
+      .set('If-Range', '"abc"');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 0-3/15');
+    expect(res.headers['content-length']).toBe('4');
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers.etag).toBe('"abc"');
+    expect(res.body.toString()).toBe('fake');
+    expect(httpClient.stream).toHaveBeenCalledWith(
+      'https://v19.tiktokcdn.com/video.mp4',
+      expect.objectContaining({
+        method: 'GET',
+        headers: expect.objectContaining({ Range: 'bytes=0-3', 'If-Range': '"abc"' }),
+      })
+    );
+  });
+
+  it('returns the full file with 200 when the CDN ignores the range', async () => {
+    mockUpstream({ status: 200, headers: { 'content-length': '15' }, body: 'fake-video-data' });
+
+    const res = await request(app).get(DOWNLOAD_PATH).set('Range', 'bytes=0-3');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-length']).toBe('15');
+    expect(res.headers['content-range']).toBeUndefined();
+  });
+
+  it('relays 416 for unsatisfiable ranges', async () => {
+    mockUpstream({ status: 416, headers: { 'content-range': 'bytes */15' } });
+
+    const res = await request(app).get(DOWNLOAD_PATH).set('Range', 'bytes=100-');
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe('bytes */15');
+    expect(res.body.message).toBe('Requested range not satisfiable');
+  });
+
+  it('answers HEAD with headers only, using a HEAD request upstream', async () => {
+    mockUpstream({ status: 200, headers: { 'content-length': '15', 'accept-ranges': 'bytes' } });
+
+    const res = await request(app).head(DOWNLOAD_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-length']).toBe('15');
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-disposition']).toContain('attachment');
+    expect(res.text).toBeUndefined();
+    expect(httpClient.stream).toHaveBeenCalledWith(
+      'https://v19.tiktokcdn.com/video.mp4',
+      expect.objectContaining({ method: 'HEAD' })
+    );
+  });
+});
+
+// ─── Media Cache ────────────────────────────────────────────────────
+describe('Media cache on /api/download', () => {
+  const DOWNLOAD_PATH = `/api/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`;
+
+  function mockUpstream(body) {
+    httpClient.get.mockImplementation(async (url) => {
+      if (url === 'https://www.tikwm.com/api/') {
+        return buildApiResponse();
+      }
+      return { request: { res: { responseUrl: url } }, config: { url } };
+    });
+    httpClient.stream.mockImplementation(async () => ({
+      status: 200,
+      headers: { 'content-length': String(body.length) },
+      data: Readable.from([Buffer.from(body)]),
+    }));
+  }
+
+  async function waitForEntries(count) {
+    for (let i = 0; i < 50 && mediaCache.getStats().entries < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it('serves a repeat download from disk without hitting the CDN', async () => {
+    mockUpstream('fake-video-data');
+
+    const first = await request(app).get(DOWNLOAD_PATH);
+    expect(first.status).toBe(200);
+    expect(first.headers['x-cache']).toBe('MISS');
+    await waitForEntries(1);
+
+    await cache.flushAll();
+    const second = await request(app).get(DOWNLOAD_PATH);
+
+    expect(second.status).toBe(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.headers['content-type']).toBe('video/mp4');
+    expect(second.headers['content-disposition']).toContain('attachment');
+    expect(second.body.toString()).toBe('fake-video-data');
+    expect(httpClient.stream).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves ranges of cached files', async () => {
+    mockUpstream('fake-video-data');
+    await request(app).get(DOWNLOAD_PATH);
+    await waitForEntries(1);
+
+    const res = await request(app).get(DOWNLOAD_PATH).set('Range', 'bytes=5-9');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 5-9/15');
+    expect(res.body.toString()).toBe('video');
+  });
+
+  it('does not cache partial responses', async () => {
+    httpClient.get.mockImplementation(async (url) => (
+      url === 'https://www.tikwm.com/api/'
+        ? buildApiResponse()
+        : { request: { res: { responseUrl: url } }, config: { url } }
+    ));
+    httpClient.stream.mockImplementation(async () => ({
+      status: 206,
+      headers: { 'content-length': '4', 'content-range': 'bytes 0-3/15' },
+      data: Readable.from([Buffer.from('fake')]),
+    }));
+
+    await request(app).get(DOWNLOAD_PATH).set('Range', 'bytes=0-3');
+    await waitForEntries(1);
+
+    expect(mediaCache.getStats().entries).toBe(0);
+  });
+
+  it('reports hits and disk usage in /health', async () => {
+    mockUpstream('fake-video-data');
+    await request(app).get(DOWNLOAD_PATH);
+    await waitForEntries(1);
+    await request(app).get(DOWNLOAD_PATH);
+
+    const res = await request(app).get('/health');
+
+    expect(res.body.cache.media).toMatchObject({ hits: 1, misses: 1, entries: 1, bytes: 15 });
+  });
+});
+
+// ─── Photo Slideshows ───────────────────────────────────────────────
+describe('Photo slideshow posts', () => {
+  const PHOTO_URL = 'https://www.tiktok.com/@testcreator/photo/9999999999';
+  const SLIDES = ['https://p16.tiktokcdn.com/slide-1.jpeg', 'https://p16.tiktokcdn.com/slide-2'];
+
+  function bufferParser(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  }
+
+  function fakeStream(content, contentType) {
+    return {
+      headers: { 'content-type': contentType },
+      data: Readable.from([Buffer.from(content)]),
+    };
+  }
+
+  it('returns slide image URLs from fetch', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ play: null, wmplay: null, images: SLIDES }));
+
+    const res = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(PHOTO_URL)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.images).toEqual(SLIDES);
+  });
+
+  it('omits images from video responses', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse());
+
+    const res = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+
+    expect(res.body).not.toHaveProperty('images');
+  });
+
+  it('streams a ZIP of every slide for type=images', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: SLIDES }));
+    httpClient.stream
+      .mockResolvedValueOnce(fakeStream('slide-one', 'image/jpeg'))
+      .mockResolvedValueOnce(fakeStream('slide-two', 'image/webp'));
+
+    const res = await request(app)
+      .get(`/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images`)
+      .buffer(true)
+      .parse(bufferParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toMatch(/testcreator_9999999999_images_\d+\.zip/);
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+    expect(res.body.includes('1.jpg')).toBe(true);
+    expect(res.body.includes('2.webp')).toBe(true);
+    expect(res.body.includes('slide-one')).toBe(true);
+    expect(res.body.includes('audio.mp3')).toBe(false);
+    expect(httpClient.stream).toHaveBeenCalledTimes(2);
+  });
+
+  it('adds the background audio with include_audio=true', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: SLIDES }));
+    httpClient.stream
+      .mockResolvedValueOnce(fakeStream('slide-one', 'image/jpeg'))
+      .mockResolvedValueOnce(fakeStream('slide-two', 'image/jpeg'))
+      .mockResolvedValueOnce(fakeStream('the-music', 'audio/mpeg'));
+
+    const res = await request(app)
+      .get(`/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images&include_audio=true`)
+      .buffer(true)
+      .parse(bufferParser);
+
+    expect(res.status).toBe(200);
+    expect(res.body.includes('audio.mp3')).toBe(true);
+    expect(httpClient.stream).toHaveBeenLastCalledWith(
+      'https://sf16.tiktokcdn.com/music.mp3',
+      expect.any(Object)
+    );
+  });
+
+  it('refuses slides and audio on hosts off the media allow-list', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: [SLIDES[0], 'https://evil.example.com/slide.jpg'] }));
+
+    const res = await request(app).get(`/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images`);
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('MEDIA_HOST_NOT_ALLOWED');
+    expect(res.headers['content-type']).toMatch(/application\/json/);
+    expect(httpClient.stream).not.toHaveBeenCalled();
+
+    await cache.flushAll();
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: SLIDES, music: 'http://169.254.169.254/music.mp3' }));
+    const audio = await request(app)
+      .get(`/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images&include_audio=true`);
+
+    expect(audio.status).toBe(502);
+    expect(httpClient.stream).not.toHaveBeenCalled();
+  });
+
+  it('checks every redirect of a slide against the allow-list', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: SLIDES }));
+    httpClient.stream.mockResolvedValue(fakeStream('slide', 'image/jpeg'));
+
+    await request(app)
+      .get(`/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images`)
+      .buffer(true)
+      .parse(bufferParser);
+
+    const { beforeRedirect } = httpClient.stream.mock.calls[0][1];
+    expect(() => beforeRedirect({ protocol: 'https:', hostname: 'p16.tiktokcdn.com' })).not.toThrow();
+    expect(() => beforeRedirect({ protocol: 'https:', hostname: 'evil.example.com' }))
+      .toThrow(expect.objectContaining({ code: 'MEDIA_HOST_NOT_ALLOWED' }));
+  });
+
+  it('returns 404 for type=images on a video post', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse());
+
+    const res = await request(app).get(
+      `/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=images`
+    );
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toContain('images download not available');
+  });
+
+  it('returns 400 for an invalid include_audio value', async () => {
+    const res = await request(app).get(
+      `/api/v1/download?url=${encodeURIComponent(PHOTO_URL)}&type=images&include_audio=maybe`
+    );
+
+    expect(res.status).toBe(400);
+  });
+});
+
 // ─── Download v1 Endpoint ───────────────────────────────────────────
 describe('GET /api/v1/download', () => {
   it('returns 400 without params', async () => {
@@ -236,7 +953,7 @@ describe('GET /api/v1/download', () => {
   it('streams video (v1 works same as /api)', async () => {
     httpClient.get.mockResolvedValueOnce(buildApiResponse());
     httpClient.get.mockResolvedValueOnce({
-      request: { res: { responseUrl: 'https://final.cdn/video.mp4' } },
+      request: { res: { responseUrl: 'https://v19.tiktokcdn.com/video.mp4' } },
       config: { url: 'https://v16.tiktokcdn.com/video_nowm.mp4' },
     });
 
@@ -320,6 +1037,37 @@ describe('API Key Authentication', () => {
     expect(res.body.username).toBe('testcreator');
   });
 
+  it('rejects a repeated apikey query param', async () => {
+    process.env.API_KEYS = 'query-key-456';
+
+    const res = await request(app).get(
+      `/api/fetch?url=${encodeURIComponent(VALID_URL)}&apikey=query-key-456&apikey=other`
+    );
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+
+  it('ignores the query param when ALLOW_QUERY_API_KEY=false', async () => {
+    process.env.API_KEYS = 'query-key-456';
+    process.env.ALLOW_QUERY_API_KEY = 'false';
+    httpClient.get.mockResolvedValue(buildApiResponse());
+
+    try {
+      const queryRes = await request(app).get(
+        `/api/fetch?url=${encodeURIComponent(VALID_URL)}&apikey=query-key-456`
+      );
+      const headerRes = await request(app)
+        .get(`/api/fetch?url=${encodeURIComponent(VALID_URL)}`)
+        .set('X-API-Key', 'query-key-456');
+
+      expect(queryRes.status).toBe(401);
+      expect(headerRes.status).toBe(200);
+    } finally {
+      delete process.env.ALLOW_QUERY_API_KEY;
+    }
+  });
+
   it('supports multiple comma-separated API keys', async () => {
     process.env.API_KEYS = 'key-a, key-b, key-c';
     httpClient.get.mockResolvedValue(buildApiResponse());
@@ -346,6 +1094,96 @@ describe('API Key Authentication', () => {
   });
 });
 
+// ─── Key Registry ───────────────────────────────────────────────────
+describe('Per-key identities and quotas', () => {
+  const FETCH_PATH = `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`;
+
+  function registerKeys(keys) {
+    fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify(keys));
+    keyRegistry.reload();
+  }
+
+  beforeEach(() => {
+    keyRegistry.usage = {};
+    httpClient.get.mockResolvedValue(buildApiResponse());
+  });
+
+  afterEach(() => {
+    registerKeys([]);
+  });
+
+  it('accepts keys from the registry file', async () => {
+    registerKeys([{ id: 'acme', name: 'Acme Corp', key: 'acme-secret' }]);
+
+    const res = await request(app).get(FETCH_PATH).set('X-API-Key', 'acme-secret');
+    const rejected = await request(app).get(FETCH_PATH).set('X-API-Key', 'nope');
+
+    expect(res.status).toBe(200);
+    expect(rejected.status).toBe(401);
+  });
+
+  it('rejects revoked keys', async () => {
+    registerKeys([{ id: 'old', name: 'Old', key: 'old-secret', status: 'revoked' }]);
+
+    const res = await request(app).get(FETCH_PATH).set('X-API-Key', 'old-secret');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('API key is revoked');
+  });
+
+  it('limits keys to their allowed endpoints', async () => {
+    registerKeys([{ id: 'meta', name: 'Metadata only', key: 'meta-secret', endpoints: ['fetch'] }]);
+
+    const fetchRes = await request(app).get(FETCH_PATH).set('X-API-Key', 'meta-secret');
+    const downloadRes = await request(app)
+      .get(`/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`)
+      .set('X-API-Key', 'meta-secret');
+
+    expect(fetchRes.status).toBe(200);
+    expect(downloadRes.status).toBe(403);
+    expect(downloadRes.body.message).toContain('download');
+  });
+
+  it('enforces the daily quota', async () => {
+    registerKeys([{ id: 'small', name: 'Small', key: 'small-secret', quotas: { daily: 2 } }]);
+
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'small-secret');
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'small-secret');
+    const res = await request(app).get(FETCH_PATH).set('X-API-Key', 'small-secret');
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Daily quota of 2 requests exceeded for this API key');
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+  });
+
+  it('applies the per-minute quota per key', async () => {
+    registerKeys([{ id: 'burst', name: 'Burst', key: 'burst-secret', quotas: { perMinute: 2 } }]);
+
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'burst-secret');
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'burst-secret');
+    const res = await request(app).get(FETCH_PATH).set('X-API-Key', 'burst-secret');
+    const otherClient = await request(app).get(FETCH_PATH);
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toContain('Maximum 2 requests');
+    expect(otherClient.status).toBe(401);
+  });
+
+  it('reports usage for the calling key', async () => {
+    registerKeys([{ id: 'acme', name: 'Acme Corp', key: 'acme-secret', quotas: { daily: 100 } }]);
+
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'acme-secret');
+    await request(app).get(FETCH_PATH).set('X-API-Key', 'acme-secret');
+    const res = await request(app).get('/api/v1/usage?days=2').set('X-API-Key', 'acme-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body.key).toMatchObject({ id: 'acme', name: 'Acme Corp', quotas: { daily: 100 } });
+    expect(res.body.usage).toHaveLength(2);
+    expect(res.body.usage[0]).toMatchObject({ total: 2, endpoints: { fetch: 2 } });
+  });
+});
+
 // ─── Caching ────────────────────────────────────────────────────────
 describe('Caching', () => {
   it('serves cached response on second fetch', async () => {
@@ -362,6 +1200,26 @@ describe('Caching', () => {
     expect(httpClient.get).toHaveBeenCalledTimes(1);
   });
 
+  it('shares one cache entry between a short link and its canonical URL', async () => {
+    httpClient.get
+      .mockResolvedValueOnce({ status: 301, headers: { location: `${VALID_URL}?_r=1` } })
+      .mockResolvedValueOnce(buildApiResponse());
+
+    const res1 = await request(app).get(
+      `/api/fetch?url=${encodeURIComponent('https://vm.tiktok.com/ZMabc123/')}`
+    );
+    expect(res1.status).toBe(200);
+    expect(res1.body.username).toBe('testcreator');
+    expect(httpClient.get).toHaveBeenLastCalledWith(
+      'https://www.tikwm.com/api/',
+      expect.objectContaining({ params: { url: VALID_URL } })
+    );
+
+    const res2 = await request(app).get(`/api/fetch?url=${encodeURIComponent(VALID_URL)}`);
+    expect(res2.status).toBe(200);
+    expect(httpClient.get).toHaveBeenCalledTimes(2);
+  });
+
   it('cache stats appear in /health', async () => {
     httpClient.get.mockResolvedValue(buildApiResponse());
 
@@ -372,3 +1230,95 @@ describe('Caching', () => {
     expect(res.body.cache.keys).toBeGreaterThanOrEqual(1);
   });
 });
+
+// ─── Download Jobs ──────────────────────────────────────────────────
+describe('Download jobs', () => {
+  afterAll(() => {
+    jobQueue.close();
+    fs.rmSync(process.env.JOBS_DIR, { recursive: true, force: true });
+  });
+
+  function mockVideo(content) {
+    httpClient.get.mockResolvedValueOnce(buildApiResponse());
+    httpClient.get.mockResolvedValueOnce({
+      request: { res: { responseUrl: 'https://v16.tiktokcdn.com/final.mp4' } },
+      config: { url: 'https://v16.tiktokcdn.com/video_nowm.mp4' },
+    });
+    httpClient.stream.mockResolvedValueOnce({
+      headers: { 'content-length': String(content.length) },
+      data: Readable.from([Buffer.from(content)]),
+    });
+  }
+
+  it('queues a job and serves the finished file', async () => {
+    mockVideo('job-video-data');
+
+    const created = await request(app)
+      .post('/api/v1/jobs')
+      .send({ url: VALID_URL, type: 'nowm' });
+
+    expect(created.status).toBe(202);
+    expect(created.body.id).toBeDefined();
+    expect(created.headers.location).toBe(`/api/v1/jobs/${created.body.id}`);
+    expect(created.body.links.file).toBe(`/api/v1/jobs/${created.body.id}/file`);
+
+    await jobQueue.drain();
+
+    const status = await request(app).get(`/api/v1/jobs/${created.body.id}`);
+    expect(status.status).toBe(200);
+    expect(status.body).toMatchObject({
+      status: 'done',
+      progress: { bytes: 14, total: 14 },
+    });
+    expect(status.body).not.toHaveProperty('filePath');
+
+    const file = await request(app).get(`/api/v1/jobs/${created.body.id}/file`);
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('video/mp4');
+    expect(file.headers['content-disposition']).toContain('testcreator_9999999999_nowm_');
+    expect(file.body.toString()).toBe('job-video-data');
+  });
+
+  it('returns 409 for the file of a failed job', async () => {
+    httpClient.get.mockRejectedValue(new Error('Network error: down'));
+
+    const created = await request(app)
+      .post('/api/v1/jobs')
+      .send({ url: VALID_URL, type: 'audio' });
+    await jobQueue.drain();
+
+    const status = await request(app).get(`/api/v1/jobs/${created.body.id}`);
+    expect(status.body.status).toBe('failed');
+    expect(status.body.error).toContain('Failed to fetch TikTok metadata');
+
+    const file = await request(app).get(`/api/v1/jobs/${created.body.id}/file`);
+    expect(file.status).toBe(409);
+    expect(file.body.error).toBe(true);
+  });
+
+  it('returns 400 for an invalid job request', async () => {
+    const res = await request(app)
+      .post('/api/v1/jobs')
+      .send({ url: 'https://youtube.com/watch', type: 'nowm' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or unsupported TikTok URL');
+  });
+
+  it('returns 400 for an invalid job type', async () => {
+    const res = await request(app).post('/api/v1/jobs').send({ url: VALID_URL, type: 'gif' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it.each([
+    ['malformed id', '/api/v1/jobs/not-a-uuid'],
+    ['unknown id', '/api/v1/jobs/00000000-0000-4000-8000-000000000000'],
+    ['unknown id file', '/api/v1/jobs/00000000-0000-4000-8000-000000000000/file'],
+  ])('returns 404 for %s', async (_label, url) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Job not found');
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Restored in afterAll; suites running later in the same worker read it too
+const downloadRateLimit = process.env.DOWNLOAD_RATE_LIMIT;
+process.env.DOWNLOAD_RATE_LIMIT = '3';
+process.env.MEDIA_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-media-'));
+process.env.JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-jobs-'));
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { cache } = require('../../src/utils/cache');
+const { mediaCache } = require('../../src/utils/mediaCache');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+
+beforeEach(async () => {
+  await cache.flushAll();
+  mediaCache.clear();
+  httpClient.get.mockResolvedValue({
+    data: {
+      code: 0,
+      data: {
+        id: '9999999999',
+        title: 'caption',
+        author: { unique_id: 'testcreator' },
+        play: 'https://v16.tiktokcdn.com/video_nowm.mp4'
+      },
+    },
+  });
+  httpClient.stream.mockImplementation(async () => ({
+    status: 200,
+    headers: { 'content-length': '5' },
+    data: Readable.from([Buffer.from('video')]),
+  }));
+});
+
+afterAll(() => {
+  if (downloadRateLimit === undefined) {
+    delete process.env.DOWNLOAD_RATE_LIMIT;
+  } else {
+    process.env.DOWNLOAD_RATE_LIMIT = downloadRateLimit;
+  }
+  fs.rmSync(process.env.JOBS_DIR, { recursive: true, force: true });
+  fs.rmSync(process.env.MEDIA_CACHE_DIR, { recursive: true, force: true });
+});
+
+describe('GET /metrics', () => {
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  it('serves the Prometheus text format', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    [
+      'http_requests_total',
+      'http_request_duration_seconds',
+      'upstream_request_duration_seconds',
+      'upstream_errors_total',
+      'upstream_retries_total',
+      'cache_hit_ratio',
+      'download_bytes_total',
+      'download_active_streams',
+      'rate_limit_rejections_total',
+      'process_cpu_seconds_total'
+    ].forEach((name) => expect(res.text).toContain(`# TYPE ${name} `));
+  });
+
+  it('counts requests by route template and status', async () => {
+    await request(app).get('/api/v1/jobs/00000000-0000-4000-8000-000000000000');
+    await request(app).get('/api/v1/fetch/health');
+
+    const res = await request(app).get('/metrics');
+    expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/api\/v1\/jobs\/:id",status="404"\} [1-9]/);
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{method="GET",route="\/api\/v1\/fetch\/health",status="200"\} [1-9]/);
+    expect(res.text).not.toContain('00000000-0000-4000-8000-000000000000');
+  });
+
+  it('counts bytes streamed by download type and rate-limit rejections', async () => {
+    const download = `/api/v1/download?type=nowm&url=${encodeURIComponent(VALID_URL)}`;
+    for (let i = 0; i < 3; i++) {
+      expect((await request(app).get(download)).status).toBe(200);
+    }
+    expect((await request(app).get(download)).status).toBe(429);
+
+    const res = await request(app).get('/metrics');
+    expect(res.text).toContain('download_bytes_total{type="nowm"} 15');
+    expect(res.text).toContain('download_active_streams{type="nowm"} 0');
+    expect(res.text).toContain('rate_limit_rejections_total{limiter="download"} 1');
+  });
+
+  it('requires METRICS_TOKEN as a bearer token when set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const missing = await request(app).get('/metrics');
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('UNAUTHORIZED');
+
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+    expect(wrong.status).toBe(401);
+
+    const ok = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+    expect(ok.status).toBe(200);
+  });
+
+  it('is not limited by the API rate limit', async () => {
+    // Beyond the default of 30 requests per minute
+    for (let i = 0; i < 35; i++) {
+      expect((await request(app).get('/metrics')).status).toBe(200);
+    }
+  });
+});
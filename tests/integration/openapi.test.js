@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+process.env.JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-jobs-'));
+process.env.MEDIA_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-media-'));
+process.env.API_KEYS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-keys-')), 'keys.json');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { buildOpenApi } = require('../../src/docs/openapi');
+const errors = require('../../src/utils/errors');
+
+// Mount path of a router layer, recovered from the regexp express built for it
+function mountPath(layer) {
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/i, '')
+    .replace(/\\\//g, '/');
+}
+
+// Every METHOD /path the app answers, with express :params as OpenAPI {params}
+function appRoutes(stack, prefix = '') {
+  return stack.flatMap((layer) => {
+    if (layer.route) {
+      const routePath = (prefix + layer.route.path).replace(/\/$/, '') || '/';
+      return Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .map((method) => `${method.toUpperCase()} ${routePath.replace(/:(\w+)/g, '{$1}')}`);
+    }
+    if (layer.name === 'router') {
+      return appRoutes(layer.handle.stack, prefix + mountPath(layer));
+    }
+    return [];
+  });
+}
+
+function specRoutes(spec) {
+  return Object.entries(spec.paths).flatMap(([route, operations]) =>
+    Object.keys(operations).map((method) => `${method.toUpperCase()} ${route}`));
+}
+
+describe('OpenAPI document', () => {
+  const spec = buildOpenApi();
+
+  it('documents every route of the app', () => {
+    const routes = appRoutes(app._router.stack);
+
+    expect(routes).toEqual(expect.arrayContaining(['GET /api/v1/jobs/{id}/file', 'PATCH /admin/keys/{id}']));
+    expect(routes.filter((route) => !specRoutes(spec).includes(route))).toEqual([]);
+  });
+
+  it('documents no route the app does not have', () => {
+    const routes = appRoutes(app._router.stack);
+    expect(specRoutes(spec).filter((route) => !routes.includes(route))).toEqual([]);
+  });
+
+  it('has unique operation ids', () => {
+    const ids = Object.values(spec.paths).flatMap((operations) =>
+      Object.values(operations).map((operation) => operation.operationId));
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('builds parameters from the request schemas', () => {
+    const params = spec.paths['/api/v1/download'].get.parameters;
+    const url = params.find((param) => param.name === 'url');
+    const type = params.find((param) => param.name === 'type');
+
+    expect(url).toMatchObject({ in: 'query', required: true, schema: { type: 'string', format: 'uri' } });
+    expect(type.schema.enum).toEqual(['nowm', 'wm', 'audio', 'images']);
+    expect(params.find((param) => param.name === 'include_audio')).toMatchObject({
+      required: false,
+      schema: { type: 'boolean' }
+    });
+    expect(spec.paths['/api/v1/jobs/{id}'].get.parameters[0]).toMatchObject({
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: { format: 'uuid' }
+    });
+  });
+
+  it('builds request bodies from the request schemas', () => {
+    const body = spec.paths['/admin/keys'].post.requestBody.content['application/json'].schema;
+
+    expect(body.required).toEqual(['name']);
+    expect(body.properties.quotas.properties.daily).toMatchObject({ type: ['integer', 'null'], minimum: 1 });
+    expect(body.properties.endpoints.items.enum).toEqual(['*', 'fetch', 'download', 'jobs']);
+    expect(spec.paths['/admin/keys/{id}'].patch.requestBody.content['application/json'].schema.required).toEqual([]);
+  });
+
+  it('describes auth schemes per route', () => {
+    expect(Object.keys(spec.components.securitySchemes))
+      .toEqual(['ApiKeyHeader', 'ApiKeyQuery', 'SignedLink', 'AdminBearer', 'MetricsBearer']);
+    expect(spec.paths['/api/v1/fetch'].get.security).toEqual([{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }]);
+    expect(spec.paths['/api/v1/download'].get.security).toContainEqual({ SignedLink: [] });
+    expect(spec.paths['/admin/keys/{id}/rotate'].post.security).toEqual([{ AdminBearer: [] }]);
+    expect(spec.paths['/health'].get.security).toEqual([]);
+  });
+
+  it('lists every error code in the error schemas', () => {
+    const codes = spec.components.schemas.Error.properties.code.enum;
+    Object.values(errors)
+      .filter((value) => value.prototype instanceof errors.AppError)
+      .forEach((type) => expect(codes).toContain(type.code));
+    expect(spec.components.responses.Error.content).toHaveProperty(['application/problem+json']);
+    expect(spec.paths['/api/v1/jobs/{id}/file'].get.responses[409])
+      .toMatchObject({ $ref: '#/components/responses/Error' });
+  });
+
+  it('marks the pre-v1 aliases deprecated', () => {
+    expect(spec.paths['/api/fetch/batch'].post).toMatchObject({ operationId: 'fetchBatchLegacy', deprecated: true });
+    expect(spec.paths['/api/v1/fetch/batch'].post.deprecated).toBeUndefined();
+  });
+});
+
+describe('GET /api/openapi.json', () => {
+  it('serves the document with this server as its base URL', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.servers).toEqual([{ url: expect.stringMatching(/^http:\/\/127\.0\.0\.1:\d+$/) }]);
+    expect(res.body.paths['/api/v1/fetch'].get.operationId).toBe('fetch');
+  });
+
+  it('uses PUBLIC_BASE_URL when set', async () => {
+    process.env.PUBLIC_BASE_URL = 'https://dl.example.com';
+    try {
+      const res = await request(app).get('/api/openapi.json');
+      expect(res.body.servers).toEqual([{ url: 'https://dl.example.com' }]);
+    } finally {
+      delete process.env.PUBLIC_BASE_URL;
+    }
+  });
+});
+
+describe('GET /api', () => {
+  it('lists the current endpoints and links the docs', async () => {
+    const res = await request(app).get('/api');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ openapi: '/api/openapi.json', docs: '/api/docs/' });
+    expect(res.body.endpoints.getJob).toEqual({
+      method: 'GET',
+      path: '/api/v1/jobs/:id',
+      description: 'Job status (queued, running, done, failed) with progress bytes'
+    });
+    expect(Object.keys(res.body.endpoints).some((id) => id.endsWith('Legacy'))).toBe(false);
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('redirects to the trailing-slash path', async () => {
+    const res = await request(app).get('/api/docs');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/docs/');
+  });
+
+  it('serves Swagger UI from this server without inline scripts', async () => {
+    const res = await request(app).get('/api/docs/');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain('swagger-initializer.js');
+    expect(res.text).not.toMatch(/<script>|https?:\/\//);
+    expect(res.headers['content-security-policy']).toContain("script-src 'self'");
+  });
+
+  it('serves the bundle and our initializer', async () => {
+    const bundle = await request(app).get('/api/docs/swagger-ui-bundle.js');
+    const initializer = await request(app).get('/api/docs/swagger-initializer.js');
+
+    expect(bundle.status).toBe(200);
+    expect(initializer.text).toContain("url: '../openapi.json'");
+    expect(initializer.text).not.toContain('petstore');
+  });
+});
@@ -0,0 +1,168 @@
+// Small limits so a handful of requests exhausts the window
+process.env.API_RATE_LIMIT = '100';
+process.env.FETCH_RATE_LIMIT = '5';
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { cache } = require('../../src/utils/cache');
+const { buildOpenApi } = require('../../src/docs/openapi');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+
+beforeEach(() => {
+  httpClient.get.mockResolvedValue({
+    data: {
+      code: 0,
+      data: { id: '9999999999', title: 'caption', author: { unique_id: 'testcreator' } },
+    },
+  });
+});
+
+// Uses up part of a client's fetch allowance
+async function spend(client, count) {
+  const res = await request(app)
+    .post('/api/v1/fetch/batch')
+    .set('X-Forwarded-For', client)
+    .send({ urls: Array(count).fill(VALID_URL) });
+  expect(res.status).toBe(200);
+}
+
+describe('Batch fetch rate limiting', () => {
+  it('charges a batch by its size against the fetch limit', async () => {
+    const batch = await request(app)
+      .post('/api/v1/fetch/batch')
+      .send({ urls: [VALID_URL, VALID_URL, VALID_URL, VALID_URL] });
+
+    expect(batch.status).toBe(200);
+    expect(batch.headers['ratelimit-remaining']).toBe('1');
+
+    const single = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+    expect(single.status).toBe(200);
+
+    const overLimit = await request(app).get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`);
+    expect(overLimit.status).toBe(429);
+  });
+
+  it('answers RATE_LIMITED with the seconds left in the window, as the spec says', async () => {
+    await spend('203.0.113.13', 5);
+
+    const res = await request(app)
+      .get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`)
+      .set('X-Forwarded-For', '203.0.113.13');
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+    expect(res.body.retryAfter).toBeLessThanOrEqual(60);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+
+    const { components } = buildOpenApi();
+    expect(components.responses.Error.headers).toHaveProperty('Retry-After');
+    expect(components.schemas.Error.properties.retryAfter).toMatchObject({ type: 'integer', minimum: 0 });
+  });
+
+  it('rejects a batch larger than the remaining allowance', async () => {
+    await spend('203.0.113.7', 2);
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .send({ urls: Array(5).fill(VALID_URL) });
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toContain('counts as 5 requests');
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+    expect(res.body.retryAfter).toBeLessThanOrEqual(60);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+  });
+
+  it('refuses batches that could never fit the fetch limit', async () => {
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .set('X-Forwarded-For', '203.0.113.12')
+      .send({ urls: Array(6).fill(VALID_URL) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('urls must be an array of 1 to 5 TikTok URLs');
+
+    const body = buildOpenApi().paths['/api/v1/fetch/batch'].post.requestBody.content['application/json'].schema;
+    expect(body.properties.urls.maxItems).toBe(5);
+  });
+
+  it('refunds a rejected batch so smaller requests still fit', async () => {
+    const client = '203.0.113.8';
+    await spend(client, 2);
+
+    const big = await request(app)
+      .post('/api/v1/fetch/batch')
+      .set('X-Forwarded-For', client)
+      .send({ urls: Array(5).fill(VALID_URL) });
+    expect(big.status).toBe(429);
+
+    const small = await request(app)
+      .post('/api/v1/fetch/batch')
+      .set('X-Forwarded-For', client)
+      .send({ urls: [VALID_URL, VALID_URL] });
+    expect(small.status).toBe(200);
+  });
+
+  it('lets batches through while the store is failing', async () => {
+    const increment = jest.spyOn(cache, 'increment').mockRejectedValue(new Error('Connection is closed.'));
+
+    try {
+      const res = await request(app)
+        .post('/api/v1/fetch/batch')
+        .set('X-Forwarded-For', '203.0.113.10')
+        .send({ urls: [VALID_URL, VALID_URL] });
+
+      expect(res.status).toBe(200);
+    } finally {
+      increment.mockRestore();
+    }
+  });
+
+  it('still rejects a batch when its refund fails', async () => {
+    await spend('203.0.113.11', 2);
+    const decrement = jest.spyOn(cache, 'decrement').mockRejectedValue(new Error('Connection is closed.'));
+
+    try {
+      const res = await request(app)
+        .post('/api/v1/fetch/batch')
+        .set('X-Forwarded-For', '203.0.113.11')
+        .send({ urls: Array(5).fill(VALID_URL) });
+
+      expect(res.status).toBe(429);
+      expect(decrement).toHaveBeenCalled();
+    } finally {
+      decrement.mockRestore();
+    }
+  });
+
+  it('answers as a problem document when asked to', async () => {
+    await spend('203.0.113.9', 2);
+
+    const res = await request(app)
+      .post('/api/v1/fetch/batch')
+      .set('X-Forwarded-For', '203.0.113.9')
+      .set('Accept', 'application/problem+json')
+      .send({ urls: Array(5).fill(VALID_URL) });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      type: 'urn:tiktok-downloader:problem:rate-limited',
+      title: 'Too Many Requests',
+      status: 429,
+      instance: '/api/v1/fetch/batch',
+      retryable: true,
+      retryAfter: expect.any(Number),
+    });
+    expect(res.body.retryAfter).toBeLessThanOrEqual(60);
+  });
+});
@@ -0,0 +1,61 @@
+// Run the app against the Redis driver, backed by an in-process stand-in
+process.env.CACHE_DRIVER = 'redis';
+process.env.API_RATE_LIMIT = '100';
+process.env.FETCH_RATE_LIMIT = '3';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { cache } = require('../../src/utils/cache');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+const FETCH_PATH = `/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}`;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await cache.flushAll();
+  httpClient.get.mockResolvedValue({
+    data: {
+      code: 0,
+      data: { id: '9999999999', title: 'caption', author: { unique_id: 'testcreator' } },
+    },
+  });
+});
+
+afterAll(async () => {
+  await cache.close();
+});
+
+describe('Redis cache driver', () => {
+  it('caches metadata in Redis', async () => {
+    await request(app).get(FETCH_PATH).set('X-Forwarded-For', '203.0.113.1');
+    const second = await request(app).get(FETCH_PATH).set('X-Forwarded-For', '203.0.113.1');
+
+    expect(second.status).toBe(200);
+    expect(second.body.username).toBe('testcreator');
+    expect(httpClient.get).toHaveBeenCalledTimes(1);
+    await expect(cache.client.get('video:9999999999')).resolves.toContain('testcreator');
+  });
+
+  it('counts fetch requests in Redis', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app).get(FETCH_PATH).set('X-Forwarded-For', '203.0.113.2');
+      expect(res.status).toBe(200);
+    }
+
+    const overLimit = await request(app).get(FETCH_PATH).set('X-Forwarded-For', '203.0.113.2');
+    expect(overLimit.status).toBe(429);
+    await expect(cache.client.get('rl:fetch:203.0.113.2')).resolves.toBe('4');
+  });
+
+  it('reports the driver in /health', async () => {
+    const res = await request(app).get('/health');
+    expect(res.body.cache).toMatchObject({ driver: 'redis' });
+  });
+});
@@ -0,0 +1,164 @@
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signed-links-'));
+process.env.API_KEYS_FILE = path.join(keysDir, 'keys.json');
+process.env.MEDIA_CACHE_ENABLED = 'false';
+process.env.DOWNLOAD_SIGNING_KEYS = 'current:new-secret,previous:old-secret';
+process.env.API_RATE_LIMIT = '1000';
+process.env.WEBHOOK_SECRET = 'whsec-test';
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { keyRegistry } = require('../../src/services/keyRegistry');
+const { DownloadSigner, parseSigningKeys } = require('../../src/utils/downloadSigner');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+
+let apiKey;
+let record;
+
+function linkPath(link) {
+  const parsed = new URL(link);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  keyRegistry.keys = [];
+  ({ record, key: apiKey } = keyRegistry.create({ name: 'Frontend' }));
+
+  httpClient.get.mockImplementation(async (url) => {
+    if (url === 'https://www.tikwm.com/api/') {
+      return {
+        data: {
+          code: 0,
+          data: {
+            id: '9999999999',
+            title: 'caption',
+            author: { unique_id: 'testcreator' },
+            play: 'https://v16.tiktokcdn.com/video_nowm.mp4',
+            music: 'https://sf16.tiktokcdn.com/music.mp3',
+          },
+        },
+      };
+    }
+    return { request: { res: { responseUrl: url } }, config: { url } };
+  });
+  httpClient.stream.mockImplementation(async () => ({
+    status: 200,
+    headers: {},
+    data: Readable.from([Buffer.from('video')]),
+  }));
+});
+
+afterAll(async () => {
+  await keyRegistry.close();
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+async function fetchLinks() {
+  const res = await request(app)
+    .get(`/api/v1/fetch?url=${encodeURIComponent(VALID_URL)}&signed_links=true`)
+    .set('X-API-Key', apiKey);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+describe('Signed download links', () => {
+  it('returns signed links for each available type', async () => {
+    const body = await fetchLinks();
+
+    expect(Object.keys(body.download_links)).toEqual(['nowm', 'wm', 'audio']);
+    expect(Date.parse(body.download_links_expire_at)).toBeGreaterThan(Date.now());
+
+    const link = new URL(body.download_links.nowm);
+    expect(link.pathname).toBe('/api/v1/download');
+    expect(link.searchParams.get('url')).toBe(VALID_URL);
+    expect(link.searchParams.get('type')).toBe('nowm');
+    expect(link.searchParams.get('kid')).toBe('current');
+    expect(link.searchParams.get('sub')).toBe(record.id);
+  });
+
+  it('downloads through a signed link without an API key', async () => {
+    const body = await fetchLinks();
+
+    const res = await request(app).get(linkPath(body.download_links.nowm));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('video/mp4');
+    expect(res.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(keyRegistry.getUsage(record.id, 1)[0].endpoints.download).toBe(1);
+  });
+
+  it('rejects tampered and expired links', async () => {
+    const body = await fetchLinks();
+    const tampered = linkPath(body.download_links.nowm).replace('type=nowm', 'type=wm');
+
+    const expiredSigner = new DownloadSigner({ keys: parseSigningKeys('current:new-secret'), ttl: 60 });
+    const expired = new URLSearchParams(
+      expiredSigner.sign({ url: VALID_URL, type: 'nowm', sub: record.id }, Date.now() - 120000)
+    );
+
+    const tamperedRes = await request(app).get(tampered);
+    const expiredRes = await request(app).get(`/api/v1/download?${expired}`);
+
+    expect(tamperedRes.status).toBe(403);
+    expect(tamperedRes.body.message).toBe('Invalid download link signature');
+    expect(expiredRes.status).toBe(403);
+    expect(expiredRes.body.message).toBe('Download link has expired');
+  });
+
+  it('accepts links signed with a previous signing key', async () => {
+    const previous = new DownloadSigner({ keys: parseSigningKeys('previous:old-secret') });
+    const params = new URLSearchParams(previous.sign({ url: VALID_URL, type: 'audio', sub: record.id }));
+
+    const res = await request(app).get(`/api/v1/download?${params}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('stops working once the issuing key is revoked', async () => {
+    const body = await fetchLinks();
+    keyRegistry.revoke(record);
+
+    const res = await request(app).get(linkPath(body.download_links.nowm));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses parameters the signature does not cover', async () => {
+    const signer = new DownloadSigner({ keys: parseSigningKeys('current:new-secret') });
+    const params = new URLSearchParams(signer.sign({ url: VALID_URL, type: 'nowm' }));
+    const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    let res;
+    try {
+      res = await request(app)
+        .get(`/api/v1/download?${params}&callback_url=${encodeURIComponent('https://hooks.example.com/cb')}`);
+    } finally {
+      lookup.mockRestore();
+    }
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Parameter "callback_url" is not allowed on a signed download link');
+    expect(httpClient.get).not.toHaveBeenCalled();
+
+    const withAudio = await request(app).get(`/api/v1/download?${params}&include_audio=true`);
+    expect(withAudio.status).toBe(200);
+  });
+
+  it('still requires an API key for unsigned downloads', async () => {
+    const res = await request(app).get(`/api/v1/download?url=${encodeURIComponent(VALID_URL)}&type=nowm`);
+    expect(res.status).toBe(401);
+  });
+});
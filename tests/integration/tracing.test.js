@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Restored in afterAll; suites running later in the same worker read it too
+const tracesExporter = process.env.OTEL_TRACES_EXPORTER;
+process.env.OTEL_TRACES_EXPORTER = 'memory';
+process.env.MEDIA_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-media-'));
+process.env.JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-jobs-'));
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { cache } = require('../../src/utils/cache');
+const { mediaCache } = require('../../src/utils/mediaCache');
+const { memoryExporter, shutdown, SpanKind, SpanStatusCode } = require('../../src/utils/tracing');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+const spans = () => memoryExporter.getFinishedSpans();
+const named = (name) => spans().filter((span) => span.name === name);
+const parentOf = (span) => span.parentSpanContext?.spanId;
+
+// The server span ends on the response's close event, which can come just after supertest resolves
+async function serverSpan() {
+  for (let i = 0; i < 20; i++) {
+    const span = spans().find((s) => s.kind === SpanKind.SERVER);
+    if (span) {
+      return span;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error('no server span');
+}
+
+beforeEach(async () => {
+  await cache.flushAll();
+  mediaCache.clear();
+  memoryExporter.reset();
+  httpClient.get.mockResolvedValue({
+    data: {
+      code: 0,
+      data: {
+        id: '9999999999',
+        title: 'caption',
+        author: { unique_id: 'testcreator' },
+        play: 'https://v16.tiktokcdn.com/video_nowm.mp4'
+      },
+    },
+  });
+  httpClient.stream.mockImplementation(async () => ({
+    status: 200,
+    headers: { 'content-length': '5' },
+    data: Readable.from([Buffer.from('video')]),
+  }));
+});
+
+afterAll(async () => {
+  await shutdown();
+  if (tracesExporter === undefined) {
+    delete process.env.OTEL_TRACES_EXPORTER;
+  } else {
+    process.env.OTEL_TRACES_EXPORTER = tracesExporter;
+  }
+  fs.rmSync(process.env.JOBS_DIR, { recursive: true, force: true });
+  fs.rmSync(process.env.MEDIA_CACHE_DIR, { recursive: true, force: true });
+});
+
+describe('request tracing', () => {
+  it('continues the trace from an incoming traceparent header', async () => {
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL })
+      .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`);
+    expect(res.status).toBe(200);
+
+    const server = await serverSpan();
+    expect(server.spanContext().traceId).toBe(TRACE_ID);
+    expect(parentOf(server)).toBe(PARENT_ID);
+    expect(spans().every((span) => span.spanContext().traceId === TRACE_ID)).toBe(true);
+  });
+
+  it('names the server span after the route and tags it with the request id', async () => {
+    const res = await request(app).get('/api/v1/jobs/00000000-0000-4000-8000-000000000000');
+
+    const server = await serverSpan();
+    expect(server.name).toBe('GET /api/v1/jobs/:id');
+    expect(server.attributes).toMatchObject({
+      'http.route': '/api/v1/jobs/:id',
+      'http.response.status_code': 404,
+      'request.id': res.body.requestId
+    });
+  });
+
+  it('starts a new trace without a traceparent header', async () => {
+    await request(app).get('/health');
+
+    const server = await serverSpan();
+    expect(server.spanContext().traceId).not.toBe(TRACE_ID);
+    expect(parentOf(server)).toBeUndefined();
+  });
+
+  it('nests cache lookups and provider calls under the request', async () => {
+    await request(app).get('/api/v1/fetch').query({ url: VALID_URL });
+
+    const server = await serverSpan();
+    const [lookup] = named('cache.get');
+    const [provider] = named('provider.fetch_metadata');
+
+    expect(lookup.attributes).toMatchObject({ 'cache.driver': 'memory', 'cache.hit': false });
+    expect(parentOf(lookup)).toBe(server.spanContext().spanId);
+    expect(provider.attributes['provider.name']).toBe('tikwm');
+    expect(parentOf(provider)).toBe(server.spanContext().spanId);
+  });
+
+  it('records a failed provider call as an error', async () => {
+    httpClient.get.mockRejectedValue(new Error('upstream down'));
+
+    await request(app).get('/api/v1/fetch').query({ url: VALID_URL });
+
+    const [provider] = named('provider.fetch_metadata');
+    expect(provider.status.code).toBe(SpanStatusCode.ERROR);
+    expect(provider.events.map((event) => event.name)).toContain('exception');
+  });
+
+  it('traces the streaming phase of a download', async () => {
+    const res = await request(app).get('/api/v1/download').query({ type: 'nowm', url: VALID_URL });
+    expect(res.status).toBe(200);
+
+    const server = await serverSpan();
+    const [stream] = named('download.stream');
+    expect(stream.attributes).toMatchObject({ 'download.type': 'nowm', 'download.source': 'cdn' });
+    expect(parentOf(stream)).toBe(server.spanContext().spanId);
+  });
+});
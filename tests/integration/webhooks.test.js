@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const { Readable } = require('stream');
+
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+  post: jest.fn(),
+}));
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+process.env.JOBS_DIR = path.join(storageDir, 'jobs');
+process.env.API_KEYS_FILE = path.join(storageDir, 'keys.json');
+process.env.MEDIA_CACHE_ENABLED = 'false';
+process.env.API_RATE_LIMIT = '1000';
+process.env.WEBHOOK_SECRET = 'whsec-test';
+process.env.WEBHOOK_RETRY_BASE_MS = '5';
+process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+
+const request = require('supertest');
+const httpClient = require('../../src/utils/httpClient');
+const app = require('../../src/app');
+const { cache } = require('../../src/utils/cache');
+const tiktokService = require('../../src/services/tiktokService');
+const { jobQueue } = require('../../src/services/jobQueue');
+const { keyRegistry } = require('../../src/services/keyRegistry');
+const { webhookDispatcher } = require('../../src/services/webhookDispatcher');
+
+const VALID_URL = 'https://www.tiktok.com/@testcreator/video/9999999999';
+const CALLBACK_URL = 'https://hooks.example.com/tiktok';
+
+let lookup;
+
+function mockTikTok({ metadata = true } = {}) {
+  httpClient.get.mockImplementation(async (url) => {
+    if (url === 'https://www.tikwm.com/api/') {
+      if (!metadata) {
+        return { data: { code: -1, msg: 'Url parsing is failed!' } };
+      }
+      return {
+        data: {
+          code: 0,
+          data: {
+            id: '9999999999',
+            title: 'caption',
+            author: { unique_id: 'testcreator' },
+            play: 'https://v16.tiktokcdn.com/video_nowm.mp4',
+          },
+        },
+      };
+    }
+    if (!metadata) {
+      return { data: '<html></html>' };
+    }
+    return { request: { res: { responseUrl: url } }, config: { url } };
+  });
+  httpClient.stream.mockImplementation(async () => ({
+    status: 200,
+    headers: { 'content-length': '5' },
+    data: Readable.from([Buffer.from('video')]),
+  }));
+}
+
+// Waits for the background work behind a 202 and its callback
+async function settle(id) {
+  for (let i = 0; i < 200; i++) {
+    const delivery = webhookDispatcher.get(id);
+    if (delivery && ['delivered', 'failed'].includes(delivery.status)) {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`delivery ${id} did not finish`);
+}
+
+function sentPayload(call = 0) {
+  const [url, body, options] = httpClient.post.mock.calls[call];
+  return { url, body, payload: JSON.parse(body), headers: options.headers };
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await cache.flushAll();
+  tiktokService.providers.reset();
+  keyRegistry.keys = [];
+  lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  httpClient.post.mockResolvedValue({ status: 200 });
+  mockTikTok();
+});
+
+afterEach(() => {
+  lookup.mockRestore();
+});
+
+afterAll(async () => {
+  jobQueue.close();
+  await webhookDispatcher.close();
+  await keyRegistry.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('Webhook callbacks', () => {
+  it('answers fetch with 202 and POSTs the signed result', async () => {
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL, callback_url: CALLBACK_URL });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({
+      request_id: expect.any(String),
+      status: 'accepted',
+      callback_url: CALLBACK_URL,
+      links: { webhook: `/api/v1/webhooks/${res.body.request_id}` },
+    });
+
+    await settle(res.body.request_id);
+
+    const { url, body, payload, headers } = sentPayload();
+    expect(url).toBe(CALLBACK_URL);
+    expect(payload).toMatchObject({
+      id: res.body.request_id,
+      event: 'fetch.completed',
+      data: { url: VALID_URL, status: 200, data: { username: 'testcreator' } },
+    });
+    const signature = crypto.createHmac('sha256', 'whsec-test').update(body).digest('hex');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${signature}`);
+  });
+
+  it('reports fetch failures as fetch.failed', async () => {
+    mockTikTok({ metadata: false });
+
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL, callback_url: CALLBACK_URL });
+    expect(res.status).toBe(202);
+
+    await settle(res.body.request_id);
+
+    expect(sentPayload().payload).toMatchObject({
+      event: 'fetch.failed',
+      data: { url: VALID_URL, error: true, status: expect.any(Number), message: expect.any(String) },
+    });
+  });
+
+  it('queues downloads as jobs and links the finished file', async () => {
+    const res = await request(app)
+      .get('/api/v1/download')
+      .query({ url: VALID_URL, type: 'nowm', callback_url: CALLBACK_URL });
+
+    expect(res.status).toBe(202);
+    const id = res.body.request_id;
+    expect(res.headers.location).toBe(`/api/v1/jobs/${id}`);
+    expect(res.body.links).toEqual({
+      job: `/api/v1/jobs/${id}`,
+      file: `/api/v1/jobs/${id}/file`,
+      webhook: `/api/v1/webhooks/${id}`,
+    });
+
+    await settle(id);
+
+    expect(sentPayload().payload).toMatchObject({
+      id,
+      event: 'download.completed',
+      data: {
+        job: { id, status: 'done', callbackUrl: CALLBACK_URL },
+        links: {
+          self: `https://api.example.com/api/v1/jobs/${id}`,
+          file: `https://api.example.com/api/v1/jobs/${id}/file`,
+        },
+      },
+    });
+
+    const file = await request(app).get(`/api/v1/jobs/${id}/file`);
+    expect(file.status).toBe(200);
+  });
+
+  it('accepts callback_url when creating a job', async () => {
+    const res = await request(app)
+      .post('/api/v1/jobs')
+      .send({ url: VALID_URL, type: 'nowm', callback_url: CALLBACK_URL });
+
+    expect(res.status).toBe(202);
+    expect(res.body.callbackUrl).toBe(CALLBACK_URL);
+    expect(res.body.links.webhook).toBe(`/api/v1/webhooks/${res.body.id}`);
+
+    await settle(res.body.id);
+    expect(sentPayload().payload.event).toBe('download.completed');
+  });
+
+  it('keeps a delivery log with every attempt', async () => {
+    httpClient.post
+      .mockResolvedValueOnce({ status: 502 })
+      .mockResolvedValueOnce({ status: 200 });
+
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL, callback_url: CALLBACK_URL });
+    await settle(res.body.request_id);
+
+    const log = await request(app).get(`/api/v1/webhooks/${res.body.request_id}`);
+    expect(log.status).toBe(200);
+    expect(log.body).toMatchObject({
+      id: res.body.request_id,
+      event: 'fetch.completed',
+      status: 'delivered',
+      callbackUrl: CALLBACK_URL,
+    });
+    expect(log.body.attempts).toEqual([
+      expect.objectContaining({ attempt: 1, statusCode: 502, error: 'HTTP 502' }),
+      expect.objectContaining({ attempt: 2, statusCode: 200, error: null }),
+    ]);
+  });
+
+  it('returns 404 for unknown deliveries', async () => {
+    const res = await request(app).get(`/api/v1/webhooks/${crypto.randomUUID()}`);
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Webhook delivery not found');
+  });
+
+  it('only shows a delivery to the key that requested it', async () => {
+    const { key: owner } = keyRegistry.create({ name: 'Owner', endpoints: ['fetch'] });
+    const { key: other } = keyRegistry.create({ name: 'Other' });
+
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL, callback_url: CALLBACK_URL })
+      .set('X-API-Key', owner);
+    expect(res.status).toBe(202);
+    await settle(res.body.request_id);
+
+    const own = await request(app).get(`/api/v1/webhooks/${res.body.request_id}`).set('X-API-Key', owner);
+    expect(own.status).toBe(200);
+
+    const foreign = await request(app).get(`/api/v1/webhooks/${res.body.request_id}`).set('X-API-Key', other);
+    expect(foreign.status).toBe(404);
+  });
+
+  it.each([
+    ['a loopback address', 'http://127.0.0.1:9000/hook'],
+    ['the metadata service', 'http://169.254.169.254/latest'],
+    ['a non-http scheme', 'file:///etc/passwd'],
+  ])('rejects callbacks to %s', async (_label, callbackUrl) => {
+    const res = await request(app)
+      .get('/api/v1/fetch')
+      .query({ url: VALID_URL, callback_url: callbackUrl });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('callback_url must be a public http(s) URL');
+    expect(httpClient.get).not.toHaveBeenCalled();
+  });
+
+  it('rejects hostnames that resolve to internal addresses', async () => {
+    lookup.mockResolvedValue([{ address: '10.0.0.8', family: 4 }]);
+
+    const res = await request(app)
+      .get('/api/v1/download')
+      .query({ url: VALID_URL, type: 'nowm', callback_url: 'https://intranet.example.com/hook' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('callback_url must be a public http(s) URL');
+  });
+});
@@ -0,0 +1,152 @@
+const RedisMock = require('ioredis-mock');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const request = require('supertest');
+const { createCache, MemoryCache, RedisCache } = require('../../src/utils/cache');
+const { CacheRateLimitStore } = require('../../src/utils/rateLimitStore');
+
+const adapters = {
+  memory: () => new MemoryCache(),
+  redis: () => new RedisCache({ client: new RedisMock() }),
+};
+
+describe.each(Object.keys(adapters))('%s cache adapter', (driver) => {
+  let cache;
+
+  beforeEach(async () => {
+    cache = adapters[driver]();
+    await cache.flushAll();
+  });
+
+  afterEach(async () => {
+    await cache.close();
+  });
+
+  it('round-trips values and misses unknown keys', async () => {
+    await cache.set('video:1', { username: 'user', images: [] });
+
+    await expect(cache.get('video:1')).resolves.toEqual({ username: 'user', images: [] });
+    await expect(cache.get('video:2')).resolves.toBeUndefined();
+
+    const stats = await cache.getStats();
+    expect(stats).toMatchObject({ driver, hits: 1, misses: 1 });
+  });
+
+  it('deletes keys', async () => {
+    await cache.set('short:a', 'https://www.tiktok.com/@u/video/1');
+    await cache.del('short:a');
+    await expect(cache.get('short:a')).resolves.toBeUndefined();
+  });
+
+  it('counts hits within a window and supports refunds', async () => {
+    const first = await cache.increment('rl:ip', 60000);
+    const second = await cache.increment('rl:ip', 60000);
+    await cache.decrement('rl:ip');
+    const third = await cache.increment('rl:ip', 60000);
+
+    expect(first.count).toBe(1);
+    expect(second.count).toBe(2);
+    expect(third.count).toBe(2);
+    expect(third.resetTime).toBeGreaterThan(Date.now());
+    expect(third.resetTime).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  it('answers pings', async () => {
+    await expect(cache.ping()).resolves.toBe(true);
+  });
+});
+
+describe('createCache', () => {
+  it('defaults to the memory driver', async () => {
+    const cache = createCache();
+    expect(cache.driver).toBe('memory');
+    await cache.close();
+  });
+
+  it('rejects unknown drivers', () => {
+    expect(() => createCache('memcached')).toThrow('Unknown CACHE_DRIVER');
+  });
+});
+
+describe('RedisCache', () => {
+  it('treats read errors as misses', async () => {
+    const client = { get: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+    const cache = new RedisCache({ client });
+
+    await expect(cache.get('video:1')).resolves.toBeUndefined();
+    expect((await cache.getStats()).misses).toBe(1);
+  });
+
+  it('starts the window in the same step as the first hit', async () => {
+    const client = new RedisMock();
+    const cache = new RedisCache({ client });
+    const pexpire = jest.spyOn(client, 'pexpire');
+
+    await expect(cache.increment('rl:a', 60000)).resolves.toMatchObject({ count: 1 });
+    await expect(cache.increment('rl:a', 60000)).resolves.toMatchObject({ count: 2 });
+
+    expect(pexpire).not.toHaveBeenCalled();
+    expect(await client.pttl('rl:a')).toBeGreaterThan(59000);
+  });
+
+  it('gives a counter left without an expiry a new window', async () => {
+    const client = new RedisMock();
+    const cache = new RedisCache({ client });
+    await cache.decrement('rl:b');
+
+    const { count, resetTime } = await cache.increment('rl:b', 60000);
+
+    expect(count).toBe(0);
+    expect(resetTime).toBeGreaterThan(Date.now() + 59000);
+    expect(await client.pttl('rl:b')).toBeGreaterThan(59000);
+  });
+
+  it('fails pings while Redis is unreachable', async () => {
+    const client = { ping: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+    const cache = new RedisCache({ client });
+
+    await expect(cache.ping()).rejects.toThrow('ECONNREFUSED');
+  });
+});
+
+describe('CacheRateLimitStore', () => {
+  function buildReplica(client) {
+    const app = express();
+    app.use(rateLimit({
+      windowMs: 60 * 1000,
+      max: 3,
+      store: new CacheRateLimitStore(new RedisCache({ client }), { prefix: 'rl:test:' }),
+      standardHeaders: true,
+      legacyHeaders: false,
+    }));
+    app.get('/', (req, res) => res.json({ ok: true }));
+    return app;
+  }
+
+  it('shares counts between replicas using the same Redis', async () => {
+    const client = new RedisMock();
+    await client.flushdb();
+    const replicas = [buildReplica(client), buildReplica(client), buildReplica(client)];
+
+    for (const replica of replicas) {
+      const res = await request(replica).get('/');
+      expect(res.status).toBe(200);
+    }
+
+    const res = await request(replicas[0]).get('/');
+    expect(res.status).toBe(429);
+  });
+
+  it('clears a client with resetKey', async () => {
+    const client = new RedisMock();
+    await client.flushdb();
+    const store = new CacheRateLimitStore(new RedisCache({ client }), { prefix: 'rl:test:' });
+    store.init({ windowMs: 60000 });
+
+    await store.increment('1.2.3.4');
+    await store.increment('1.2.3.4');
+    await store.resetKey('1.2.3.4');
+
+    await expect(store.increment('1.2.3.4')).resolves.toMatchObject({ totalHits: 1 });
+  });
+});
@@ -0,0 +1,45 @@
+const { mapWithConcurrency } = require('../../src/utils/concurrency');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe('mapWithConcurrency', () => {
+  it('preserves input order regardless of completion order', async () => {
+    const delays = [30, 5, 15];
+    const results = await mapWithConcurrency(delays, 3, (ms, index) =>
+      new Promise((resolve) => setTimeout(() => resolve(index), ms))
+    );
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  it('never runs more than `limit` calls at once', async () => {
+    const gates = Array.from({ length: 5 }, deferred);
+    let active = 0;
+    let peak = 0;
+
+    const run = mapWithConcurrency(gates, 2, async (gate) => {
+      active++;
+      peak = Math.max(peak, active);
+      await gate.promise;
+      active--;
+    });
+
+    for (const gate of gates) {
+      await new Promise((resolve) => setImmediate(resolve));
+      gate.resolve();
+    }
+    await run;
+
+    expect(peak).toBe(2);
+  });
+
+  it('returns an empty array for no items', async () => {
+    await expect(mapWithConcurrency([], 4, jest.fn())).resolves.toEqual([]);
+  });
+});
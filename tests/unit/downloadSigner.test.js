@@ -0,0 +1,63 @@
+const { DownloadSigner, parseSigningKeys } = require('../../src/utils/downloadSigner');
+
+const URL = 'https://www.tiktok.com/@user/video/123';
+const NOW = 1700000000000;
+
+describe('parseSigningKeys', () => {
+  it('parses kid:secret pairs in order', () => {
+    expect(parseSigningKeys('new:s3cret, old:with:colon')).toEqual([
+      { kid: 'new', secret: 's3cret' },
+      { kid: 'old', secret: 'with:colon' },
+    ]);
+    expect(parseSigningKeys('')).toEqual([]);
+  });
+
+  it('rejects malformed entries', () => {
+    expect(() => parseSigningKeys('nosecret')).toThrow('<kid>:<secret>');
+    expect(() => parseSigningKeys('kid:')).toThrow('<kid>:<secret>');
+  });
+});
+
+describe('DownloadSigner', () => {
+  const signer = new DownloadSigner({ keys: parseSigningKeys('k2:second,k1:first'), ttl: 60 });
+
+  it('signs with the first key and verifies until expiry', () => {
+    const params = signer.sign({ url: URL, type: 'nowm', sub: 'key-1' }, NOW);
+
+    expect(params).toMatchObject({ url: URL, type: 'nowm', kid: 'k2', sub: 'key-1', expires: String(NOW / 1000 + 60) });
+    expect(signer.verify(params, NOW + 59000)).toMatchObject({ valid: true, sub: 'key-1', kid: 'k2' });
+    expect(signer.verify(params, NOW + 60000)).toEqual({ valid: false, reason: 'Download link has expired' });
+  });
+
+  it('binds the signature to url, type, expiry and sub', () => {
+    const params = signer.sign({ url: URL, type: 'nowm', sub: 'key-1' }, NOW);
+
+    [
+      { url: 'https://www.tiktok.com/@user/video/456' },
+      { type: 'wm' },
+      { expires: String(Number(params.expires) + 3600) },
+      { sub: 'key-2' },
+      { sub: undefined },
+    ].forEach((change) => {
+      expect(signer.verify({ ...params, ...change }, NOW)).toEqual({
+        valid: false,
+        reason: 'Invalid download link signature',
+      });
+    });
+  });
+
+  it('keeps accepting links signed with an older key after rotation', () => {
+    const old = new DownloadSigner({ keys: parseSigningKeys('k1:first'), ttl: 60 });
+    const params = old.sign({ url: URL, type: 'audio' }, NOW);
+
+    expect(signer.verify(params, NOW)).toMatchObject({ valid: true, kid: 'k1', sub: null });
+  });
+
+  it('rejects unknown key ids and missing signatures', () => {
+    const params = signer.sign({ url: URL, type: 'nowm' }, NOW);
+
+    expect(signer.verify({ ...params, kid: 'k9' }, NOW).valid).toBe(false);
+    expect(signer.verify({ ...params, sig: undefined }, NOW).valid).toBe(false);
+    expect(signer.verify({ ...params, sig: 'short' }, NOW).valid).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  AppError,
+  InvalidUrlError,
+  UpstreamTimeoutError,
+  VideoPrivateError,
+  VideoNotFoundError,
+  UpstreamError,
+  upstreamHttpError,
+} = require('../../src/utils/errors');
+const express = require('express');
+const request = require('supertest');
+const { resolveError } = require('../../src/middleware/errorHandler');
+
+describe('errors', () => {
+  it('gives every error its class code, status and retryable flag', () => {
+    const error = new UpstreamTimeoutError('Request timeout - TikTok server took too long to respond');
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({
+      name: 'UpstreamTimeoutError',
+      code: 'UPSTREAM_TIMEOUT',
+      status: 504,
+      retryable: true,
+      publicMessage: 'Request timeout. TikTok server took too long to respond.',
+    });
+  });
+
+  it('falls back to the public message', () => {
+    expect(new InvalidUrlError().message).toBe('Invalid or unsupported TikTok URL');
+  });
+
+  it('lets the thrower override the retryable flag', () => {
+    expect(new AppError('boom', { retryable: true }).retryable).toBe(true);
+  });
+
+  describe('upstreamHttpError', () => {
+    it.each([
+      [403, VideoPrivateError, false],
+      [404, VideoNotFoundError, false],
+      [400, UpstreamError, false],
+      [429, UpstreamError, true],
+      [503, UpstreamError, true],
+    ])('maps HTTP %i', (status, type, retryable) => {
+      const error = upstreamHttpError(status, 'Status');
+      expect(error).toBeInstanceOf(type);
+      expect(error.retryable).toBe(retryable);
+      expect(error.message).toBe(`HTTP ${status}: Status`);
+    });
+  });
+});
+
+describe('resolveError', () => {
+  const env = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+  });
+
+  it('uses the fields of typed errors', () => {
+    expect(resolveError(new VideoPrivateError('HTTP 403: Forbidden'))).toMatchObject({
+      statusCode: 403,
+      code: 'VIDEO_PRIVATE',
+      message: 'Access denied by TikTok. This video may be private or region-locked.',
+      retryable: false,
+    });
+  });
+
+  it('answers unexpected errors with a 500 that hides the message', () => {
+    expect(resolveError(new Error('secret detail'))).toEqual({
+      statusCode: 500,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+      retryable: false,
+    });
+
+    process.env.NODE_ENV = 'production';
+    expect(resolveError(new Error('secret detail')).message).toBe('Something went wrong. Please try again later.');
+  });
+
+  it('keeps client errors raised by Express middleware', () => {
+    const error = Object.assign(new SyntaxError('Unexpected token } in JSON'), { status: 400, expose: true });
+    expect(resolveError(error)).toMatchObject({ statusCode: 400, code: 'BAD_REQUEST' });
+  });
+});
+
+describe('ERROR_FORMAT=problem', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.ERROR_FORMAT = 'problem';
+    jest.isolateModules(() => {
+      const { errorHandler } = require('../../src/middleware/errorHandler');
+      const { NotFoundError } = require('../../src/utils/errors');
+      app = express();
+      app.get('/jobs/:id', (req, res, next) => next(new NotFoundError('Job not found')));
+      app.use(errorHandler);
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.ERROR_FORMAT;
+  });
+
+  it('answers every client with a problem document', async () => {
+    const res = await request(app).get('/jobs/42').set('Accept', 'application/json');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      type: 'urn:tiktok-downloader:problem:not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Job not found',
+      instance: '/jobs/42',
+    });
+  });
+});
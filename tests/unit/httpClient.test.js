@@ -0,0 +1,237 @@
+jest.mock('axios', () => jest.fn());
+
+const dns = require('dns');
+const axios = require('axios');
+const httpClient = require('../../src/utils/httpClient');
+const { metrics } = require('../../src/utils/metrics');
+const { ProxyPool, proxyPool } = require('../../src/utils/proxyPool');
+const {
+  MediaHostNotAllowedError,
+  ProviderUnavailableError,
+  UpstreamError,
+  VideoPrivateError
+} = require('../../src/utils/errors');
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, statusText: 'Error', headers } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+describe('httpClient retries', () => {
+  let wait;
+
+  beforeEach(() => {
+    axios.mockReset();
+    metrics.upstreamRetries.reset();
+    wait = jest.spyOn(httpClient, 'wait').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    wait.mockRestore();
+  });
+
+  it('retries transient failures and reports the attempts on the response', async () => {
+    axios
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+    const response = await httpClient.get('https://www.tikwm.com/api/', { upstream: 'tikwm' });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(response.attempts).toBe(3);
+    expect(axios).toHaveBeenCalledTimes(3);
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(await metrics.registry.getSingleMetricAsString('upstream_retries_total'))
+      .toContain('upstream_retries_total{upstream="tikwm"} 2');
+  });
+
+  it('gives up after the policy\'s attempts with the last error', async () => {
+    axios.mockRejectedValue(httpError(503));
+
+    const error = await httpClient.get('https://www.tikwm.com/api/', { retry: { attempts: 2 } }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(UpstreamError);
+    expect(error.attempts).toBe(2);
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry errors that would fail again', async () => {
+    axios.mockRejectedValue(httpError(403));
+
+    const error = await httpClient.get('https://www.tiktok.com/@a/video/1').catch((e) => e);
+
+    expect(error).toBeInstanceOf(VideoPrivateError);
+    expect(error.attempts).toBe(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it('honours Retry-After', async () => {
+    axios
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '3' }))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await httpClient.get('https://www.tikwm.com/api/');
+
+    expect(wait).toHaveBeenCalledWith(3000);
+  });
+
+  it('uses the policy of each call site', async () => {
+    axios.mockRejectedValue(networkError('ECONNREFUSED'));
+
+    await expect(httpClient.get('https://www.tikwm.com/api/', { retry: 'none' })).rejects.toBeInstanceOf(ProviderUnavailableError);
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    axios.mockClear();
+    await expect(httpClient.stream('https://v16.tiktokcdn.com/a.mp4')).rejects.toMatchObject({ attempts: 2 });
+    expect(axios).toHaveBeenCalledTimes(2);
+
+    axios.mockClear();
+    await expect(httpClient.post('https://hooks.example.com/cb', {})).rejects.toMatchObject({ attempts: 1 });
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(axios.mock.calls[0][0]).not.toHaveProperty('retry');
+  });
+
+  it('releases the body of a failed stream before retrying', async () => {
+    const body = { destroy: jest.fn() };
+    axios
+      .mockRejectedValueOnce(Object.assign(httpError(500), { response: { status: 500, headers: {}, data: body } }))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await httpClient.stream('https://v16.tiktokcdn.com/a.mp4');
+
+    expect(body.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('httpClient proxy pool', () => {
+  // IP literals, so the target check needs no DNS
+  const TARGET = 'https://93.184.216.34/api/';
+  let wait;
+
+  beforeEach(() => {
+    axios.mockReset();
+    metrics.proxyRequests.reset();
+    proxyPool.proxies = new ProxyPool({ urls: ['http://10.0.0.1:8080', 'socks5://10.0.0.2:1080'] }).proxies;
+    proxyPool.cursor = 0;
+    wait = jest.spyOn(httpClient, 'wait').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    proxyPool.proxies = [];
+    wait.mockRestore();
+  });
+
+  it('sends metadata requests and streams through the pool in turn', async () => {
+    axios.mockResolvedValue({ status: 200, data: {} });
+
+    await httpClient.get(TARGET, { upstream: 'tikwm' });
+    await httpClient.stream(TARGET);
+
+    const [first, second] = axios.mock.calls.map(([config]) => config);
+    expect(first).toMatchObject({ proxy: false, httpsAgent: proxyPool.proxies[0].httpsAgent });
+    expect(second.httpsAgent).toBe(proxyPool.proxies[1].httpsAgent);
+    expect(await metrics.registry.getSingleMetricAsString('proxy_requests_total'))
+      .toContain('proxy_requests_total{proxy="http://10.0.0.1:8080",outcome="success"} 1');
+  });
+
+  it('quarantines a throttled proxy and retries through the next one', async () => {
+    axios
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    const response = await httpClient.get(TARGET);
+
+    expect(response.attempts).toBe(2);
+    expect(axios.mock.calls[1][0].httpsAgent).toBe(proxyPool.proxies[1].httpsAgent);
+    expect(proxyPool.getStats()[0]).toMatchObject({ available: false, lastError: 'HTTP 429' });
+
+    const metric = await metrics.registry.getSingleMetricAsString('proxy_available');
+    expect(metric).toContain('proxy_available{proxy="http://10.0.0.1:8080"} 0');
+    expect(metric).toContain('proxy_available{proxy="socks5://10.0.0.2:1080"} 1');
+  });
+
+  it('checks where the target resolves before handing it to a proxy', async () => {
+    await expect(httpClient.get('http://localhost/admin')).rejects.toMatchObject({ code: 'SSRF_BLOCKED', status: 502 });
+
+    expect(axios).not.toHaveBeenCalled();
+    expect(proxyPool.getStats()[0]).toMatchObject({ successes: 0, failures: 0 });
+  });
+
+  it('follows redirects itself and checks where each hop resolves', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: hostname === 'intranet.example.com' ? '10.1.2.3' : '93.184.216.35', family: 4 }]));
+    const body = { destroy: jest.fn() };
+    axios
+      .mockResolvedValueOnce({ status: 302, headers: { location: 'https://cdn.example.com/a.mp4' }, data: body })
+      .mockResolvedValueOnce({ status: 301, headers: { location: 'https://intranet.example.com/admin' } });
+
+    try {
+      await expect(httpClient.stream(TARGET)).rejects.toMatchObject({ code: 'SSRF_BLOCKED', address: '10.1.2.3' });
+    } finally {
+      lookup.mockRestore();
+    }
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(axios.mock.calls.map(([config]) => [config.url, config.maxRedirects])).toEqual([
+      [TARGET, 0],
+      ['https://cdn.example.com/a.mp4', 0]
+    ]);
+    expect(axios.mock.calls[0][0]).not.toHaveProperty('beforeRedirect');
+    expect(body.destroy).toHaveBeenCalled();
+    expect(proxyPool.getStats()[0]).toMatchObject({ successes: 0, failures: 0 });
+  });
+
+  it('runs the caller\'s beforeRedirect on proxied hops', async () => {
+    axios.mockResolvedValueOnce({ status: 302, headers: { location: 'https://93.184.216.35/a.mp4' } });
+    const beforeRedirect = jest.fn(() => {
+      throw new MediaHostNotAllowedError('Media host not allowed');
+    });
+
+    await expect(httpClient.stream(TARGET, { beforeRedirect })).rejects.toBeInstanceOf(MediaHostNotAllowedError);
+
+    expect(beforeRedirect).toHaveBeenCalledWith(
+      expect.objectContaining({ protocol: 'https:', hostname: '93.184.216.35', path: '/a.mp4' }),
+      expect.objectContaining({ statusCode: 302 })
+    );
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the last hop and honours maxRedirects and validateStatus', async () => {
+    axios
+      .mockResolvedValueOnce({ status: 302, headers: { location: '/next' } })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+    const response = await httpClient.get(TARGET);
+    expect(axios.mock.calls[1][0].url).toBe('https://93.184.216.34/next');
+    expect(response.status).toBe(200);
+
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 302, headers: { location: '/again' } });
+    await expect(httpClient.get(TARGET, { retry: 'none' })).rejects.toThrow('Maximum number of redirects exceeded');
+    expect(axios).toHaveBeenCalledTimes(6);
+
+    axios.mockClear();
+    const redirect = await httpClient.get(TARGET, {
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 200 && status < 400
+    });
+    expect(redirect.status).toBe(302);
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    axios.mockReset();
+    axios.mockResolvedValueOnce({ status: 404, headers: {} });
+    await expect(httpClient.get(TARGET)).rejects.toMatchObject({ code: 'VIDEO_NOT_FOUND' });
+  });
+
+  it('never proxies webhooks or calls that opt out', async () => {
+    axios.mockResolvedValue({ status: 200, data: {} });
+
+    await httpClient.post('https://93.184.216.34/hook', {});
+    await httpClient.get(TARGET, { useProxy: false });
+
+    axios.mock.calls.forEach(([config]) => {
+      expect(config.proxy).toBeUndefined();
+      expect(config).not.toHaveProperty('useProxy');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const { PassThrough } = require('stream');
+const httpClient = require('../../src/utils/httpClient');
+const { createImageArchive } = require('../../src/services/imageArchive');
+
+const metadata = {
+  images: ['https://p16.tiktokcdn.com/1.jpg', 'https://p16.tiktokcdn.com/2.jpg'],
+  audio: 'https://sf16.tiktokcdn.com/audio.mp3',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('createImageArchive', () => {
+  it('zips every slide and the audio', async () => {
+    httpClient.stream.mockImplementation(async () => {
+      const body = new PassThrough();
+      body.end(Buffer.from('bytes'));
+      return { headers: { 'content-type': 'image/webp' }, data: body };
+    });
+
+    const { archive, done } = createImageArchive(metadata, { includeAudio: true });
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => archive.on('end', resolve));
+    await done;
+    await ended;
+
+    const zip = Buffer.concat(chunks).toString('latin1');
+    expect(zip).toContain('1.webp');
+    expect(zip).toContain('2.webp');
+    expect(zip).toContain('audio.mp3');
+  });
+
+  it('releases the slide being read and settles when aborted mid-entry', async () => {
+    const slide = new PassThrough();
+    slide.write(Buffer.from('partial'));
+    httpClient.stream.mockResolvedValue({ headers: { 'content-type': 'image/jpeg' }, data: slide });
+
+    const { archive, done, abort } = createImageArchive(metadata);
+    archive.resume();
+    await new Promise((resolve) => setImmediate(resolve));
+    abort();
+
+    await expect(done).resolves.toBeUndefined();
+    expect(slide.destroyed).toBe(true);
+    expect(httpClient.stream).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases a response that arrives after the abort', async () => {
+    let respond;
+    httpClient.stream.mockReturnValue(new Promise((resolve) => {
+      respond = resolve;
+    }));
+
+    const { done, abort } = createImageArchive(metadata);
+    abort();
+    await expect(done).resolves.toBeUndefined();
+
+    const late = new PassThrough();
+    respond({ headers: {}, data: late });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(late.destroyed).toBe(true);
+  });
+});
@@ -0,0 +1,230 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const httpClient = require('../../src/utils/httpClient');
+const tiktokService = require('../../src/services/tiktokService');
+const { JobQueue } = require('../../src/services/jobQueue');
+const { cache } = require('../../src/utils/cache');
+
+const VALID_URL = 'https://www.tiktok.com/@catdancer/video/7777777777';
+
+function buildApiResponse(overrides = {}) {
+  return {
+    data: {
+      code: 0,
+      data: {
+        id: '7777777777',
+        title: 'Dancing cat',
+        author: { unique_id: 'catdancer' },
+        play: 'https://v16.tiktokcdn.com/video_nowm.mp4',
+        music: 'https://sf16.tiktokcdn.com/audio.mp3',
+        ...overrides,
+      },
+    },
+  };
+}
+
+function mockVideoDownload(content) {
+  httpClient.get.mockImplementation(async (url) => {
+    if (url === 'https://www.tikwm.com/api/') {
+      return buildApiResponse();
+    }
+    return { request: { res: { responseUrl: url } }, config: { url } };
+  });
+  httpClient.stream.mockImplementation(async () => ({
+    headers: { 'content-length': String(content.length) },
+    data: Readable.from([Buffer.from(content)]),
+  }));
+}
+
+let storageDir;
+let queues;
+
+function createQueue(options = {}) {
+  const queue = new JobQueue({ storageDir, ...options });
+  queues.push(queue);
+  return queue;
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await cache.flushAll();
+  tiktokService.providers.reset();
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  queues = [];
+});
+
+afterEach(async () => {
+  queues.forEach((queue) => queue.close());
+  // A state write still in flight would race the removal
+  await Promise.all(queues.map((queue) => queue.saving));
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('JobQueue', () => {
+  it('downloads a queued job to local storage', async () => {
+    mockVideoDownload('video-bytes');
+    const queue = createQueue();
+
+    const job = queue.create({ url: VALID_URL, type: 'nowm' });
+    expect(['queued', 'running']).toContain(job.status);
+
+    await queue.drain();
+
+    expect(job.status).toBe('done');
+    expect(job.progress).toEqual({ bytes: 11, total: 11 });
+    expect(job.filename).toMatch(/^catdancer_7777777777_nowm_\d+\.mp4$/);
+    expect(fs.readFileSync(job.filePath, 'utf8')).toBe('video-bytes');
+    expect(fs.existsSync(job.tempPath)).toBe(false);
+  });
+
+  it('marks the job failed when the download errors', async () => {
+    httpClient.get.mockRejectedValue(new Error('Network error: down'));
+    const queue = createQueue();
+
+    const job = queue.create({ url: VALID_URL, type: 'nowm' });
+    await queue.drain();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toContain('Failed to fetch TikTok metadata');
+    expect(fs.existsSync(job.filePath)).toBe(false);
+  });
+
+  it('fails photo jobs for posts without images', async () => {
+    mockVideoDownload('x');
+    const queue = createQueue();
+
+    const job = queue.create({ url: VALID_URL, type: 'images' });
+    await queue.drain();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('images download not available for this video');
+  });
+
+  it('fails photo jobs with slides off the media allow-list without fetching them', async () => {
+    httpClient.get.mockResolvedValue(buildApiResponse({ images: ['https://evil.example.com/slide.jpg'] }));
+    const queue = createQueue();
+
+    const job = queue.create({ url: VALID_URL, type: 'images' });
+    await queue.drain();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('Media host not allowed');
+    expect(httpClient.stream).not.toHaveBeenCalled();
+  });
+
+  it('runs at most `concurrency` jobs at once', async () => {
+    mockVideoDownload('v');
+    const queue = createQueue({ concurrency: 1 });
+
+    const first = queue.create({ url: VALID_URL, type: 'nowm' });
+    const second = queue.create({ url: VALID_URL, type: 'audio' });
+
+    expect(first.status).toBe('running');
+    expect(second.status).toBe('queued');
+
+    await queue.drain();
+    expect(second.status).toBe('done');
+  });
+
+  it('omits filesystem paths from the public view', async () => {
+    mockVideoDownload('v');
+    const queue = createQueue();
+
+    const job = queue.create({ url: VALID_URL, type: 'nowm' });
+    await queue.drain();
+
+    const view = queue.toJSON(job);
+    expect(view).not.toHaveProperty('filePath');
+    expect(view).not.toHaveProperty('tempPath');
+    expect(view).toMatchObject({ id: job.id, status: 'done', type: 'nowm' });
+  });
+
+  // ─── persistence ──────────────────────────────────────────────────
+  describe('restart', () => {
+    function writeState(jobs) {
+      fs.mkdirSync(path.join(storageDir, 'files'), { recursive: true });
+      fs.writeFileSync(path.join(storageDir, 'jobs.json'), JSON.stringify(jobs));
+    }
+
+    function savedJob(overrides) {
+      const id = overrides.id;
+      return {
+        url: VALID_URL,
+        type: 'nowm',
+        includeAudio: false,
+        status: 'queued',
+        progress: { bytes: 0, total: null },
+        error: null,
+        filename: null,
+        contentType: 'video/mp4',
+        filePath: path.join(storageDir, 'files', `${id}.mp4`),
+        tempPath: path.join(storageDir, 'files', `${id}.part`),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        ...overrides,
+      };
+    }
+
+    it('persists jobs and reloads them in a new process', async () => {
+      mockVideoDownload('saved');
+      const queue = createQueue();
+      const job = queue.create({ url: VALID_URL, type: 'nowm' });
+      await queue.drain();
+
+      const restarted = createQueue();
+      const reloaded = restarted.get(job.id);
+
+      expect(reloaded).toMatchObject({ id: job.id, status: 'done', filename: job.filename });
+    });
+
+    it('resumes queued and interrupted jobs', async () => {
+      mockVideoDownload('resumed');
+      const queuedId = '11111111-1111-4111-8111-111111111111';
+      const runningId = '22222222-2222-4222-8222-222222222222';
+      writeState([
+        savedJob({ id: queuedId }),
+        savedJob({ id: runningId, status: 'running', progress: { bytes: 5, total: 10 } }),
+      ]);
+      fs.writeFileSync(path.join(storageDir, 'files', `${runningId}.part`), 'half');
+
+      const queue = createQueue();
+      queue.init();
+      await queue.drain();
+
+      expect(queue.get(queuedId).status).toBe('done');
+      expect(queue.get(runningId).status).toBe('done');
+      expect(fs.readFileSync(queue.get(runningId).filePath, 'utf8')).toBe('resumed');
+    });
+
+    it('fails finished jobs whose file is missing', () => {
+      const id = '33333333-3333-4333-8333-333333333333';
+      writeState([savedJob({ id, status: 'done', finishedAt: new Date().toISOString() })]);
+
+      const queue = createQueue();
+
+      expect(queue.get(id)).toMatchObject({
+        status: 'failed',
+        error: 'Downloaded file is no longer available',
+      });
+    });
+
+    it('purges jobs past the retention period', () => {
+      const id = '44444444-4444-4444-8444-444444444444';
+      const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      writeState([savedJob({ id, status: 'failed', finishedAt: old })]);
+
+      const queue = createQueue({ retentionMs: 60 * 60 * 1000 });
+
+      expect(queue.get(id)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyRegistry } = require('../../src/services/keyRegistry');
+
+let dir;
+let registries;
+const originalKeys = process.env.API_KEYS;
+
+function createRegistry(keys) {
+  if (keys) {
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify(keys));
+  }
+  const registry = new KeyRegistry({
+    keysFile: path.join(dir, 'keys.json'),
+    usageFile: path.join(dir, 'usage.json'),
+  });
+  registries.push(registry);
+  return registry;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-test-'));
+  registries = [];
+  delete process.env.API_KEYS;
+});
+
+afterEach(async () => {
+  await Promise.all(registries.map((registry) => registry.close()));
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (originalKeys) {
+    process.env.API_KEYS = originalKeys;
+  }
+});
+
+describe('KeyRegistry', () => {
+  it('is disabled until keys are configured', () => {
+    expect(createRegistry().isEnabled()).toBe(false);
+    expect(createRegistry([{ id: 'a', name: 'A', key: 'secret' }]).isEnabled()).toBe(true);
+  });
+
+  it('finds file keys with defaults filled in', () => {
+    const registry = createRegistry([{ id: 'a', name: 'A', key: 'secret', quotas: { daily: 10 } }]);
+
+    expect(registry.find('secret')).toMatchObject({
+      id: 'a',
+      name: 'A',
+      status: 'active',
+      quotas: { daily: 10 },
+      endpoints: ['*'],
+    });
+    expect(registry.find('other')).toBeNull();
+    expect(registry.find(undefined)).toBeNull();
+  });
+
+  it('hashes plaintext keys from the file and rewrites it', async () => {
+    const registry = createRegistry([{ id: 'a', name: 'A', key: 'secret' }]);
+
+    expect(registry.find('secret')).toMatchObject({ id: 'a' });
+    await registry.saving;
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'keys.json'), 'utf8'));
+    expect(saved[0]).not.toHaveProperty('key');
+    expect(saved[0].hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('refuses to start with a corrupt keys file', () => {
+    fs.writeFileSync(path.join(dir, 'keys.json'), '{not json');
+    const registry = createRegistry();
+
+    expect(() => registry.isEnabled()).toThrow();
+    expect(() => registry.isEnabled()).toThrow();
+  });
+
+  it('creates, rotates and revokes keys', () => {
+    const registry = createRegistry();
+
+    const { record, key } = registry.create({ name: 'New', quotas: { daily: 5 } });
+    expect(registry.find(key)).toBe(record);
+    expect(registry.toJSON(record)).not.toHaveProperty('hash');
+
+    const rotated = registry.rotate(record);
+    expect(registry.find(key)).toBeNull();
+    expect(registry.find(rotated.key)).toBe(record);
+
+    registry.revoke(record);
+    expect(record.status).toBe('revoked');
+  });
+
+  it('issues prefixed keys and stores only the public prefix and hash', () => {
+    const registry = createRegistry();
+
+    const { record, key } = registry.create({ name: 'New' });
+
+    expect(key).toMatch(/^tk_live_[0-9a-f]{12}_[\w-]{32}$/);
+    expect(record.prefix).toBe(key.slice(0, 'tk_live_'.length + 12));
+    expect(JSON.stringify(record)).not.toContain(key);
+  });
+
+  it('rejects a secret presented with another key\'s prefix', () => {
+    const registry = createRegistry();
+    const first = registry.create({ name: 'First' });
+    const second = registry.create({ name: 'Second' });
+
+    const forged = second.record.prefix + first.key.slice(second.record.prefix.length);
+
+    expect(registry.find(forged)).toBeNull();
+    expect(registry.find(first.key)).toBe(first.record);
+  });
+
+  it('finds nothing for keys that are not strings', () => {
+    const registry = createRegistry();
+    const { key } = registry.create({ name: 'First' });
+
+    expect(registry.find([key, key])).toBeNull();
+    expect(registry.find({ key })).toBeNull();
+  });
+
+  it('picks up keys another replica wrote to the shared file', async () => {
+    const registry = createRegistry();
+    const other = createRegistry();
+    expect(registry.isEnabled()).toBe(false);
+
+    const { record, key } = other.create({ name: 'Elsewhere' });
+    await other.saving;
+    await registry.reloadIfChanged();
+    expect(registry.find(key)).toMatchObject({ id: record.id });
+
+    other.revoke(other.find(key));
+    await other.saving;
+    await registry.reloadIfChanged();
+    expect(registry.find(key).status).toBe('revoked');
+  });
+
+  it('keeps its keys when the shared file stops parsing', async () => {
+    const registry = createRegistry([{ id: 'a', name: 'A', key: 'secret' }]);
+    expect(registry.find('secret')).not.toBeNull();
+    await registry.saving;
+
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, '[{ "id": ');
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+    await registry.reloadIfChanged();
+
+    expect(registry.find('secret')).toMatchObject({ id: 'a' });
+  });
+
+  it('merges quota updates and removes null quotas', () => {
+    const registry = createRegistry();
+    const { record } = registry.create({ name: 'New', quotas: { daily: 5, perMinute: 2 } });
+
+    registry.update(record, { quotas: { daily: 10, perMinute: null } });
+
+    expect(record.quotas).toEqual({ daily: 10 });
+  });
+
+  it('exposes API_KEYS entries as unlimited keys with a stable id', () => {
+    process.env.API_KEYS = 'first, second';
+    const registry = createRegistry();
+
+    const key = registry.find('second');
+
+    expect(key).toMatchObject({ name: 'env-key-2', status: 'active', quotas: {}, endpoints: ['*'] });
+    expect(key.id).toMatch(/^env-[0-9a-f]{12}$/);
+    expect(registry.find('second').id).toBe(key.id);
+  });
+
+  it('accepts hashed API_KEYS entries', () => {
+    const hash = require('crypto').createHash('sha256').update('hashed-secret').digest('hex');
+    process.env.API_KEYS = `sha256:${hash}`;
+    const registry = createRegistry();
+
+    expect(registry.find('hashed-secret')).toMatchObject({ name: 'env-key-1' });
+    expect(registry.find(`sha256:${hash}`)).toBeNull();
+  });
+
+  it('checks allowed endpoints', () => {
+    const registry = createRegistry([{ id: 'a', name: 'A', key: 'secret', endpoints: ['fetch'] }]);
+    const key = registry.find('secret');
+
+    expect(registry.allows(key, 'fetch')).toBe(true);
+    expect(registry.allows(key, 'download')).toBe(false);
+  });
+
+  it('counts usage per day and endpoint', () => {
+    const registry = createRegistry();
+
+    registry.record('a', 'fetch');
+    registry.record('a', 'fetch');
+    registry.record('a', 'download');
+
+    expect(registry.usageToday('a')).toBe(3);
+    const [todayUsage, yesterday] = registry.getUsage('a', 2);
+    expect(todayUsage).toMatchObject({ total: 3, endpoints: { fetch: 2, download: 1 } });
+    expect(yesterday).toMatchObject({ total: 0, endpoints: {} });
+  });
+
+  it('persists usage across restarts', async () => {
+    const registry = createRegistry();
+    registry.record('a', 'fetch');
+    await registry.flush();
+
+    const restarted = createRegistry();
+
+    expect(restarted.usageToday('a')).toBe(1);
+  });
+
+  it('drops usage older than the retention period on flush', async () => {
+    const registry = createRegistry();
+    registry.record('a', 'fetch');
+    registry.usage.a['2000-01-01'] = { total: 5, endpoints: { fetch: 5 } };
+    await registry.flush();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'usage.json'), 'utf8'));
+    expect(Object.keys(saved.a)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,18 @@
+const { redactUrl } = require('../../src/utils/logger');
+
+describe('redactUrl', () => {
+  it('hides apikey query values', () => {
+    expect(redactUrl('/api/fetch?url=x&apikey=tk_live_abc_secret')).toBe('/api/fetch?url=x&apikey=[REDACTED]');
+    expect(redactUrl('/api/fetch?APIKEY=secret&url=x')).toBe('/api/fetch?APIKEY=[REDACTED]&url=x');
+  });
+
+  it('hides download link signatures', () => {
+    expect(redactUrl('/api/v1/download?type=nowm&sig=abc123&kid=k1')).toBe(
+      '/api/v1/download?type=nowm&sig=[REDACTED]&kid=k1'
+    );
+  });
+
+  it('leaves other URLs alone', () => {
+    expect(redactUrl('/api/fetch?url=x')).toBe('/api/fetch?url=x');
+  });
+});
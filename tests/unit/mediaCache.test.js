@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const { MediaCache } = require('../../src/utils/mediaCache');
+
+let dir;
+
+function createCache(options = {}) {
+  return new MediaCache({ dir, enabled: true, ...options });
+}
+
+function store(mediaCache, videoId, content, type = 'nowm') {
+  return mediaCache.capture(videoId, type, '.mp4', Readable.from([Buffer.from(content)]), {
+    expectedBytes: content.length,
+  });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-cache-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('MediaCache', () => {
+  it('stores a captured stream and serves it on lookup', async () => {
+    const mediaCache = createCache();
+
+    await expect(store(mediaCache, '123', 'video')).resolves.toBe(true);
+    const entry = mediaCache.lookup('123', 'nowm');
+
+    expect(entry.size).toBe(5);
+    expect(fs.readFileSync(entry.path, 'utf8')).toBe('video');
+    expect(mediaCache.lookup('123', 'audio')).toBeNull();
+    expect(mediaCache.getStats()).toMatchObject({ hits: 1, misses: 1, entries: 1, bytes: 5 });
+  });
+
+  it('discards streams that end early', async () => {
+    const mediaCache = createCache();
+    const source = new PassThrough();
+
+    const stored = mediaCache.capture('123', 'nowm', '.mp4', source, { expectedBytes: 10 });
+    source.write('half');
+    source.destroy();
+
+    await expect(stored).resolves.toBe(false);
+    expect(mediaCache.getStats().entries).toBe(0);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('discards bodies shorter than the announced length', async () => {
+    const mediaCache = createCache();
+    const source = Readable.from([Buffer.from('short')]);
+
+    await expect(
+      mediaCache.capture('123', 'nowm', '.mp4', source, { expectedBytes: 100 })
+    ).resolves.toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('evicts the least recently used files past maxBytes', async () => {
+    const mediaCache = createCache({ maxBytes: 10 });
+
+    await store(mediaCache, '1', 'aaaa');
+    await store(mediaCache, '2', 'bbbb');
+    mediaCache.lookup('1', 'nowm');
+    await store(mediaCache, '3', 'cccc');
+
+    expect(mediaCache.lookup('2', 'nowm')).toBeNull();
+    expect(mediaCache.lookup('1', 'nowm')).not.toBeNull();
+    expect(mediaCache.lookup('3', 'nowm')).not.toBeNull();
+    expect(mediaCache.getStats().bytes).toBe(8);
+    expect(fs.existsSync(path.join(dir, '2_nowm.mp4'))).toBe(false);
+  });
+
+  it('skips files larger than the whole cache', async () => {
+    const mediaCache = createCache({ maxBytes: 3 });
+    await expect(store(mediaCache, '1', 'toolarge')).resolves.toBe(false);
+  });
+
+  it('ignores ids that are not safe file names', async () => {
+    const mediaCache = createCache();
+    await expect(store(mediaCache, '../etc', 'x')).resolves.toBe(false);
+  });
+
+  it('reloads existing files and drops leftover temp files on start', async () => {
+    await store(createCache(), '123', 'video');
+    fs.writeFileSync(path.join(dir, '456_nowm.abc.part'), 'partial');
+
+    const restarted = createCache();
+
+    expect(restarted.lookup('123', 'nowm')).toMatchObject({ size: 5 });
+    expect(fs.existsSync(path.join(dir, '456_nowm.abc.part'))).toBe(false);
+  });
+
+  it('does nothing when disabled', async () => {
+    const mediaCache = createCache({ enabled: false });
+
+    await expect(store(mediaCache, '123', 'video')).resolves.toBe(false);
+    expect(mediaCache.lookup('123', 'nowm')).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('axios', () => jest.fn());
+
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { Metrics, metrics } = require('../../src/utils/metrics');
+const httpClient = require('../../src/utils/httpClient');
+const { UpstreamTimeoutError, VideoPrivateError } = require('../../src/utils/errors');
+
+async function sample(registry, name) {
+  return registry.getSingleMetricAsString(name);
+}
+
+describe('Metrics', () => {
+  let m;
+
+  beforeEach(() => {
+    m = new Metrics();
+  });
+
+  it('labels requests with the route template, not the URL', () => {
+    expect(m.routeLabel('/api/v1/jobs', { path: '/:id/file' })).toBe('/api/v1/jobs/:id/file');
+    expect(m.routeLabel('/api/v1/fetch', { path: '/' })).toBe('/api/v1/fetch');
+    expect(m.routeLabel('', { path: '/' })).toBe('/');
+    expect(m.routeLabel('', null)).toBe('unmatched');
+  });
+
+  it('records upstream latency and errors by code', async () => {
+    m.startUpstream('tikwm', 'GET')();
+    m.startUpstream('tikwm', 'GET')(new UpstreamTimeoutError());
+
+    const latency = await sample(m.registry, 'upstream_request_duration_seconds');
+    expect(latency).toContain('upstream_request_duration_seconds_count{upstream="tikwm",method="GET",outcome="success"} 1');
+    expect(latency).toContain('upstream_request_duration_seconds_count{upstream="tikwm",method="GET",outcome="error"} 1');
+    expect(await sample(m.registry, 'upstream_errors_total'))
+      .toContain('upstream_errors_total{upstream="tikwm",code="UPSTREAM_TIMEOUT"} 1');
+  });
+
+  it('counts a stream as active until its response closes', async () => {
+    const res = new EventEmitter();
+    m.trackStream('nowm', res);
+    expect(await sample(m.registry, 'download_active_streams')).toContain('download_active_streams{type="nowm"} 1');
+
+    res.emit('close');
+    expect(await sample(m.registry, 'download_active_streams')).toContain('download_active_streams{type="nowm"} 0');
+  });
+
+  it('reports a hit ratio per cache', async () => {
+    const ratio = await sample(m.registry, 'cache_hit_ratio');
+    expect(ratio).toMatch(/cache_hit_ratio\{cache="metadata"\} \d/);
+    expect(ratio).toMatch(/cache_hit_ratio\{cache="media"\} \d/);
+  });
+});
+
+describe('httpClient instrumentation', () => {
+  beforeEach(() => {
+    axios.mockReset();
+    metrics.upstreamErrors.reset();
+    metrics.upstreamDuration.reset();
+  });
+
+  it('labels requests with the upstream option and strips it from the axios config', async () => {
+    axios.mockResolvedValue({ status: 200, data: {} });
+
+    await httpClient.get('https://www.tikwm.com/api/', { upstream: 'tikwm' });
+
+    expect(axios.mock.calls[0][0]).not.toHaveProperty('upstream');
+    expect(await sample(metrics.registry, 'upstream_request_duration_seconds'))
+      .toContain('upstream_request_duration_seconds_count{upstream="tikwm",method="GET",outcome="success"} 1');
+  });
+
+  it('counts failures under their error code', async () => {
+    axios.mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    axios.mockRejectedValueOnce(Object.assign(new Error('forbidden'), { response: { status: 403, statusText: 'Forbidden' } }));
+
+    await expect(httpClient.stream('https://v16.tiktokcdn.com/a.mp4')).rejects.toBeInstanceOf(UpstreamTimeoutError);
+    await expect(httpClient.get('https://www.tiktok.com/@a/video/1')).rejects.toBeInstanceOf(VideoPrivateError);
+
+    const errors = await sample(metrics.registry, 'upstream_errors_total');
+    expect(errors).toContain('upstream_errors_total{upstream="cdn",code="UPSTREAM_TIMEOUT"} 1');
+    expect(errors).toContain('upstream_errors_total{upstream="tiktok",code="VIDEO_PRIVATE"} 1');
+  });
+
+  it('counts requests to internal addresses as blocked', async () => {
+    await expect(httpClient.post('http://127.0.0.1/hook', {})).rejects.toMatchObject({ code: 'SSRF_BLOCKED' });
+
+    expect(axios).not.toHaveBeenCalled();
+    expect(await sample(metrics.registry, 'upstream_errors_total'))
+      .toContain('upstream_errors_total{upstream="webhook",code="SSRF_BLOCKED"} 1');
+  });
+});
@@ -0,0 +1,293 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const { ProviderChain, createDefaultChain } = require('../../src/services/providerChain');
+const { ProviderUnavailableError, VideoNotFoundError } = require('../../src/utils/errors');
+
+const URL = 'https://www.tiktok.com/@user/video/123';
+
+function buildMetadata(overrides = {}) {
+  return {
+    username: 'user',
+    caption: ' caption ',
+    thumbnail: 'https://p16.tiktokcdn.com/cover.jpg',
+    no_wm: 'https://v16.tiktokcdn.com/nowm.mp4',
+    wm: null,
+    audio: 'https://sf16.tiktokcdn.com/audio.mp3',
+    video_id: 123,
+    ...overrides,
+  };
+}
+
+function buildProvider(name, impl) {
+  return { name, fetchMetadata: jest.fn(impl) };
+}
+
+describe('ProviderChain', () => {
+  // ─── ordering & failover ──────────────────────────────────────────
+  describe('fetchMetadata', () => {
+    it('normalises metadata and reports the serving provider', async () => {
+      const chain = new ProviderChain();
+      chain.register(buildProvider('first', async () => buildMetadata()));
+
+      const meta = await chain.fetchMetadata(URL);
+
+      expect(meta).toEqual({
+        username: 'user',
+        caption: 'caption',
+        thumbnail: 'https://p16.tiktokcdn.com/cover.jpg',
+        no_wm: 'https://v16.tiktokcdn.com/nowm.mp4',
+        wm: 'https://v16.tiktokcdn.com/nowm.mp4',
+        audio: 'https://sf16.tiktokcdn.com/audio.mp3',
+        video_id: '123',
+        images: [],
+        details: {},
+        provider: 'first',
+      });
+    });
+
+    it('tries providers in priority order', async () => {
+      const chain = new ProviderChain();
+      const low = buildProvider('low', async () => buildMetadata());
+      const high = buildProvider('high', async () => buildMetadata());
+      chain.register(low, { priority: 5 });
+      chain.register(high, { priority: 1 });
+
+      const meta = await chain.fetchMetadata(URL);
+
+      expect(meta.provider).toBe('high');
+      expect(low.fetchMetadata).not.toHaveBeenCalled();
+    });
+
+    it('fails over to the next provider on error', async () => {
+      const chain = new ProviderChain();
+      chain.register(buildProvider('broken', async () => {
+        throw new Error('HTTP 500: Internal Server Error');
+      }));
+      chain.register(buildProvider('backup', async () => buildMetadata()));
+
+      const meta = await chain.fetchMetadata(URL);
+
+      expect(meta.provider).toBe('backup');
+    });
+
+    it('treats incomplete metadata as a failure', async () => {
+      const chain = new ProviderChain();
+      chain.register(buildProvider('partial', async () => buildMetadata({ username: null })));
+      chain.register(buildProvider('backup', async () => buildMetadata()));
+
+      const meta = await chain.fetchMetadata(URL);
+
+      expect(meta.provider).toBe('backup');
+      expect(chain.getHealth()[0].lastError).toBe('Failed to extract video metadata');
+    });
+
+    it('throws with every provider error when all fail', async () => {
+      const chain = new ProviderChain();
+      chain.register(buildProvider('a', async () => {
+        throw new Error('boom');
+      }));
+      chain.register(buildProvider('b', async () => {
+        throw new Error('bang');
+      }));
+
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow(
+        'All metadata providers failed (a: boom; b: bang)'
+      );
+    });
+
+    it('rejects providers without fetchMetadata', () => {
+      const chain = new ProviderChain();
+      expect(() => chain.register({ name: 'bad' })).toThrow('fetchMetadata');
+    });
+  });
+
+  // ─── circuit breaker ──────────────────────────────────────────────
+  describe('circuit breaker', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('skips a provider after repeated failures until cooldown passes', async () => {
+      const chain = new ProviderChain({ failureThreshold: 2, cooldownMs: 1000 });
+      const flaky = buildProvider('flaky', async () => {
+        throw new ProviderUnavailableError('down');
+      });
+      chain.register(flaky);
+      chain.register(buildProvider('backup', async () => buildMetadata()));
+
+      await chain.fetchMetadata(URL);
+      await chain.fetchMetadata(URL);
+      expect(chain.getHealth()[0].state).toBe('open');
+
+      await chain.fetchMetadata(URL);
+      expect(flaky.fetchMetadata).toHaveBeenCalledTimes(2);
+
+      now += 1000;
+      flaky.fetchMetadata.mockResolvedValueOnce(buildMetadata());
+      const meta = await chain.fetchMetadata(URL);
+
+      expect(meta.provider).toBe('flaky');
+      expect(chain.getHealth()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    it('reopens immediately when the half-open trial fails', async () => {
+      const chain = new ProviderChain({ failureThreshold: 1, cooldownMs: 1000 });
+      chain.register(buildProvider('flaky', async () => {
+        throw new ProviderUnavailableError('down');
+      }));
+      chain.register(buildProvider('backup', async () => buildMetadata()));
+
+      await chain.fetchMetadata(URL);
+      now += 1000;
+      await chain.fetchMetadata(URL);
+
+      expect(chain.getHealth()[0]).toMatchObject({ state: 'open', openedAt: now });
+    });
+
+    it('counts network errors and 5xx answers without a retryable flag as outages', async () => {
+      const chain = new ProviderChain({ failureThreshold: 2 });
+      chain.register(buildProvider('a', async () => {
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      }));
+      chain.register(buildProvider('b', async () => {
+        throw Object.assign(new Error('HTTP 503'), { response: { status: 503 } });
+      }));
+
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+
+      expect(chain.getHealth().map((health) => health.state)).toEqual(['open', 'open']);
+    });
+
+    it('does not open on answers about the video itself', async () => {
+      const chain = new ProviderChain({ failureThreshold: 1 });
+      chain.register(buildProvider('a', async () => {
+        throw new VideoNotFoundError('Video not found');
+      }));
+      chain.register(buildProvider('b', async () => buildMetadata({ username: null })));
+
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+
+      expect(chain.getHealth()).toEqual([
+        expect.objectContaining({ state: 'closed', consecutiveFailures: 0, failures: 2 }),
+        expect.objectContaining({ state: 'closed', consecutiveFailures: 0, failures: 2 }),
+      ]);
+    });
+
+    it('lets a single trial through while half-open', async () => {
+      const chain = new ProviderChain({ failureThreshold: 1, cooldownMs: 1000 });
+      const flaky = buildProvider('flaky', async () => {
+        throw new ProviderUnavailableError('down');
+      });
+      chain.register(flaky);
+      chain.register(buildProvider('backup', async () => buildMetadata()));
+
+      await chain.fetchMetadata(URL);
+      now += 1000;
+
+      let finishTrial;
+      flaky.fetchMetadata.mockImplementationOnce(() => new Promise((resolve) => {
+        finishTrial = () => resolve(buildMetadata());
+      }));
+      const trial = chain.fetchMetadata(URL);
+      const others = await Promise.all([chain.fetchMetadata(URL), chain.fetchMetadata(URL)]);
+
+      expect(others.map((meta) => meta.provider)).toEqual(['backup', 'backup']);
+      expect(flaky.fetchMetadata).toHaveBeenCalledTimes(2);
+
+      finishTrial();
+      expect((await trial).provider).toBe('flaky');
+      expect(chain.getHealth()[0]).toMatchObject({ state: 'closed', trialInFlight: false });
+    });
+
+    it('closes when the half-open trial gets an answer about the video', async () => {
+      const chain = new ProviderChain({ failureThreshold: 1, cooldownMs: 1000 });
+      const flaky = buildProvider('flaky', async () => {
+        throw new ProviderUnavailableError('down');
+      });
+      chain.register(flaky);
+
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+      now += 1000;
+      flaky.fetchMetadata.mockRejectedValueOnce(new VideoNotFoundError('Video not found'));
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow('Video not found');
+
+      expect(chain.getHealth()[0]).toMatchObject({ state: 'closed', openedAt: null });
+    });
+
+    it('reset() closes every circuit', async () => {
+      const chain = new ProviderChain({ failureThreshold: 1 });
+      chain.register(buildProvider('a', async () => {
+        throw new ProviderUnavailableError('down');
+      }));
+
+      await expect(chain.fetchMetadata(URL)).rejects.toThrow();
+      chain.reset();
+
+      expect(chain.getHealth()[0]).toMatchObject({ state: 'closed', failures: 0 });
+    });
+  });
+
+  // ─── readiness probes ─────────────────────────────────────────────
+  describe('probe', () => {
+    it('reports each provider as up, down or unknown with its latency', async () => {
+      const chain = new ProviderChain();
+      chain.register({ ...buildProvider('a'), probe: jest.fn().mockResolvedValue() });
+      chain.register({ ...buildProvider('b'), probe: jest.fn().mockRejectedValue(new Error('ECONNRESET')) });
+      chain.register(buildProvider('c'));
+
+      const results = await chain.probe({ timeout: 1000 });
+
+      expect(results).toEqual([
+        { name: 'a', circuit: 'closed', status: 'up', latencyMs: expect.any(Number) },
+        { name: 'b', circuit: 'closed', status: 'down', latencyMs: expect.any(Number), error: 'ECONNRESET' },
+        { name: 'c', circuit: 'closed', status: 'unknown' },
+      ]);
+      expect(chain.entries[0].provider.probe).toHaveBeenCalledWith({ timeout: 1000 });
+    });
+
+    it('marks a provider down when its probe outlives the timeout', async () => {
+      const chain = new ProviderChain();
+      chain.register({ ...buildProvider('slow'), probe: () => new Promise(() => {}) });
+
+      const [result] = await chain.probe({ timeout: 20 });
+      expect(result).toMatchObject({ status: 'down', error: 'Timed out after 20ms' });
+    });
+  });
+
+  // ─── configuration ────────────────────────────────────────────────
+  describe('createDefaultChain', () => {
+    const originalOrder = process.env.METADATA_PROVIDERS;
+
+    afterEach(() => {
+      if (originalOrder) {
+        process.env.METADATA_PROVIDERS = originalOrder;
+      } else {
+        delete process.env.METADATA_PROVIDERS;
+      }
+    });
+
+    it('registers tikwm then scraper by default', () => {
+      delete process.env.METADATA_PROVIDERS;
+      const names = createDefaultChain().getHealth().map((p) => p.name);
+      expect(names).toEqual(['tikwm', 'scraper']);
+    });
+
+    it('honours METADATA_PROVIDERS ordering', () => {
+      process.env.METADATA_PROVIDERS = 'scraper, tikwm';
+      const names = createDefaultChain().getHealth().map((p) => p.name);
+      expect(names).toEqual(['scraper', 'tikwm']);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const { Readiness } = require('../../src/services/readiness');
+
+function buildCache(ping = jest.fn().mockResolvedValue(true)) {
+  return { driver: 'memory', ping };
+}
+
+function buildProviders(results) {
+  return { probe: jest.fn().mockResolvedValue(results) };
+}
+
+const up = (name) => ({ name, circuit: 'closed', status: 'up', latencyMs: 12 });
+const down = (name) => ({ name, circuit: 'open', status: 'down', latencyMs: 5000, error: 'timeout' });
+const unknown = (name) => ({ name, circuit: 'closed', status: 'unknown' });
+
+describe('Readiness', () => {
+  it('is ready when the cache answers and a provider is up', async () => {
+    const readiness = new Readiness({
+      cache: buildCache(),
+      providers: buildProviders([down('tikwm'), up('scraper')]),
+      timeoutMs: 1000
+    });
+
+    const result = await readiness.status();
+
+    expect(result).toMatchObject({ status: 'ready', ready: true, checkedAt: expect.any(String) });
+    expect(result.checks.cache).toEqual({ status: 'up', driver: 'memory', latencyMs: expect.any(Number) });
+    expect(result.checks.providers).toEqual([down('tikwm'), up('scraper')]);
+    expect(readiness.providers.probe).toHaveBeenCalledWith({ timeout: 1000 });
+  });
+
+  it('is not ready when every probed provider is down', async () => {
+    const readiness = new Readiness({
+      cache: buildCache(),
+      providers: buildProviders([down('tikwm'), down('scraper'), unknown('custom')])
+    });
+
+    await expect(readiness.status()).resolves.toMatchObject({ status: 'not_ready', ready: false });
+  });
+
+  it('counts providers without a probe only when none has one', async () => {
+    const readiness = new Readiness({ cache: buildCache(), providers: buildProviders([unknown('custom')]) });
+
+    await expect(readiness.status()).resolves.toMatchObject({ ready: true });
+  });
+
+  it('is not ready when the cache fails or hangs', async () => {
+    const failing = new Readiness({
+      cache: buildCache(jest.fn().mockRejectedValue(new Error('ECONNREFUSED'))),
+      providers: buildProviders([up('tikwm')])
+    });
+    const hanging = new Readiness({
+      cache: buildCache(() => new Promise(() => {})),
+      providers: buildProviders([up('tikwm')]),
+      timeoutMs: 20
+    });
+
+    const failed = await failing.status();
+    expect(failed).toMatchObject({ ready: false, checks: { cache: { status: 'down', error: 'ECONNREFUSED' } } });
+    const hung = await hanging.status();
+    expect(hung).toMatchObject({ ready: false, checks: { cache: { status: 'down', error: 'Timed out after 20ms' } } });
+  });
+
+  it('answers from the last check and shares a check in flight', async () => {
+    const providers = buildProviders([up('tikwm')]);
+    const readiness = new Readiness({ cache: buildCache(), providers });
+
+    await Promise.all([readiness.status(), readiness.status(), readiness.refresh()]);
+    await readiness.status();
+
+    expect(providers.probe).toHaveBeenCalledTimes(1);
+
+    await readiness.refresh();
+    expect(providers.probe).toHaveBeenCalledTimes(2);
+  });
+
+  it('re-checks in the background once started', async () => {
+    jest.useFakeTimers();
+    try {
+      const providers = buildProviders([up('tikwm')]);
+      const readiness = new Readiness({ cache: buildCache(), providers, intervalMs: 1000 });
+
+      readiness.start();
+      expect(providers.probe).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(providers.probe).toHaveBeenCalledTimes(2);
+
+      readiness.stop();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(providers.probe).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('reports shutting_down and stops checking after shutdown begins', async () => {
+    const readiness = new Readiness({ cache: buildCache(), providers: buildProviders([up('tikwm')]) });
+    readiness.start();
+    await readiness.refresh();
+
+    readiness.beginShutdown();
+
+    expect(readiness.timer).toBeNull();
+    await expect(readiness.status()).resolves.toMatchObject({ status: 'shutting_down', ready: false });
+  });
+});
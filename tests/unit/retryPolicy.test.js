@@ -0,0 +1,77 @@
+const { policies, resolveRetryPolicy, parseRetryAfter, retryDelay } = require('../../src/utils/retryPolicy');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+describe('resolveRetryPolicy', () => {
+  it('looks up named policies and defaults to the default policy', () => {
+    expect(resolveRetryPolicy()).toBe(policies.default);
+    expect(resolveRetryPolicy('none').attempts).toBe(1);
+  });
+
+  it('applies overrides on top of the default policy', () => {
+    const policy = resolveRetryPolicy({ attempts: 5, jitter: 'none' });
+    expect(policy).toMatchObject({ attempts: 5, jitter: 'none', statuses: policies.default.statuses });
+  });
+
+  it('rejects unknown policy names', () => {
+    expect(() => resolveRetryPolicy('forever')).toThrow('Unknown retry policy "forever"');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  it('reads seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now)).toBe(0);
+  });
+
+  it('ignores missing or malformed values', () => {
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('retryDelay', () => {
+  const policy = resolveRetryPolicy({ attempts: 4, baseDelayMs: 100, maxDelayMs: 300, jitter: 'none' });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    const error = httpError(503);
+    expect(retryDelay(policy, error, 1)).toBe(100);
+    expect(retryDelay(policy, error, 2)).toBe(200);
+    expect(retryDelay(policy, error, 3)).toBe(300);
+  });
+
+  it('gives up after the last attempt', () => {
+    expect(retryDelay(policy, httpError(503), 4)).toBeNull();
+    expect(retryDelay(resolveRetryPolicy('none'), httpError(503), 1)).toBeNull();
+  });
+
+  it('retries transient statuses and network errors only', () => {
+    expect(retryDelay(policy, httpError(429), 1)).toBe(100);
+    expect(retryDelay(policy, networkError('ECONNRESET'), 1)).toBe(100);
+    expect(retryDelay(policy, httpError(403), 1)).toBeNull();
+    expect(retryDelay(policy, httpError(404), 1)).toBeNull();
+    expect(retryDelay(policy, networkError('ECONNABORTED'), 1)).toBeNull();
+    expect(retryDelay(resolveRetryPolicy({ statuses: [500] }), httpError(503), 1)).toBeNull();
+  });
+
+  it('waits as long as Retry-After asks, within the limit', () => {
+    expect(retryDelay(policy, httpError(503, { 'retry-after': '2' }), 1)).toBe(2000);
+    expect(retryDelay(policy, httpError(429, { 'retry-after': '60' }), 1)).toBeNull();
+    expect(retryDelay({ ...policy, respectRetryAfter: false }, httpError(429, { 'retry-after': '60' }), 1)).toBe(100);
+  });
+
+  it('spreads delays with jitter', () => {
+    const error = httpError(503);
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    try {
+      expect(retryDelay({ ...policy, jitter: 'full' }, error, 2)).toBe(100);
+      expect(retryDelay({ ...policy, jitter: 'equal' }, error, 2)).toBe(150);
+    } finally {
+      Math.random.mockRestore();
+    }
+  });
+});
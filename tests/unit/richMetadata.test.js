@@ -0,0 +1,99 @@
+const {
+  RICH_FIELDS,
+  parseHashtags,
+  parseMentions,
+  parseFields,
+  buildRichFields,
+} = require('../../src/utils/richMetadata');
+
+describe('richMetadata', () => {
+  // ─── caption parsing ──────────────────────────────────────────────
+  describe('parseHashtags', () => {
+    it('extracts unique hashtags without the #', () => {
+      expect(parseHashtags('Fun day #beach #sun_set #beach')).toEqual(['beach', 'sun_set']);
+    });
+
+    it('supports non-latin hashtags', () => {
+      expect(parseHashtags('#café #東京')).toEqual(['café', '東京']);
+    });
+
+    it('returns an empty list for empty captions', () => {
+      expect(parseHashtags('')).toEqual([]);
+      expect(parseHashtags(null)).toEqual([]);
+    });
+  });
+
+  describe('parseMentions', () => {
+    it('extracts unique mentions', () => {
+      expect(parseMentions('@alice with @bob.smith and @alice')).toEqual(['alice', 'bob.smith']);
+    });
+
+    it('ignores email addresses and trailing dots', () => {
+      expect(parseMentions('mail me@example.com or ping @carol.')).toEqual(['carol']);
+    });
+  });
+
+  // ─── field selection ──────────────────────────────────────────────
+  describe('parseFields', () => {
+    it('returns every field for detail=full', () => {
+      expect(parseFields(undefined, 'full')).toEqual(RICH_FIELDS);
+    });
+
+    it('splits and de-duplicates the fields list', () => {
+      expect(parseFields(' stats,music ,stats')).toEqual(['stats', 'music']);
+    });
+
+    it('returns no fields by default', () => {
+      expect(parseFields(undefined, undefined)).toEqual([]);
+      expect(parseFields(undefined, 'basic')).toEqual([]);
+    });
+  });
+
+  describe('buildRichFields', () => {
+    const metadata = {
+      caption: 'Hello #world @friend',
+      details: {
+        duration: 12,
+        width: 1080,
+        height: 1920,
+        size: { nowm: 100, wm: 120, hd: 200 },
+        stats: { plays: 10, likes: 5, comments: 2, shares: 1 },
+        create_time: 1700000000,
+        region: 'US',
+        music: { title: 'Song', author: 'Band', duration: 30 },
+        author: { nickname: 'Nick', avatar: 'https://p16.tiktokcdn.com/a.jpeg' },
+      },
+    };
+
+    it('builds every field', () => {
+      expect(buildRichFields(metadata, RICH_FIELDS)).toEqual({
+        duration: 12,
+        resolution: { width: 1080, height: 1920 },
+        size: { nowm: 100, wm: 120, hd: 200 },
+        stats: { plays: 10, likes: 5, comments: 2, shares: 1 },
+        create_time: '2023-11-14T22:13:20.000Z',
+        region: 'US',
+        hashtags: ['world'],
+        mentions: ['friend'],
+        music: { title: 'Song', author: 'Band', duration: 30 },
+        author: { nickname: 'Nick', avatar: 'https://p16.tiktokcdn.com/a.jpeg' },
+      });
+    });
+
+    it('only includes requested fields', () => {
+      expect(Object.keys(buildRichFields(metadata, ['region', 'stats']))).toEqual([
+        'region',
+        'stats',
+      ]);
+    });
+
+    it('uses null for values the provider did not supply', () => {
+      const result = buildRichFields({ caption: '' }, ['duration', 'resolution', 'stats']);
+      expect(result).toEqual({
+        duration: null,
+        resolution: null,
+        stats: { plays: null, likes: null, comments: null, shares: null },
+      });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const httpClient = require('../../src/utils/httpClient');
+const ScraperProvider = require('../../src/services/providers/scraperProvider');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'tiktok', name), 'utf8');
+}
+
+const provider = new ScraperProvider();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ScraperProvider', () => {
+  it('loads the video page through httpClient.get', async () => {
+    const url = 'https://www.tiktok.com/@skywatcher/video/7300000000000000001';
+    httpClient.get.mockResolvedValue({ data: loadFixture('universal-data.html') });
+
+    await provider.fetchMetadata(url);
+
+    expect(httpClient.get).toHaveBeenCalledWith(url);
+  });
+
+  it('parses __UNIVERSAL_DATA_FOR_REHYDRATION__ pages', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('universal-data.html') });
+
+    const meta = await provider.fetchMetadata(
+      'https://www.tiktok.com/@skywatcher/video/7300000000000000001'
+    );
+
+    expect(meta).toMatchObject({
+      username: 'skywatcher',
+      caption: 'Sunset timelapse #nature @friend',
+      thumbnail: 'https://p16-sign.tiktokcdn-us.com/cover.jpeg',
+      no_wm: 'https://v16-webapp-prime.tiktok.com/video/play.mp4',
+      wm: 'https://v16-webapp-prime.tiktok.com/video/download.mp4',
+      audio: 'https://sf16-ies-music.tiktokcdn.com/obj/music.mp3',
+      video_id: '7300000000000000001',
+    });
+  });
+
+  it('parses SIGI_STATE pages and resolves the author from UserModule', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('sigi-state.html') });
+
+    const meta = await provider.fetchMetadata(
+      'https://www.tiktok.com/@chefmario/video/7100000000000000002'
+    );
+
+    expect(meta).toMatchObject({
+      username: 'chefmario',
+      caption: 'Cooking pasta the easy way',
+      thumbnail: 'https://p16-sign-va.tiktokcdn.com/pasta-cover.jpeg',
+      no_wm: 'https://v16-webapp.tiktok.com/pasta/play.mp4',
+      wm: 'https://v16-webapp.tiktok.com/pasta/download.mp4',
+      audio: 'https://sf16-ies-music-va.tiktokcdn.com/obj/pasta.mp3',
+      video_id: '7100000000000000002',
+    });
+  });
+
+  it('maps rich details from the embedded item', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('universal-data.html') });
+
+    const meta = await provider.fetchMetadata(
+      'https://www.tiktok.com/@skywatcher/video/7300000000000000001'
+    );
+
+    expect(meta.details).toEqual({
+      duration: 15,
+      width: 1080,
+      height: 1920,
+      size: { nowm: null, wm: null, hd: null },
+      stats: { plays: 98000, likes: 1200, comments: 56, shares: 34 },
+      create_time: 1700000000,
+      region: 'US',
+      music: { title: 'original sound', author: 'Sky Watcher', duration: 15 },
+      author: { nickname: 'Sky Watcher', avatar: 'https://p16-sign.tiktokcdn-us.com/avatar.jpeg' },
+    });
+  });
+
+  it('collects slide images for photo posts', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('photo-post.html') });
+
+    const meta = await provider.fetchMetadata(
+      'https://www.tiktok.com/@traveller/photo/7350000000000000004'
+    );
+
+    expect(meta).toMatchObject({
+      username: 'traveller',
+      video_id: '7350000000000000004',
+      no_wm: null,
+      audio: 'https://sf16-ies-music.tiktokcdn.com/obj/summer.mp3',
+      images: [
+        'https://p16-sign.tiktokcdn.com/slide-1.jpeg',
+        'https://p16-sign.tiktokcdn.com/slide-2.jpeg',
+      ],
+    });
+  });
+
+  it('falls back to Open Graph tags without embedded data', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('open-graph.html') });
+
+    const meta = await provider.fetchMetadata(
+      'https://www.tiktok.com/@skater/video/7400000000000000003'
+    );
+
+    expect(meta).toMatchObject({
+      username: 'skater',
+      caption: 'Kickflip attempt #47',
+      thumbnail: 'https://p16-sign.tiktokcdn.com/skate.jpeg',
+      no_wm: null,
+      video_id: '7400000000000000003',
+    });
+  });
+
+  it('throws the TikTok status for unavailable videos', async () => {
+    httpClient.get.mockResolvedValue({ data: loadFixture('unavailable.html') });
+
+    await expect(
+      provider.fetchMetadata('https://www.tiktok.com/@gone/video/1')
+    ).rejects.toThrow("Video unavailable (status 10204: item doesn't exist)");
+  });
+
+  it('throws when the page has no usable data', async () => {
+    httpClient.get.mockResolvedValue({ data: '<html><body></body></html>' });
+
+    await expect(
+      provider.fetchMetadata('https://www.tiktok.com/@user/video/1')
+    ).rejects.toThrow('Failed to extract video metadata');
+  });
+
+  it('ignores malformed hydration JSON', () => {
+    const html =
+      '<script id="__UNIVERSAL_DATA_FOR_REHYDRATION__">{not json</script>' +
+      '<meta property="og:image" content="https://p16.tiktokcdn.com/x.jpeg">';
+
+    const meta = ScraperProvider.parsePage(html, 'https://www.tiktok.com/@u/video/5');
+
+    expect(meta).toMatchObject({ username: 'u', video_id: '5' });
+  });
+
+  it('rejects non-HTML responses', async () => {
+    httpClient.get.mockResolvedValue({ data: { code: -1 } });
+
+    await expect(
+      provider.fetchMetadata('https://www.tiktok.com/@user/video/1')
+    ).rejects.toThrow('Failed to extract video metadata');
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+}));
+
+const httpClient = require('../../src/utils/httpClient');
+const shortLinkResolver = require('../../src/services/shortLinkResolver');
+const { cache, getCacheKey } = require('../../src/utils/cache');
+
+function redirectTo(location, status = 301) {
+  return { status, headers: { location } };
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await cache.flushAll();
+});
+
+describe('ShortLinkResolver', () => {
+  describe('resolve', () => {
+    it('returns non-short URLs unchanged without a request', async () => {
+      const url = 'https://www.tiktok.com/@user/video/123';
+      await expect(shortLinkResolver.resolve(url)).resolves.toBe(url);
+      expect(httpClient.get).not.toHaveBeenCalled();
+    });
+
+    it('follows the redirect to the canonical video URL', async () => {
+      httpClient.get.mockResolvedValueOnce(
+        redirectTo('https://www.tiktok.com/@creator/video/7311111111111111111?_r=1&u_code=abc')
+      );
+
+      const canonical = await shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/');
+
+      expect(canonical).toBe('https://www.tiktok.com/@creator/video/7311111111111111111');
+      expect(httpClient.get).toHaveBeenCalledWith(
+        'https://vm.tiktok.com/ZMabc123/',
+        expect.objectContaining({ maxRedirects: 0 })
+      );
+    });
+
+    it('keeps photo posts on their /photo/ path', async () => {
+      httpClient.get.mockResolvedValueOnce(
+        redirectTo('https://www.tiktok.com/@creator/photo/7350000000000000000?_r=1')
+      );
+
+      const canonical = await shortLinkResolver.resolve('https://vm.tiktok.com/ZMphoto/');
+
+      expect(canonical).toBe('https://www.tiktok.com/@creator/photo/7350000000000000000');
+    });
+
+    it('follows multiple hops and relative locations', async () => {
+      httpClient.get
+        .mockResolvedValueOnce(redirectTo('/t/ZT8second/', 302))
+        .mockResolvedValueOnce(redirectTo('https://m.tiktok.com/@creator/video/42'));
+
+      const canonical = await shortLinkResolver.resolve('https://vt.tiktok.com/ZSfirst/');
+
+      expect(canonical).toBe('https://www.tiktok.com/@creator/video/42');
+      expect(httpClient.get).toHaveBeenNthCalledWith(
+        2,
+        'https://vt.tiktok.com/t/ZT8second/',
+        expect.any(Object)
+      );
+    });
+
+    it('caches the short-to-canonical mapping', async () => {
+      httpClient.get.mockResolvedValue(redirectTo('https://www.tiktok.com/@creator/video/42'));
+
+      await shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/');
+      const second = await shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/');
+
+      expect(second).toBe('https://www.tiktok.com/@creator/video/42');
+      expect(httpClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects redirects to internal addresses', async () => {
+      httpClient.get.mockResolvedValueOnce(redirectTo('http://169.254.169.254/latest/meta-data'));
+
+      await expect(
+        shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/')
+      ).rejects.toThrow('URL not allowed for security reasons');
+      expect(httpClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws when the redirect does not reach a video', async () => {
+      httpClient.get.mockResolvedValueOnce(redirectTo('https://www.tiktok.com/foryou'));
+
+      await expect(
+        shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/')
+      ).rejects.toThrow('Failed to resolve short link');
+    });
+
+    it('throws when the short link does not redirect', async () => {
+      httpClient.get.mockResolvedValueOnce({ status: 200, headers: {} });
+
+      await expect(
+        shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/')
+      ).rejects.toThrow('Failed to resolve short link');
+    });
+
+    it('gives up after too many hops', async () => {
+      httpClient.get.mockResolvedValue(redirectTo('https://vm.tiktok.com/ZMloop/'));
+
+      await expect(
+        shortLinkResolver.resolve('https://vm.tiktok.com/ZMabc123/')
+      ).rejects.toThrow('Failed to resolve short link');
+      expect(httpClient.get).toHaveBeenCalledTimes(shortLinkResolver.maxHops);
+    });
+  });
+
+  describe('getCacheKey', () => {
+    it('keys every URL form of a video by its numeric id', () => {
+      expect(getCacheKey('https://www.tiktok.com/@user/video/123')).toBe('video:123');
+      expect(getCacheKey('https://m.tiktok.com/v/123.html')).toBe('video:123');
+      expect(getCacheKey('https://www.tiktok.com/share/video/123')).toBe('video:123');
+    });
+
+    it('falls back to hostname+path for short links', () => {
+      expect(getCacheKey('https://vm.tiktok.com/ZMabc123/')).toBe('vm.tiktok.com/ZMabc123/');
+    });
+  });
+});
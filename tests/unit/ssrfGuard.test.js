@@ -0,0 +1,139 @@
+const dns = require('dns');
+const http = require('http');
+const Validator = require('../../src/utils/validator');
+const httpClient = require('../../src/utils/httpClient');
+const tiktokService = require('../../src/services/tiktokService');
+const { SSRF_BLOCKED, guardedLookup, checkRedirect, httpAgent, httpsAgent } = require('../../src/utils/ssrfGuard');
+
+// The test server listens on loopback, so 127.0.0.1 stands in for a public
+// address; every other internal address keeps being blocked.
+const isPrivateAddress = Validator.isPrivateAddress;
+const hosts = {
+  'v16.tiktokcdn.com': '127.0.0.1',
+  'intranet.example.com': '10.0.0.7',
+  'mapped.example.com': '::ffff:169.254.169.254',
+  'rebound.tiktokcdn.com': '10.0.0.9',
+  'media.example.com': '127.0.0.1',
+};
+
+let server;
+let port;
+let lookup;
+let privateCheck;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    const redirects = {
+      '/to-literal': `http://127.0.0.2:${port}/video.mp4`,
+      '/to-intranet': `http://intranet.example.com:${port}/video.mp4`,
+      '/to-cdn': `http://v16.tiktokcdn.com:${port}/video.mp4`,
+      '/to-rebound': `http://rebound.tiktokcdn.com:${port}/video.mp4`,
+      '/to-offlist': `http://media.example.com:${port}/video.mp4`,
+    };
+    if (redirects[req.url]) {
+      res.writeHead(302, { Location: redirects[req.url] });
+      return res.end();
+    }
+    res.end('video');
+  });
+  server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+beforeEach(() => {
+  const realLookup = dns.lookup;
+  lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    if (!hosts[hostname]) {
+      return realLookup(hostname, options, callback);
+    }
+    const address = hosts[hostname];
+    callback(null, [{ address, family: address.includes(':') ? 6 : 4 }]);
+  });
+  privateCheck = jest.spyOn(Validator, 'isPrivateAddress')
+    .mockImplementation((address) => address !== '127.0.0.1' && isPrivateAddress(address));
+});
+
+afterEach(() => {
+  lookup.mockRestore();
+  privateCheck.mockRestore();
+});
+
+afterAll((done) => {
+  httpAgent.destroy();
+  httpsAgent.destroy();
+  server.close(done);
+});
+
+function url(host, path) {
+  return `http://${host}:${port}${path}`;
+}
+
+describe('SSRF guard', () => {
+  it('lets requests to public hosts through', async () => {
+    const response = await httpClient.get(url('v16.tiktokcdn.com', '/video.mp4'));
+    expect(response.data).toBe('video');
+  });
+
+  it('follows redirects between public hosts', async () => {
+    const response = await httpClient.get(url('v16.tiktokcdn.com', '/to-cdn'));
+    expect(response.data).toBe('video');
+  });
+
+  it.each([
+    ['hostnames resolving to a private address', 'intranet.example.com'],
+    ['IPv4-mapped IPv6 addresses', 'mapped.example.com'],
+  ])('blocks %s at connect time', async (_label, host) => {
+    await expect(httpClient.get(url(host, '/video.mp4'))).rejects.toMatchObject({
+      code: 'SSRF_BLOCKED',
+      status: 502,
+      hostname: host,
+      address: hosts[host],
+    });
+  });
+
+  it('blocks internal IP literals before connecting', async () => {
+    await expect(httpClient.stream(url('127.0.0.2', '/video.mp4'))).rejects.toMatchObject({ code: SSRF_BLOCKED });
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['an internal IP literal', '/to-literal'],
+    ['a hostname resolving to a private address', '/to-intranet'],
+  ])('re-checks redirects to %s', async (_label, path) => {
+    await expect(httpClient.stream(url('v16.tiktokcdn.com', path))).rejects.toMatchObject({ code: SSRF_BLOCKED });
+  });
+
+  it('blocks webhook POSTs too', async () => {
+    await expect(httpClient.post(url('intranet.example.com', '/hook'), '{}')).rejects.toMatchObject({ code: SSRF_BLOCKED });
+  });
+
+  it('makes getDirectDownloadURL fail instead of falling back to the original URL', async () => {
+    await expect(tiktokService.getDirectDownloadURL(url('v16.tiktokcdn.com', '/to-rebound')))
+      .rejects.toMatchObject({ code: SSRF_BLOCKED });
+  });
+
+  it('keeps the error a caller\'s beforeRedirect refuses a hop with', async () => {
+    await expect(httpClient.stream(url('v16.tiktokcdn.com', '/to-offlist'), {
+      beforeRedirect: tiktokService.guardMediaRedirect
+    })).rejects.toMatchObject({ code: 'MEDIA_HOST_NOT_ALLOWED', status: 502 });
+  });
+
+  it('answers lookups asking for a single address', (done) => {
+    guardedLookup('v16.tiktokcdn.com', { family: 4 }, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('127.0.0.1');
+      expect(family).toBe(4);
+      done();
+    });
+  });
+
+  it('rejects redirect hops to internal IP literals', () => {
+    expect(() => checkRedirect({ hostname: '169.254.169.254' })).toThrow(
+      expect.objectContaining({ code: SSRF_BLOCKED })
+    );
+    expect(() => checkRedirect({ hostname: '[::1]' })).toThrow(expect.objectContaining({ code: SSRF_BLOCKED }));
+    expect(() => checkRedirect({ hostname: 'v16.tiktokcdn.com' })).not.toThrow();
+  });
+});
@@ -28,9 +28,10 @@ function buildApiResponse(overrides = {}) {
   };
 }
 
-beforeEach(() => {
+beforeEach(async () => {
   jest.clearAllMocks();
-  cache.flushAll();
+  await cache.flushAll();
+  tiktokService.providers.reset();
 });
 
 describe('TikTokService', () => {
@@ -109,6 +110,61 @@ describe('TikTokService', () => {
       );
     });
 
+    it('reports the provider that served the metadata', async () => {
+      httpClient.get.mockResolvedValue(buildApiResponse());
+
+      const meta = await tiktokService.fetchMetadata(validUrl);
+      expect(meta.provider).toBe('tikwm');
+    });
+
+    it('falls back to the page scraper when tikwm fails', async () => {
+      httpClient.get
+        .mockRejectedValueOnce(new Error('HTTP 503: Service Unavailable'))
+        .mockResolvedValueOnce({
+          data: `<html><head>
+            <meta property="og:url" content="${validUrl}">
+            <meta property="og:description" content="Scraped caption">
+            <meta property="og:image" content="https://p16.tiktokcdn.com/og.jpg">
+            <meta property="og:video" content="https://v16.tiktokcdn.com/og.mp4">
+          </head></html>`,
+        });
+
+      const meta = await tiktokService.fetchMetadata(validUrl);
+
+      expect(meta.provider).toBe('scraper');
+      expect(meta.username).toBe('catdancer');
+      expect(meta.video_id).toBe('7777777777');
+      expect(meta.caption).toBe('Scraped caption');
+      expect(meta.no_wm).toBe('https://v16.tiktokcdn.com/og.mp4');
+      expect(httpClient.get).toHaveBeenLastCalledWith(validUrl);
+    });
+
+    it('returns slide image URLs for photo posts', async () => {
+      httpClient.get.mockResolvedValue(
+        buildApiResponse({
+          play: null,
+          wmplay: null,
+          images: ['https://p16.tiktokcdn.com/1.jpeg', 'https://p16.tiktokcdn.com/2.jpeg'],
+        })
+      );
+
+      const meta = await tiktokService.fetchMetadata(
+        'https://www.tiktok.com/@catdancer/photo/7777777777'
+      );
+
+      expect(meta.images).toEqual([
+        'https://p16.tiktokcdn.com/1.jpeg',
+        'https://p16.tiktokcdn.com/2.jpeg',
+      ]);
+    });
+
+    it('returns an empty image list for videos', async () => {
+      httpClient.get.mockResolvedValue(buildApiResponse());
+
+      const meta = await tiktokService.fetchMetadata(validUrl);
+      expect(meta.images).toEqual([]);
+    });
+
     it('throws when HTTP request fails', async () => {
       httpClient.get.mockRejectedValue(new Error('Network error: timeout'));
 
@@ -154,29 +210,60 @@ describe('TikTokService', () => {
   describe('getDirectDownloadURL', () => {
     it('returns responseUrl after redirect', async () => {
       httpClient.get.mockResolvedValue({
-        request: { res: { responseUrl: 'https://final.url/video.mp4' } },
-        config: { url: 'https://original.url' },
+        request: { res: { responseUrl: 'https://v19.tiktokcdn.com/video.mp4' } },
+        config: { url: 'https://www.tikwm.com/video/media/play/123.mp4' },
       });
 
-      const result = await tiktokService.getDirectDownloadURL('https://original.url');
-      expect(result).toBe('https://final.url/video.mp4');
+      const result = await tiktokService.getDirectDownloadURL('https://www.tikwm.com/video/media/play/123.mp4');
+      expect(result).toBe('https://v19.tiktokcdn.com/video.mp4');
     });
 
     it('falls back to config.url when responseUrl is missing', async () => {
       httpClient.get.mockResolvedValue({
         request: { res: {} },
-        config: { url: 'https://config.url/video.mp4' },
+        config: { url: 'https://v45.tiktokcdn.com/video.mp4' },
       });
 
-      const result = await tiktokService.getDirectDownloadURL('https://original.url');
-      expect(result).toBe('https://config.url/video.mp4');
+      const result = await tiktokService.getDirectDownloadURL('https://www.tikwm.com/video/media/play/123.mp4');
+      expect(result).toBe('https://v45.tiktokcdn.com/video.mp4');
     });
 
     it('returns original URL on error', async () => {
       httpClient.get.mockRejectedValue(new Error('fail'));
 
-      const result = await tiktokService.getDirectDownloadURL('https://original.url');
-      expect(result).toBe('https://original.url');
+      const result = await tiktokService.getDirectDownloadURL('https://www.tikwm.com/video/media/play/123.mp4');
+      expect(result).toBe('https://www.tikwm.com/video/media/play/123.mp4');
+    });
+
+    it('rejects provider URLs outside the media host allow-list', async () => {
+      await expect(tiktokService.getDirectDownloadURL('https://evil.example.com/video.mp4'))
+        .rejects.toMatchObject({ code: 'MEDIA_HOST_NOT_ALLOWED', message: 'Media host not allowed' });
+      expect(httpClient.get).not.toHaveBeenCalled();
+    });
+
+    it('rejects redirects that end outside the allow-list', async () => {
+      httpClient.get.mockResolvedValue({
+        request: { res: { responseUrl: 'https://evil.example.com/video.mp4' } },
+        config: { url: 'https://v16.tiktokcdn.com/video.mp4' },
+      });
+
+      await expect(tiktokService.getDirectDownloadURL('https://v16.tiktokcdn.com/video.mp4'))
+        .rejects.toMatchObject({ code: 'MEDIA_HOST_NOT_ALLOWED' });
+    });
+
+    it('checks every redirect hop', async () => {
+      httpClient.get.mockImplementation(async (url, options) => {
+        options.beforeRedirect({ protocol: 'https:', hostname: 'v16.tiktokcdn.com' });
+        options.beforeRedirect({ protocol: 'http:', hostname: 'metadata.internal' });
+        return { request: { res: { responseUrl: 'https://v16.tiktokcdn.com/video.mp4' } }, config: { url } };
+      });
+
+      await expect(tiktokService.getDirectDownloadURL('https://www.tikwm.com/video/media/play/123.mp4'))
+        .rejects.toMatchObject({ code: 'MEDIA_HOST_NOT_ALLOWED' });
+      expect(httpClient.get).toHaveBeenCalledWith(
+        'https://www.tikwm.com/video/media/play/123.mp4',
+        expect.objectContaining({ beforeRedirect: tiktokService.guardMediaRedirect })
+      );
     });
   });
 
@@ -219,6 +306,7 @@ describe('TikTokService', () => {
       ['nowm', '.mp4'],
       ['wm', '.mp4'],
       ['audio', '.mp3'],
+      ['images', '.zip'],
       ['unknown', '.mp4'],
     ])('returns %s for "%s"', (type, ext) => {
       expect(tiktokService.getFileExtension(type)).toBe(ext);
@@ -0,0 +1,84 @@
+jest.mock('axios', () => jest.fn());
+
+// Restored in afterAll; suites running later in the same worker read it too
+const tracesExporter = process.env.OTEL_TRACES_EXPORTER;
+process.env.OTEL_TRACES_EXPORTER = 'memory';
+
+const axios = require('axios');
+const httpClient = require('../../src/utils/httpClient');
+const { withSpan, memoryExporter, shutdown, SpanKind, SpanStatusCode } = require('../../src/utils/tracing');
+const { UpstreamTimeoutError } = require('../../src/utils/errors');
+
+beforeEach(() => {
+  axios.mockReset();
+  memoryExporter.reset();
+});
+
+afterAll(async () => {
+  await shutdown();
+  if (tracesExporter === undefined) {
+    delete process.env.OTEL_TRACES_EXPORTER;
+  } else {
+    process.env.OTEL_TRACES_EXPORTER = tracesExporter;
+  }
+});
+
+describe('withSpan', () => {
+  it('ends the span with the result of fn', async () => {
+    await expect(withSpan('work', {}, async (span) => {
+      span.setAttribute('answer', 42);
+      return 'done';
+    })).resolves.toBe('done');
+
+    const [span] = memoryExporter.getFinishedSpans();
+    expect(span.name).toBe('work');
+    expect(span.attributes.answer).toBe(42);
+    expect(span.status.code).toBe(SpanStatusCode.UNSET);
+  });
+
+  it('records a thrown error and rethrows it', async () => {
+    await expect(withSpan('work', {}, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const [span] = memoryExporter.getFinishedSpans();
+    expect(span.status).toEqual({ code: SpanStatusCode.ERROR, message: 'boom' });
+    expect(span.events[0].name).toBe('exception');
+  });
+
+  it('makes the span the parent of spans started inside fn', async () => {
+    await withSpan('outer', {}, () => withSpan('inner', {}, async () => {}));
+
+    const [inner, outer] = memoryExporter.getFinishedSpans();
+    expect(inner.parentSpanContext.spanId).toBe(outer.spanContext().spanId);
+  });
+});
+
+describe('httpClient spans', () => {
+  it('opens a client span per upstream call', async () => {
+    axios.mockResolvedValue({ status: 200, data: {} });
+
+    await httpClient.get('https://www.tikwm.com/api/', { upstream: 'tikwm' });
+
+    const [span] = memoryExporter.getFinishedSpans();
+    expect(span.name).toBe('GET tikwm');
+    expect(span.kind).toBe(SpanKind.CLIENT);
+    expect(span.attributes).toMatchObject({
+      'http.request.method': 'GET',
+      'server.address': 'www.tikwm.com',
+      'upstream.name': 'tikwm',
+      'http.response.status_code': 200
+    });
+  });
+
+  it('tags failures with the error code and sends no traceparent upstream', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+
+    await expect(httpClient.stream('https://v16.tiktokcdn.com/a.mp4')).rejects.toBeInstanceOf(UpstreamTimeoutError);
+
+    const [span] = memoryExporter.getFinishedSpans();
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.attributes['error.type']).toBe('UPSTREAM_TIMEOUT');
+    expect(axios.mock.calls[0][0].headers || {}).not.toHaveProperty('traceparent');
+  });
+});
@@ -7,6 +7,10 @@ describe('Validator', () => {
       ['standard video URL', 'https://www.tiktok.com/@user/video/1234567890'],
       ['mobile URL', 'https://m.tiktok.com/@user/video/1234567890'],
       ['short URL (vm)', 'https://vm.tiktok.com/t/abc123'],
+      ['vm.tiktok.com share code', 'https://vm.tiktok.com/ZMabc123/'],
+      ['vt.tiktok.com share code', 'https://vt.tiktok.com/ZSxyz789/'],
+      ['www /t/ short URL', 'https://www.tiktok.com/t/ZT8abc/'],
+      ['photo slideshow URL', 'https://www.tiktok.com/@user/photo/7350000000000000000'],
       ['bare domain', 'https://tiktok.com/@user/video/1234567890'],
       ['share URL', 'https://www.tiktok.com/share/video/1234567890'],
       ['alt /v/ format', 'https://www.tiktok.com/v/1234567890'],
@@ -28,6 +32,7 @@ describe('Validator', () => {
       ['javascript protocol', 'javascript:alert(1)'],
       ['ftp URL on non-TikTok domain', 'ftp://example.com/@user/video/123'],
       ['similar domain', 'https://faketiktok.com/@user/video/123'],
+      ['share code on main domain', 'https://www.tiktok.com/ZMabc123/'],
     ];
 
     it.each(invalid)('rejects %s', (_label, url) => {
@@ -37,7 +42,7 @@ describe('Validator', () => {
 
   // ─── isValidDownloadType ───────────────────────────────────────────
   describe('isValidDownloadType', () => {
-    it.each(['nowm', 'wm', 'audio'])('accepts "%s"', (type) => {
+    it.each(['nowm', 'wm', 'audio', 'images'])('accepts "%s"', (type) => {
       expect(Validator.isValidDownloadType(type)).toBe(true);
     });
 
@@ -88,8 +93,14 @@ describe('Validator', () => {
       ).toBe('1234567890');
     });
 
-    it('extracts from short /t/ID format', () => {
-      expect(Validator.extractVideoId('https://vm.tiktok.com/t/abc123')).toBe('abc123');
+    it('returns null for short /t/ links (they carry a share code, not an id)', () => {
+      expect(Validator.extractVideoId('https://vm.tiktok.com/t/abc123')).toBeNull();
+    });
+
+    it('extracts from /@user/photo/ID format', () => {
+      expect(
+        Validator.extractVideoId('https://www.tiktok.com/@user/photo/7350000000000000000')
+      ).toBe('7350000000000000000');
     });
 
     it('extracts from /v/ID format', () => {
@@ -113,6 +124,42 @@ describe('Validator', () => {
     });
   });
 
+  // ─── isPhotoURL ───────────────────────────────────────────────────
+  describe('isPhotoURL', () => {
+    it('detects photo slideshow URLs', () => {
+      expect(Validator.isPhotoURL('https://www.tiktok.com/@user/photo/123')).toBe(true);
+    });
+
+    it.each(['https://www.tiktok.com/@user/video/123', 'not-a-url'])(
+      'returns false for %s',
+      (url) => {
+        expect(Validator.isPhotoURL(url)).toBe(false);
+      }
+    );
+  });
+
+  // ─── extractShortCode / isShortURL ────────────────────────────────
+  describe('extractShortCode', () => {
+    it.each([
+      ['https://vm.tiktok.com/ZMabc123/', 'ZMabc123'],
+      ['https://vt.tiktok.com/ZSxyz789', 'ZSxyz789'],
+      ['https://www.tiktok.com/t/ZT8abc/', 'ZT8abc'],
+      ['https://vm.tiktok.com/t/abc123', 'abc123'],
+    ])('extracts the code from %s', (url, code) => {
+      expect(Validator.extractShortCode(url)).toBe(code);
+      expect(Validator.isShortURL(url)).toBe(true);
+    });
+
+    it.each([
+      'https://www.tiktok.com/@user/video/123',
+      'https://www.tiktok.com/ZMabc123/',
+      'not-a-url',
+    ])('returns null for %s', (url) => {
+      expect(Validator.extractShortCode(url)).toBeNull();
+      expect(Validator.isShortURL(url)).toBe(false);
+    });
+  });
+
   // ─── isSSRFSafe ───────────────────────────────────────────────────
   describe('isSSRFSafe', () => {
     it('allows external HTTPS URLs', () => {
@@ -150,4 +197,106 @@ describe('Validator', () => {
       expect(Validator.isSSRFSafe('')).toBe(false);
     });
   });
+
+  // ─── isPrivateAddress ─────────────────────────────────────────────
+  describe('isPrivateAddress', () => {
+    it.each([
+      '10.0.0.1', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.20.1.1',
+      '192.168.0.10', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+      '::', '::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+    ])('treats %s as private', (address) => {
+      expect(Validator.isPrivateAddress(address)).toBe(true);
+    });
+
+    it.each(['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8'])(
+      'treats %s as public',
+      (address) => {
+        expect(Validator.isPrivateAddress(address)).toBe(false);
+      }
+    );
+
+    it('treats anything that is not an IP as unsafe', () => {
+      expect(Validator.isPrivateAddress('example.com')).toBe(true);
+    });
+  });
+
+  // ─── isSSRFSafeResolved ───────────────────────────────────────────
+  describe('isSSRFSafeResolved', () => {
+    const dns = require('dns');
+    let lookup;
+
+    beforeEach(() => {
+      lookup = jest.spyOn(dns.promises, 'lookup');
+    });
+
+    afterEach(() => {
+      lookup.mockRestore();
+    });
+
+    it('allows hosts that resolve only to public addresses', async () => {
+      lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      await expect(Validator.isSSRFSafeResolved('https://hooks.example.com/tiktok')).resolves.toBe(true);
+      expect(lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+    });
+
+    it('blocks hosts with any internal address', async () => {
+      lookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 },
+      ]);
+      await expect(Validator.isSSRFSafeResolved('https://internal.example.com/')).resolves.toBe(false);
+    });
+
+    it('blocks hosts that do not resolve', async () => {
+      lookup.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+      await expect(Validator.isSSRFSafeResolved('https://nowhere.example.com/')).resolves.toBe(false);
+    });
+
+    it('checks IP literals without a lookup', async () => {
+      await expect(Validator.isSSRFSafeResolved('http://[::ffff:127.0.0.1]/')).resolves.toBe(false);
+      await expect(Validator.isSSRFSafeResolved('http://93.184.216.34/')).resolves.toBe(true);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('still applies the static checks', async () => {
+      await expect(Validator.isSSRFSafeResolved('ftp://example.com/file')).resolves.toBe(false);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+
+  // ─── isAllowedMediaURL ────────────────────────────────────────────
+  describe('isAllowedMediaURL', () => {
+    it.each([
+      'https://v16-webapp-prime.tiktok.com/video/tos/abc/?mime_type=video_mp4',
+      'https://v77.tiktokcdn.com/video.mp4',
+      'https://v16m.tiktokcdn-us.com/video.mp4',
+      'https://sf16-ies-music-va.tiktokcdn.com/obj/music.mp3',
+      'https://www.tikwm.com/video/media/play/123.mp4',
+      'https://tikwm.com/video/media/play/123.mp4',
+    ])('allows %s by default', (url) => {
+      expect(Validator.isAllowedMediaURL(url)).toBe(true);
+    });
+
+    it.each([
+      'https://attacker.example/video.mp4',
+      'https://tiktokcdn.com.attacker.example/video.mp4',
+      'https://eviltiktokcdn.com/video.mp4',
+      'ftp://v16.tiktokcdn.com/video.mp4',
+      'not-a-url',
+    ])('rejects %s by default', (url) => {
+      expect(Validator.isAllowedMediaURL(url)).toBe(false);
+    });
+
+    it('matches wildcards on subdomains only and other patterns exactly', () => {
+      const patterns = ['*.cdn.example', 'media.example'];
+      expect(Validator.isAllowedMediaHost('a.b.cdn.example', patterns)).toBe(true);
+      expect(Validator.isAllowedMediaHost('cdn.example', patterns)).toBe(false);
+      expect(Validator.isAllowedMediaHost('MEDIA.example', patterns)).toBe(true);
+      expect(Validator.isAllowedMediaHost('www.media.example', patterns)).toBe(false);
+    });
+
+    it('allows every host with *', () => {
+      expect(Validator.isAllowedMediaURL('https://anything.example/x', ['*'])).toBe(true);
+    });
+  });
 });
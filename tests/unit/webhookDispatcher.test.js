@@ -0,0 +1,192 @@
+jest.mock('../../src/utils/httpClient', () => ({
+  get: jest.fn(),
+  stream: jest.fn(),
+  post: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const dns = require('dns');
+const httpClient = require('../../src/utils/httpClient');
+const { WebhookDispatcher } = require('../../src/services/webhookDispatcher');
+
+const CALLBACK_URL = 'https://hooks.example.com/tiktok';
+const SECRET = 'webhook-secret';
+
+let lookup;
+let dispatchers;
+
+function createDispatcher(options = {}) {
+  const dispatcher = new WebhookDispatcher({ secret: SECRET, retryBaseMs: 5, ...options });
+  dispatchers.push(dispatcher);
+  return dispatcher;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dispatchers = [];
+  lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  httpClient.post.mockResolvedValue({ status: 204 });
+});
+
+afterEach(async () => {
+  await Promise.all(dispatchers.map((dispatcher) => dispatcher.close()));
+  lookup.mockRestore();
+});
+
+describe('WebhookDispatcher', () => {
+  it('POSTs the payload signed with an HMAC of the body', async () => {
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'fetch.completed', { url: 'https://www.tiktok.com/@u/video/1', status: 200 });
+
+    expect(httpClient.post).toHaveBeenCalledTimes(1);
+    const [url, body, options] = httpClient.post.mock.calls[0];
+    expect(url).toBe(CALLBACK_URL);
+    expect(JSON.parse(body)).toEqual({
+      id: delivery.id,
+      event: 'fetch.completed',
+      created_at: expect.any(String),
+      data: { url: 'https://www.tiktok.com/@u/video/1', status: 200 },
+    });
+
+    const expected = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    expect(options.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(options.headers['X-Webhook-Id']).toBe(delivery.id);
+    expect(options.headers['X-Webhook-Event']).toBe('fetch.completed');
+    expect(options.maxRedirects).toBe(0);
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.deliveredAt).not.toBeNull();
+    expect(delivery.attempts).toEqual([
+      expect.objectContaining({ attempt: 1, statusCode: 204, error: null }),
+    ]);
+  });
+
+  it('retries failed attempts with exponential backoff', async () => {
+    httpClient.post
+      .mockResolvedValueOnce({ status: 503 })
+      .mockRejectedValueOnce(new Error('Network error: socket hang up'))
+      .mockResolvedValueOnce({ status: 200 });
+    const dispatcher = createDispatcher({ retryBaseMs: 20 });
+    const waits = jest.spyOn(dispatcher, 'wait');
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'download.completed', {});
+
+    expect(httpClient.post).toHaveBeenCalledTimes(3);
+    expect(waits.mock.calls).toEqual([[20], [40]]);
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map((a) => a.error)).toEqual([
+      'HTTP 503',
+      'Network error: socket hang up',
+      null,
+    ]);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    httpClient.post.mockResolvedValue({ status: 500 });
+    const dispatcher = createDispatcher({ maxAttempts: 3 });
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'fetch.completed', {});
+
+    expect(httpClient.post).toHaveBeenCalledTimes(3);
+    expect(delivery.status).toBe('failed');
+    expect(delivery.nextAttemptAt).toBeNull();
+  });
+
+  it('does not retry payloads the receiver rejected', async () => {
+    httpClient.post.mockResolvedValue({ status: 400 });
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'fetch.completed', {});
+
+    expect(httpClient.post).toHaveBeenCalledTimes(1);
+    expect(delivery.status).toBe('failed');
+  });
+
+  it('retries 429 and 408 responses', async () => {
+    httpClient.post
+      .mockResolvedValueOnce({ status: 429 })
+      .mockResolvedValueOnce({ status: 408 })
+      .mockResolvedValueOnce({ status: 202 });
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'fetch.completed', {});
+
+    expect(delivery.attempts).toHaveLength(3);
+    expect(delivery.status).toBe('delivered');
+  });
+
+  it('refuses to deliver once the host resolves to an internal address', async () => {
+    lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    await dispatcher.send(delivery, 'fetch.completed', {});
+
+    expect(httpClient.post).not.toHaveBeenCalled();
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts[0].error).toBe('Callback URL not allowed for security reasons');
+  });
+
+  it('gives up pending retries on close', async () => {
+    httpClient.post.mockResolvedValue({ status: 500 });
+    const dispatcher = createDispatcher({ retryBaseMs: 60 * 1000 });
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    const sending = dispatcher.send(delivery, 'fetch.completed', {});
+    await new Promise((resolve) => setImmediate(resolve));
+    await dispatcher.close();
+    await sending;
+
+    expect(httpClient.post).toHaveBeenCalledTimes(1);
+    expect(delivery.status).toBe('failed');
+  });
+
+  it('keeps the delivery log bounded, dropping finished deliveries first', async () => {
+    const dispatcher = createDispatcher({ logLimit: 2 });
+    const finished = dispatcher.create({ callbackUrl: CALLBACK_URL });
+    await dispatcher.send(finished, 'fetch.completed', {});
+    const waiting = dispatcher.create({ callbackUrl: CALLBACK_URL });
+    const latest = dispatcher.create({ callbackUrl: CALLBACK_URL });
+
+    expect(dispatcher.get(finished.id)).toBeNull();
+    expect(dispatcher.get(waiting.id)).toBe(waiting);
+    expect(dispatcher.get(latest.id)).toBe(latest);
+  });
+
+  it('hides the owning key from the public view', () => {
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.create({ callbackUrl: CALLBACK_URL, apiKeyId: 'acme' });
+
+    expect(dispatcher.toJSON(delivery)).not.toHaveProperty('apiKeyId');
+    expect(dispatcher.toJSON(delivery)).toMatchObject({ id: delivery.id, status: 'waiting', callbackUrl: CALLBACK_URL });
+  });
+
+  describe('checkCallbackUrl', () => {
+    it('requires WEBHOOK_SECRET', async () => {
+      const dispatcher = new WebhookDispatcher();
+
+      expect(dispatcher.isEnabled()).toBe(false);
+      await expect(dispatcher.checkCallbackUrl(CALLBACK_URL))
+        .resolves.toBe('Webhook callbacks are not configured on this server');
+    });
+
+    it.each([
+      ['an internal host', 'http://127.0.0.1:8080/hook'],
+      ['a non-http scheme', 'ftp://hooks.example.com/'],
+      ['garbage', 'not a url'],
+    ])('rejects %s', async (_label, url) => {
+      await expect(createDispatcher().checkCallbackUrl(url))
+        .resolves.toBe('callback_url must be a public http(s) URL');
+    });
+
+    it('accepts a public URL', async () => {
+      await expect(createDispatcher().checkCallbackUrl(CALLBACK_URL)).resolves.toBeNull();
+    });
+  });
+});